@@ -0,0 +1,29 @@
+const fs = require("fs");
+
+/**
+ * Replace a file atomically: the content goes to a temporary file next to it,
+ * which is then renamed over the file. When the path is a symlink, common for
+ * dotfiles, the file it points to is replaced and the link stays in place.
+ * @param {string} filePath File path
+ * @param {string} content New content
+ * @param {number} mode Permissions of the written file
+ * @returns {string} Path of the replaced file, with symlinks resolved
+ */
+function writeFileAtomic(filePath, content, mode) {
+  let target = filePath;
+  try {
+    target = fs.realpathSync(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+  const tempPath = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content, { mode });
+  fs.renameSync(tempPath, target);
+  return target;
+}
+
+module.exports = {
+  writeFileAtomic,
+};
@@ -0,0 +1,258 @@
+/**
+ * Finds the AWS CLI and its version. The result is kept in extension state
+ * together with the size and modification time of the binary, so the CLI is
+ * only searched for again when it changes, e.g. after an upgrade.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+
+const STATE_KEY = "awsSsoLogin.cli";
+const VERSION_TIMEOUT_MS = 15000;
+
+// sso-session sections are supported from this version on
+const MIN_SSO_SESSION_VERSION = { major: 2, minor: 9, patch: 0 };
+
+// "aws sso login" uses the authorization code flow and accepts --use-device-code
+// from this version on; older versions always use the device code flow
+const MIN_AUTHORIZATION_CODE_VERSION = { major: 2, minor: 22, patch: 0 };
+
+// Where installers put the CLI when it isn't on the PATH of VS Code
+const COMMON_PATHS = {
+  darwin: ["/usr/local/bin/aws", "/opt/homebrew/bin/aws", "/usr/local/homebrew/bin/aws"],
+  linux: ["/usr/local/bin/aws", "/usr/bin/aws"],
+  win32: [
+    "C:\\Program Files\\Amazon\\AWSCLIV2\\aws.exe",
+    "C:\\Program Files\\Amazon\\AWSCLI\\bin\\aws.exe",
+    "C:\\Program Files (x86)\\Amazon\\AWSCLI\\bin\\aws.exe",
+  ],
+};
+
+/**
+ * Parse the output of "aws --version", e.g. "aws-cli/2.15.30 Python/3.11.8 Darwin/23.4.0"
+ * @param {string} output Version output; CLI v1 writes it to stderr
+ * @returns {Object|null} Version with major, minor, patch and text, or null
+ */
+function parseCliVersion(output) {
+  const match = (output || "").match(/aws-cli\/(\d+)\.(\d+)\.(\d+)/);
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    text: `${match[1]}.${match[2]}.${match[3]}`,
+  };
+}
+
+/**
+ * Compare two versions
+ * @param {Object} a First version
+ * @param {Object} b Second version
+ * @returns {number} Negative if a is older than b, 0 if equal, positive if newer
+ */
+function compareVersions(a, b) {
+  return a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+}
+
+/**
+ * Check whether a CLI version can log in to a profile
+ * @param {Object} version Version from parseCliVersion
+ * @param {Object} [profile] The SSO profile
+ * @returns {string|null} Why the version can't be used, or null if it can
+ */
+function checkCliVersion(version, profile) {
+  if (version.major < 2) {
+    return `AWS CLI ${version.text} can't log in to AWS SSO. Install AWS CLI version 2.`;
+  }
+  if (profile && profile.ssoSession && compareVersions(version, MIN_SSO_SESSION_VERSION) < 0) {
+    return `AWS CLI ${version.text} doesn't support sso-session profiles such as ${profile.name}. Update to AWS CLI 2.9.0 or later.`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a CLI version accepts "aws sso login --use-device-code"
+ * @param {Object} version Version from parseCliVersion
+ * @returns {boolean} True from AWS CLI 2.22.0 on
+ */
+function supportsDeviceCodeOption(version) {
+  return compareVersions(version, MIN_AUTHORIZATION_CODE_VERSION) >= 0;
+}
+
+/**
+ * Find an executable on the PATH
+ * @param {string} command Command name
+ * @param {Object} env Environment with PATH, and PATHEXT on Windows
+ * @param {string} platform Platform, as in process.platform
+ * @returns {string[]} Matching files, in PATH order
+ */
+function findOnPath(command, env, platform) {
+  const extensions = platform === "win32"
+    ? (env.PATHEXT || ".EXE;.CMD;.BAT").split(";").filter(Boolean)
+    : [""];
+  const delimiter = platform === "win32" ? ";" : ":";
+  const found = [];
+  for (const dir of (env.PATH || env.Path || "").split(delimiter)) {
+    if (!dir) {
+      continue;
+    }
+    for (const extension of extensions) {
+      const file = path.join(dir, command + extension.toLowerCase());
+      if (!found.includes(file) && isFile(file)) {
+        found.push(file);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Check whether a path is an existing file
+ * @param {string} file The path
+ * @returns {boolean} True for files
+ */
+function isFile(file) {
+  try {
+    return fs.statSync(file).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Run "aws --version"
+ * @param {string} cliPath Path to the CLI
+ * @param {Object} env Environment for the CLI
+ * @returns {Promise<string>} Version output from stdout and stderr
+ */
+function runVersion(cliPath, env) {
+  return new Promise((resolve, reject) => {
+    execFile(cliPath, ["--version"], { env, timeout: VERSION_TIMEOUT_MS, windowsHide: true }, (error, stdout, stderr) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(`${stdout}${stderr}`);
+      }
+    });
+  });
+}
+
+/**
+ * Locates the AWS CLI: the configured path, the PATH, or common install
+ * locations, in that order. The first version 2 CLI is used; a version 1 CLI
+ * only when there is no other, so checkCliVersion can explain the problem.
+ */
+class AwsCliLocator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.state Memento-like store with get(key) and update(key, value)
+   * @param {Function} options.getConfiguredPath Function returning the awsSsoLogin.cliPath setting
+   * @param {Function} options.getEnv Function returning the environment to search and run the CLI with
+   * @param {string} [options.platform] Platform, as in process.platform
+   * @param {Function} [options.runVersion] Function running "aws --version", for tests
+   */
+  constructor(options) {
+    this.state = options.state;
+    this.getConfiguredPath = options.getConfiguredPath;
+    this.getEnv = options.getEnv;
+    this.platform = options.platform || process.platform;
+    this.runVersion = options.runVersion || runVersion;
+  }
+
+  /**
+   * Find the AWS CLI, using the cached result while the binary is unchanged
+   * @returns {Promise<Object|null>} CLI with path and version, or null if none was found
+   */
+  async locate() {
+    const configuredPath = this.getConfiguredPath() || "";
+    const cached = this.state.get(STATE_KEY);
+    if (cached && cached.configuredPath === configuredPath && this.isUnchanged(cached)) {
+      return { path: cached.path, version: parseCliVersion(`aws-cli/${cached.version}`) };
+    }
+
+    const env = this.getEnv();
+    let candidates;
+    if (!configuredPath) {
+      candidates = [...findOnPath("aws", env, this.platform), ...(COMMON_PATHS[this.platform] || []).filter(isFile)];
+    } else if (/[\\/]/.test(configuredPath)) {
+      candidates = [configuredPath];
+    } else {
+      // A command name, such as "aws2"
+      candidates = findOnPath(configuredPath, env, this.platform);
+    }
+
+    let fallback = null;
+    for (const candidate of new Set(candidates)) {
+      let version;
+      try {
+        version = parseCliVersion(await this.runVersion(candidate, env));
+      } catch (error) {
+        continue;
+      }
+      if (!version) {
+        continue;
+      }
+      if (version.major < 2) {
+        // Often an old pip install earlier on the PATH; keep looking for version 2
+        fallback = fallback || { path: candidate, version };
+        continue;
+      }
+      const stat = this.stat(candidate);
+      await this.state.update(STATE_KEY, {
+        configuredPath,
+        path: candidate,
+        version: version.text,
+        size: stat ? stat.size : null,
+        mtimeMs: stat ? stat.mtimeMs : null,
+      });
+      return { path: candidate, version };
+    }
+
+    // A version 1 CLI isn't cached, so installing version 2 is noticed
+    await this.invalidate();
+    return fallback;
+  }
+
+  /**
+   * Forget the cached CLI
+   */
+  async invalidate() {
+    await this.state.update(STATE_KEY, undefined);
+  }
+
+  /**
+   * Check whether the cached binary is still the same file
+   * @param {Object} cached Cached CLI
+   * @returns {boolean} True if size and modification time are unchanged
+   */
+  isUnchanged(cached) {
+    const stat = this.stat(cached.path);
+    return Boolean(stat) && stat.size === cached.size && stat.mtimeMs === cached.mtimeMs;
+  }
+
+  /**
+   * Read file information of a CLI path
+   * @param {string} cliPath Path to the CLI
+   * @returns {fs.Stats|null} File information, or null if it doesn't exist
+   */
+  stat(cliPath) {
+    try {
+      return fs.statSync(cliPath);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  MIN_SSO_SESSION_VERSION,
+  parseCliVersion,
+  compareVersions,
+  checkCliVersion,
+  supportsDeviceCodeOption,
+  findOnPath,
+  AwsCliLocator,
+};
@@ -0,0 +1,175 @@
+const { tokenize, parseConfigText, getValue } = require("./aws-config-parser");
+const { AWS_REGIONS } = require("./profile-validation");
+
+// Documentation of the keys offered in each section kind
+const CONFIG_KEYS = {
+  profile: {
+    sso_session: "Name of the `[sso-session]` section that provides the start URL, region and scopes for SSO login.",
+    sso_account_id: "12-digit ID of the AWS account to get role credentials for.",
+    sso_role_name: "Name of the IAM Identity Center permission set (role) to use in the account.",
+    sso_start_url: "Legacy SSO configuration: the AWS access portal URL. Prefer `sso_session`.",
+    sso_region: "Legacy SSO configuration: the region of IAM Identity Center. Prefer `sso_session`.",
+    region: "Default region for AWS requests made with this profile.",
+    output: "Default output format of the AWS CLI: json, yaml, yaml-stream, text or table.",
+    role_arn: "ARN of an IAM role to assume, using the credentials of `source_profile` or `credential_source`.",
+    source_profile: "Profile whose credentials are used to assume `role_arn`.",
+    credential_source: "Where to get credentials to assume `role_arn` from when there is no `source_profile`: Environment, Ec2InstanceMetadata or EcsContainer.",
+    role_session_name: "Session name used when assuming `role_arn`.",
+    external_id: "External ID passed when assuming `role_arn`.",
+    mfa_serial: "Serial number or ARN of the MFA device required to assume `role_arn`.",
+    duration_seconds: "Duration of the assumed role session, in seconds.",
+    credential_process: "External command that prints credentials as JSON.",
+    ca_bundle: "CA certificate bundle used to verify SSL certificates.",
+    cli_pager: "Pager for AWS CLI output. Set to an empty value to disable paging.",
+    retry_mode: "Retry mode of the AWS CLI and SDKs: standard, adaptive or legacy.",
+    max_attempts: "Maximum number of attempts for a request, including the first.",
+    endpoint_url: "Endpoint used for all service requests made with this profile.",
+    services: "Name of a `[services]` section with service specific endpoints.",
+  },
+  "sso-session": {
+    sso_start_url: "The AWS access portal URL, e.g. `https://example.awsapps.com/start`.",
+    sso_region: "Region of IAM Identity Center, where the access portal is hosted.",
+    sso_registration_scopes: "Comma separated scopes to request, e.g. `sso:account:access`. Enables token refresh.",
+  },
+};
+
+// Allowed values of keys with a fixed set of values
+const KEY_VALUES = {
+  output: ["json", "yaml", "yaml-stream", "text", "table"],
+  credential_source: ["Environment", "Ec2InstanceMetadata", "EcsContainer"],
+  retry_mode: ["standard", "adaptive", "legacy"],
+};
+
+/**
+ * Find the section a line belongs to
+ * @param {Object} config Parsed config
+ * @param {number} line 1-based line
+ * @returns {Object|undefined} The section whose header is closest above the line
+ */
+function findSectionAt(config, line) {
+  let found;
+  let foundLine = 0;
+  for (const section of config.sections) {
+    for (const range of section.ranges) {
+      if (range.startLine <= line && range.startLine > foundLine) {
+        found = section;
+        foundLine = range.startLine;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Get completions at a position
+ * @param {string} text Config file content
+ * @param {number} line 1-based line
+ * @param {number} column 1-based column of the cursor
+ * @returns {Array} Completions with label, kind ("section", "key" or "value"),
+ *   and optionally detail, documentation and insertText
+ */
+function getCompletions(text, line, column) {
+  const lineText = (text.split(/\r?\n/)[line - 1] || "");
+  const before = lineText.substring(0, column - 1);
+
+  // Section headers
+  if (/^\s*\[[^\]]*$/.test(before)) {
+    return [
+      { label: "profile ", kind: "section", detail: "[profile name]" },
+      { label: "sso-session ", kind: "section", detail: "[sso-session name]" },
+      { label: "default", kind: "section", detail: "[default]" },
+      { label: "services ", kind: "section", detail: "[services name]" },
+    ];
+  }
+
+  const config = parseConfigText(text);
+  const section = findSectionAt(config, line);
+  if (!section || !CONFIG_KEYS[section.kind]) {
+    return [];
+  }
+
+  // Values
+  const equals = before.indexOf("=");
+  if (equals !== -1) {
+    const key = before.substring(0, equals).trim().toLowerCase();
+    let values = [];
+    if (key === "sso_session") {
+      values = Object.entries(config.ssoSessions).map(([name, session]) => ({
+        label: name,
+        detail: getValue(session, "sso_start_url"),
+      }));
+    } else if (key === "source_profile") {
+      values = Object.keys(config.profiles)
+        .filter((name) => name !== section.name)
+        .map((name) => ({ label: name }));
+    } else if (key === "region" || key === "sso_region") {
+      values = AWS_REGIONS.map((region) => ({ label: region }));
+    } else if (KEY_VALUES[key]) {
+      values = KEY_VALUES[key].map((value) => ({ label: value }));
+    }
+    return values.map((value) => ({ ...value, kind: "value" }));
+  }
+
+  // Keys, only at the start of a line and not yet set in the section
+  if (/^\S*$/.test(before)) {
+    return Object.entries(CONFIG_KEYS[section.kind])
+      .filter(([key]) => !section.properties[key])
+      .map(([key, documentation]) => ({
+        label: key,
+        kind: "key",
+        documentation,
+        insertText: `${key} = `,
+      }));
+  }
+  return [];
+}
+
+/**
+ * Get hover documentation at a position
+ * @param {string} text Config file content
+ * @param {number} line 1-based line
+ * @param {number} column 1-based column
+ * @returns {Object|undefined} Hover with markdown contents, line, column and exclusive endColumn
+ */
+function getHover(text, line, column) {
+  const token = tokenize(text).find((candidate) => candidate.line === line);
+  if (!token || token.type !== "property" || token.indent > 0) {
+    return undefined;
+  }
+
+  const config = parseConfigText(text);
+  const section = findSectionAt(config, line);
+  const key = token.key.toLowerCase();
+
+  if (column >= token.column && column < token.column + token.key.length) {
+    const documentation = section && CONFIG_KEYS[section.kind] && CONFIG_KEYS[section.kind][key];
+    if (!documentation) {
+      return undefined;
+    }
+    return {
+      contents: `**${key}**\n\n${documentation}`,
+      line,
+      column: token.column,
+      endColumn: token.column + token.key.length,
+    };
+  }
+
+  if (key === "sso_session" && column >= token.valueColumn && column < token.valueColumn + token.value.length) {
+    const session = config.ssoSessions[token.value];
+    return {
+      contents: session
+        ? `**sso-session ${token.value}**\n\nStart URL: ${getValue(session, "sso_start_url") || "not set"}\n\nRegion: ${getValue(session, "sso_region") || "not set"}`
+        : `sso-session "${token.value}" is not defined in this file`,
+      line,
+      column: token.valueColumn,
+      endColumn: token.valueColumn + token.value.length,
+    };
+  }
+  return undefined;
+}
+
+module.exports = {
+  CONFIG_KEYS,
+  getCompletions,
+  getHover,
+};
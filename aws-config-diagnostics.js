@@ -0,0 +1,312 @@
+/**
+ * Checks AWS config file content for mistakes that make SSO profiles
+ * disappear from the profile list, and computes quick fixes for them.
+ *
+ * Problems have a code, message, severity ("error", "warning" or
+ * "information"), a 1-based line and column, an exclusive endColumn and the
+ * data their quick fixes need.
+ */
+
+const { parseConfigText, getValue, extractSsoProfiles } = require("./aws-config-parser");
+const {
+  AWS_REGIONS,
+  isValidProfileName,
+  isKnownRegion,
+  isValidStartUrl,
+  isValidAccountId,
+} = require("./profile-validation");
+
+// Sections the AWS CLI reads besides profiles, sso-sessions and services
+const OTHER_SECTIONS = ["plugins", "preview"];
+
+/**
+ * Compute the edit distance between two strings
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the candidates closest to a misspelled name
+ * @param {string} name The name
+ * @param {string[]} candidates Possible names
+ * @param {number} [limit] Maximum number of suggestions
+ * @returns {string[]} Closest candidates first, only reasonably close ones
+ */
+function findClosest(name, candidates, limit = 3) {
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  return candidates
+    .map((candidate) => ({ candidate, distance: editDistance(name.toLowerCase(), candidate.toLowerCase()) }))
+    .filter((entry) => entry.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map((entry) => entry.candidate);
+}
+
+/**
+ * Check AWS config file content
+ * @param {string} text Config file content
+ * @param {Object} [options]
+ * @param {string} [options.file] Path of the file
+ * @returns {Array} Problems sorted by position
+ */
+function analyzeConfig(text, options = {}) {
+  const config = parseConfigText(text, { file: options.file });
+  const lines = text.split(/\r?\n/);
+  const problems = [];
+
+  const add = (problem) => {
+    problems.push({
+      ...problem,
+      endColumn: problem.endColumn || (lines[problem.line - 1] || "").length + 1,
+    });
+  };
+  const headerRange = (section) => ({
+    line: section.line,
+    column: section.column,
+    endColumn: section.column + section.header.length + 2,
+  });
+  const valueRange = (property) => ({
+    line: property.line,
+    column: property.valueColumn,
+    endColumn: property.valueColumn + property.value.split("\n")[0].length,
+  });
+  const lastLine = (section) => section.ranges[section.ranges.length - 1].endLine;
+  const label = (section) => (section.kind === "profile" ? `Profile "${section.name}"` : `sso-session "${section.name}"`);
+
+  const requireKeys = (section, keys, severity) => {
+    for (const key of keys) {
+      if (!getValue(section, key)) {
+        add({
+          code: "missing-key",
+          severity,
+          message: `${label(section)} is missing ${key}`,
+          ...headerRange(section),
+          data: { key, insertAfterLine: lastLine(section) },
+        });
+      }
+    }
+  };
+
+  const checkValue = (section, key, isValid, message, candidates) => {
+    const property = section.properties[key];
+    if (!property || !property.value || isValid(property.value)) {
+      return;
+    }
+    add({
+      code: "invalid-value",
+      severity: "warning",
+      message: message(property.value),
+      ...valueRange(property),
+      data: { key, candidates: candidates ? findClosest(property.value, candidates) : [] },
+    });
+  };
+
+  for (const error of config.errors) {
+    add({ code: "syntax", severity: "error", message: error.message, line: error.line, column: error.column });
+  }
+
+  const sessionNames = Object.keys(config.ssoSessions);
+  const profileNames = Object.keys(config.profiles);
+
+  for (const section of config.sections) {
+    for (const duplicate of section.duplicates) {
+      const range = section.ranges.find((candidate) => candidate.startLine === duplicate.line);
+      add({
+        code: "duplicate-section",
+        severity: "warning",
+        message: `[${section.header}] is defined more than once; its keys are merged with the first definition on line ${section.line}`,
+        line: duplicate.line,
+        column: duplicate.column,
+        data: { startLine: range.startLine, endLine: range.endLine },
+      });
+    }
+
+    if (section.kind === "other") {
+      if (OTHER_SECTIONS.includes(section.name)) {
+        continue;
+      }
+      const isProfileName = !/\s/.test(section.name);
+      add({
+        code: isProfileName ? "missing-profile-prefix" : "unknown-section",
+        severity: "warning",
+        message: isProfileName
+          ? `[${section.name}] is ignored. In the config file, profiles other than default are written as [profile ${section.name}]`
+          : `Unknown section [${section.header}]`,
+        ...headerRange(section),
+        data: { name: section.name },
+      });
+      continue;
+    }
+
+    if ((section.kind === "profile" || section.kind === "sso-session") && !isValidProfileName(section.name)) {
+      add({
+        code: "invalid-name",
+        severity: "warning",
+        message: `${label(section)} can't be used with AWS SSO Login. Names may only contain letters, numbers, hyphens, underscores, and periods`,
+        ...headerRange(section),
+      });
+    }
+
+    if (section.kind === "sso-session") {
+      requireKeys(section, ["sso_start_url", "sso_region"], "error");
+      checkValue(section, "sso_start_url", isValidStartUrl, (value) => `sso_start_url must be an https URL: ${value}`);
+      checkValue(section, "sso_region", isKnownRegion, (value) => `Unknown AWS region: ${value}`, AWS_REGIONS);
+      continue;
+    }
+
+    if (section.kind !== "profile") {
+      continue;
+    }
+
+    const ssoSession = section.properties.sso_session;
+    if (ssoSession && ssoSession.value) {
+      if (!config.ssoSessions[ssoSession.value]) {
+        add({
+          code: "unknown-sso-session",
+          severity: "error",
+          message: `sso-session "${ssoSession.value}" is not defined in this file`,
+          ...valueRange(ssoSession),
+          data: { name: ssoSession.value, candidates: findClosest(ssoSession.value, sessionNames) },
+        });
+      }
+      // A profile with only sso_session is valid for "aws sso login"; half an account/role pair isn't
+      const hasAccount = Boolean(getValue(section, "sso_account_id"));
+      const hasRole = Boolean(getValue(section, "sso_role_name"));
+      if (hasAccount !== hasRole) {
+        requireKeys(section, ["sso_account_id", "sso_role_name"], "warning");
+      }
+    } else if (["sso_start_url", "sso_region", "sso_account_id", "sso_role_name"].some((key) => section.properties[key])) {
+      requireKeys(section, ["sso_start_url", "sso_region", "sso_account_id", "sso_role_name"], "warning");
+    }
+
+    checkValue(section, "sso_account_id", isValidAccountId, (value) => `sso_account_id must be 12 digits: ${value}`);
+    checkValue(section, "sso_start_url", isValidStartUrl, (value) => `sso_start_url must be an https URL: ${value}`);
+    checkValue(section, "sso_region", isKnownRegion, (value) => `Unknown AWS region: ${value}`, AWS_REGIONS);
+    checkValue(section, "region", isKnownRegion, (value) => `Unknown AWS region: ${value}`, AWS_REGIONS);
+
+    const sourceProfile = section.properties.source_profile;
+    if (sourceProfile && sourceProfile.value && !config.profiles[sourceProfile.value]) {
+      add({
+        code: "missing-source-profile",
+        severity: "error",
+        message: `source_profile "${sourceProfile.value}" is not defined in this file`,
+        ...valueRange(sourceProfile),
+        data: {
+          name: sourceProfile.value,
+          candidates: findClosest(sourceProfile.value, profileNames.filter((name) => name !== section.name)),
+        },
+      });
+    }
+  }
+
+  // Role chains; missing source profiles are reported above with quick fixes
+  const chainProblems = [];
+  extractSsoProfiles(config, chainProblems);
+  for (const problem of chainProblems) {
+    if (problem.code === "missing-source-profile") {
+      continue;
+    }
+    add({
+      code: problem.code,
+      severity: problem.code === "no-sso-root" ? "information" : "error",
+      message: problem.message,
+      line: problem.line,
+      column: problem.column,
+    });
+  }
+
+  return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Compute quick fixes for a problem found by analyzeConfig
+ * @param {string} text Config file content the problem was found in
+ * @param {Object} problem The problem
+ * @returns {Array} Fixes with title and edits; edits have 1-based line and
+ *   column, endLine and exclusive endColumn, and the replacement text
+ */
+function getQuickFixes(text, problem) {
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.split(/\r?\n/);
+  const data = problem.data || {};
+  const replaceValue = (value) => ({
+    title: `Change to "${value}"`,
+    edits: [{ line: problem.line, column: problem.column, endLine: problem.line, endColumn: problem.endColumn, text: value }],
+  });
+  const insertAfter = (line, insertText) => {
+    const column = (lines[line - 1] || "").length + 1;
+    return { line, column, endLine: line, endColumn: column, text: insertText };
+  };
+
+  switch (problem.code) {
+    case "missing-key":
+      return [{
+        title: `Add ${data.key}`,
+        edits: [insertAfter(data.insertAfterLine, `${eol}${data.key} = `)],
+      }];
+
+    case "unknown-sso-session": {
+      let last = lines.length;
+      while (last > 0 && lines[last - 1].trim() === "") {
+        last--;
+      }
+      const block = [`[sso-session ${data.name}]`, "sso_start_url = ", "sso_region = "].join(eol);
+      return [
+        ...data.candidates.map(replaceValue),
+        {
+          title: `Add [sso-session ${data.name}]`,
+          edits: [insertAfter(last, `${last > 0 ? eol + eol : ""}${block}`)],
+        },
+      ];
+    }
+
+    case "missing-source-profile":
+    case "invalid-value":
+      return (data.candidates || []).map(replaceValue);
+
+    case "missing-profile-prefix":
+      return [{
+        title: `Rename to [profile ${data.name}]`,
+        edits: [{ line: problem.line, column: problem.column, endLine: problem.line, endColumn: problem.endColumn, text: `[profile ${data.name}]` }],
+      }];
+
+    case "duplicate-section": {
+      // Delete whole lines, including the line break after the section and
+      // the blank line that separated it from the previous one
+      const end = data.endLine < lines.length
+        ? { endLine: data.endLine + 1, endColumn: 1 }
+        : { endLine: data.endLine, endColumn: lines[data.endLine - 1].length + 1 };
+      const startLine = data.startLine > 1 && lines[data.startLine - 2].trim() === "" ? data.startLine - 1 : data.startLine;
+      return [{
+        title: "Remove duplicate section",
+        edits: [{ line: startLine, column: 1, ...end, text: "" }],
+      }];
+    }
+
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  editDistance,
+  findClosest,
+  analyzeConfig,
+  getQuickFixes,
+};
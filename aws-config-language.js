@@ -0,0 +1,247 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { analyzeConfig, getQuickFixes } = require("./aws-config-diagnostics");
+const { getCompletions, getHover } = require("./aws-config-completions");
+
+const SEVERITIES = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+  information: vscode.DiagnosticSeverity.Information,
+};
+
+const COMPLETION_KINDS = {
+  section: vscode.CompletionItemKind.Module,
+  key: vscode.CompletionItemKind.Property,
+  value: vscode.CompletionItemKind.Value,
+};
+
+/**
+ * Convert a 1-based problem or edit range to a vscode.Range
+ * @param {Object} range Range with line, column, optional endLine and exclusive endColumn
+ * @returns {vscode.Range}
+ */
+function toRange(range) {
+  return new vscode.Range(
+    range.line - 1,
+    range.column - 1,
+    (range.endLine || range.line) - 1,
+    range.endColumn - 1
+  );
+}
+
+/**
+ * Diagnostics, quick fixes, completions and hover documentation for the AWS
+ * config files the extension reads. Problems of files that aren't open are
+ * read from disk, so they show up in the Problems view as well.
+ */
+class AwsConfigLanguageSupport {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getConfigSources Function returning the config sources to check
+   */
+  constructor(options) {
+    this.getConfigSources = options.getConfigSources;
+    this.collection = vscode.languages.createDiagnosticCollection("awsSsoLogin");
+    // Problems by file, for the quick fixes
+    this.problems = new Map();
+    this.timers = new Map();
+    this.providers = [];
+    this.files = [];
+
+    this.disposables = [
+      vscode.workspace.onDidOpenTextDocument((document) => this.validateDocument(document)),
+      vscode.workspace.onDidChangeTextDocument((event) => this.scheduleValidation(event.document)),
+      vscode.workspace.onDidCloseTextDocument((document) => {
+        // Unsaved changes are gone, show the problems of the file on disk again
+        if (this.isConfigDocument(document)) {
+          this.validateFile(document.uri.fsPath);
+        }
+      }),
+    ];
+
+    this.refresh();
+  }
+
+  /**
+   * Check whether a document is one of the config files
+   * @param {vscode.TextDocument} document The document
+   * @returns {boolean} True for config files
+   */
+  isConfigDocument(document) {
+    return document.uri.scheme === "file" && this.files.includes(path.resolve(document.uri.fsPath));
+  }
+
+  /**
+   * Re-read the config sources, register the providers for them and check every config file
+   */
+  refresh() {
+    const files = this.getConfigSources().map((source) => source.file);
+    for (const file of this.files) {
+      if (!files.includes(file)) {
+        this.collection.delete(vscode.Uri.file(file));
+        this.problems.delete(file);
+      }
+    }
+    this.files = files;
+    this.registerProviders();
+
+    for (const file of files) {
+      const document = vscode.workspace.textDocuments.find(
+        (candidate) => candidate.uri.scheme === "file" && path.resolve(candidate.uri.fsPath) === file
+      );
+      if (document) {
+        this.validateDocument(document);
+      } else {
+        this.validateFile(file);
+      }
+    }
+  }
+
+  /**
+   * Register completion, hover and quick fix providers for the config files
+   */
+  registerProviders() {
+    this.providers.forEach((provider) => provider.dispose());
+    const selector = this.files.map((file) => ({
+      scheme: "file",
+      pattern: new vscode.RelativePattern(path.dirname(file), path.basename(file)),
+    }));
+
+    this.providers = [
+      vscode.languages.registerCompletionItemProvider(selector, {
+        provideCompletionItems: (document, position) =>
+          getCompletions(document.getText(), position.line + 1, position.character + 1).map((completion) => {
+            const item = new vscode.CompletionItem(completion.label, COMPLETION_KINDS[completion.kind]);
+            item.detail = completion.detail;
+            if (completion.documentation) {
+              item.documentation = new vscode.MarkdownString(completion.documentation);
+            }
+            item.insertText = completion.insertText;
+            return item;
+          }),
+      }, "[", "="),
+
+      vscode.languages.registerHoverProvider(selector, {
+        provideHover: (document, position) => {
+          const hover = getHover(document.getText(), position.line + 1, position.character + 1);
+          return hover && new vscode.Hover(new vscode.MarkdownString(hover.contents), toRange(hover));
+        },
+      }),
+
+      vscode.languages.registerCodeActionsProvider(selector, {
+        provideCodeActions: (document, range) => this.provideQuickFixes(document, range),
+      }, { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }),
+    ];
+  }
+
+  /**
+   * Build quick fixes for the problems in a range
+   * @param {vscode.TextDocument} document The document
+   * @param {vscode.Range} range Requested range
+   * @returns {vscode.CodeAction[]} Quick fixes
+   */
+  provideQuickFixes(document, range) {
+    const text = document.getText();
+    const problems = this.problems.get(path.resolve(document.uri.fsPath)) || [];
+    const actions = [];
+
+    for (const problem of problems) {
+      const problemRange = toRange(problem);
+      if (!problemRange.intersection(range)) {
+        continue;
+      }
+      const diagnostic = this.toDiagnostic(problem);
+      getQuickFixes(text, problem).forEach((fix, index) => {
+        const action = new vscode.CodeAction(fix.title, vscode.CodeActionKind.QuickFix);
+        action.edit = new vscode.WorkspaceEdit();
+        for (const edit of fix.edits) {
+          action.edit.replace(document.uri, toRange(edit), edit.text);
+        }
+        action.diagnostics = [diagnostic];
+        action.isPreferred = index === 0 && problem.code !== "unknown-sso-session";
+        actions.push(action);
+      });
+    }
+    return actions;
+  }
+
+  /**
+   * Convert a problem to a diagnostic
+   * @param {Object} problem Problem from analyzeConfig
+   * @returns {vscode.Diagnostic}
+   */
+  toDiagnostic(problem) {
+    const diagnostic = new vscode.Diagnostic(toRange(problem), problem.message, SEVERITIES[problem.severity]);
+    diagnostic.source = "AWS SSO Login";
+    diagnostic.code = problem.code;
+    return diagnostic;
+  }
+
+  /**
+   * Store and publish the problems of a file
+   * @param {string} file Absolute file path
+   * @param {Array} problems Problems from analyzeConfig
+   */
+  publish(file, problems) {
+    this.problems.set(file, problems);
+    this.collection.set(vscode.Uri.file(file), problems.map((problem) => this.toDiagnostic(problem)));
+  }
+
+  /**
+   * Check an open document, if it is a config file
+   * @param {vscode.TextDocument} document The document
+   */
+  validateDocument(document) {
+    if (!this.isConfigDocument(document)) {
+      return;
+    }
+    const file = path.resolve(document.uri.fsPath);
+    this.publish(file, analyzeConfig(document.getText(), { file }));
+  }
+
+  /**
+   * Check a config file on disk. Missing files have no problems, and neither
+   * have files that can't be read, such as directories; reading the profiles
+   * reports those.
+   * @param {string} file Absolute file path
+   */
+  validateFile(file) {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (error) {
+      this.collection.delete(vscode.Uri.file(file));
+      this.problems.delete(file);
+      return;
+    }
+    this.publish(file, analyzeConfig(text, { file }));
+  }
+
+  /**
+   * Check a document shortly after the last change
+   * @param {vscode.TextDocument} document The changed document
+   */
+  scheduleValidation(document) {
+    if (!this.isConfigDocument(document)) {
+      return;
+    }
+    const key = document.uri.toString();
+    clearTimeout(this.timers.get(key));
+    this.timers.set(key, setTimeout(() => {
+      this.timers.delete(key);
+      this.validateDocument(document);
+    }, 300));
+  }
+
+  dispose() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.providers.forEach((provider) => provider.dispose());
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.collection.dispose();
+  }
+}
+
+module.exports = {
+  AwsConfigLanguageSupport,
+};
@@ -0,0 +1,404 @@
+/**
+ * Tokenizer and parser for the AWS CLI shared config file (~/.aws/config).
+ *
+ * Follows the AWS CLI / SDK shared config file rules:
+ * - Lines starting with "#" or ";" are comments
+ * - "#" or ";" preceded by whitespace starts an inline comment
+ * - "[profile name]", "[default]", "[sso-session name]" and "[services name]" start sections
+ * - Indented lines continue the previous property. If the property's value is
+ *   empty they are sub-properties (e.g. "s3 =" followed by "  max_concurrent_requests = 20"),
+ *   otherwise they are appended to the value
+ * - Sections that appear more than once are merged, later keys win
+ *
+ * All line and column numbers are 1-based.
+ */
+
+/**
+ * Remove an inline comment ("#" or ";" preceded by whitespace) from a line
+ * @param {string} text The text to strip
+ * @returns {string} Text without the inline comment
+ */
+function stripInlineComment(text) {
+  const match = text.match(/\s[#;]/);
+  return match ? text.substring(0, match.index) : text;
+}
+
+/**
+ * Split config text into line tokens
+ * @param {string} text The config file content
+ * @returns {Array} Tokens with type "blank", "comment", "section", "property" or "invalid"
+ */
+function tokenize(text) {
+  const lines = text.split("\n");
+  const tokens = [];
+
+  lines.forEach((rawLine, index) => {
+    const line = index + 1;
+    const content = rawLine.replace(/\r$/, "");
+    const indent = content.length - content.trimStart().length;
+    const trimmed = content.trim();
+
+    if (!trimmed) {
+      tokens.push({ type: "blank", line });
+      return;
+    }
+
+    if (trimmed.startsWith("#") || trimmed.startsWith(";")) {
+      tokens.push({ type: "comment", line, column: indent + 1, text: trimmed });
+      return;
+    }
+
+    if (trimmed.startsWith("[")) {
+      const close = trimmed.indexOf("]");
+      const rest = close === -1 ? "" : trimmed.substring(close + 1).trim();
+      if (close !== -1 && (!rest || rest.startsWith("#") || rest.startsWith(";"))) {
+        const inner = trimmed.substring(1, close);
+        tokens.push({
+          type: "section",
+          line,
+          column: indent + 1,
+          indent,
+          header: inner.trim(),
+          nameColumn: indent + 2 + (inner.length - inner.trimStart().length),
+        });
+        return;
+      }
+      tokens.push({ type: "invalid", line, column: indent + 1, indent, text: trimmed, message: "Malformed section header" });
+      return;
+    }
+
+    const withoutComment = stripInlineComment(content);
+    const equals = withoutComment.indexOf("=");
+    if (equals !== -1) {
+      const key = withoutComment.substring(0, equals).trim();
+      const rawValue = withoutComment.substring(equals + 1);
+      const value = rawValue.trim();
+      if (key) {
+        tokens.push({
+          type: "property",
+          line,
+          column: indent + 1,
+          indent,
+          key,
+          value,
+          valueColumn: equals + 2 + (rawValue.length - rawValue.trimStart().length),
+        });
+        return;
+      }
+    }
+
+    tokens.push({
+      type: "invalid",
+      line,
+      column: indent + 1,
+      indent,
+      text: stripInlineComment(trimmed).trim(),
+      message: "Expected \"key = value\"",
+    });
+  });
+
+  return tokens;
+}
+
+/**
+ * Classify a section header
+ * @param {string} header Text between the brackets
+ * @returns {Object} Section kind and name
+ */
+function classifySection(header) {
+  if (header === "default") {
+    return { kind: "profile", name: "default" };
+  }
+  const match = header.match(/^(profile|sso-session|services)\s+(.+)$/);
+  if (match) {
+    return { kind: match[1], name: match[2].trim() };
+  }
+  return { kind: "other", name: header };
+}
+
+/**
+ * Parse AWS config file content
+ * @param {string} text The config file content
+ * @param {Object} [options]
+ * @param {string} [options.file] Path of the file, recorded on every section
+ * @returns {Object} Parsed config with sections, profiles, ssoSessions, services and errors
+ */
+function parseConfigText(text, options = {}) {
+  const file = options.file;
+  const config = {
+    file,
+    sections: [],
+    profiles: {},
+    ssoSessions: {},
+    services: {},
+    errors: [],
+  };
+  const byKey = {};
+  const collections = {
+    profile: config.profiles,
+    "sso-session": config.ssoSessions,
+    services: config.services,
+  };
+
+  let section = null;
+  let property = null;
+
+  for (const token of tokenize(text)) {
+    if (token.type === "blank" || token.type === "comment") {
+      continue;
+    }
+
+    // Indented lines belong to the previous property, section headers always start a section
+    if (token.indent > 0 && property && token.type !== "section") {
+      if (property.value === "" && token.type === "property") {
+        property.subProperties = property.subProperties || {};
+        property.subProperties[token.key.toLowerCase()] = {
+          key: token.key.toLowerCase(),
+          value: token.value,
+          line: token.line,
+          column: token.column,
+          valueColumn: token.valueColumn,
+        };
+      } else if (property.value !== "") {
+        const text = token.type === "property"
+          ? `${token.key} = ${token.value}`
+          : token.text;
+        property.value += "\n" + text;
+      } else {
+        config.errors.push({ message: "Unexpected indented line", line: token.line, column: token.column });
+      }
+      section.endLine = token.line;
+      section.ranges[section.ranges.length - 1].endLine = token.line;
+      continue;
+    }
+
+    if (token.type === "section") {
+      const { kind, name } = classifySection(token.header);
+      const sectionKey = `${kind} ${name}`;
+      property = null;
+
+      if (byKey[sectionKey]) {
+        section = byKey[sectionKey];
+        section.duplicates.push({ line: token.line, column: token.column });
+        section.ranges.push({ startLine: token.line, endLine: token.line });
+        continue;
+      }
+
+      section = {
+        kind,
+        name,
+        header: token.header,
+        file,
+        line: token.line,
+        column: token.column,
+        nameColumn: token.nameColumn,
+        endLine: token.line,
+        ranges: [{ startLine: token.line, endLine: token.line }],
+        duplicates: [],
+        properties: {},
+      };
+      byKey[sectionKey] = section;
+      config.sections.push(section);
+      if (collections[kind]) {
+        collections[kind][name] = section;
+      }
+      continue;
+    }
+
+    if (token.type === "invalid") {
+      config.errors.push({ message: token.message, line: token.line, column: token.column });
+      property = null;
+      continue;
+    }
+
+    // Property outside of any section
+    if (!section) {
+      config.errors.push({ message: "Property defined outside of a section", line: token.line, column: token.column });
+      continue;
+    }
+
+    const key = token.key.toLowerCase();
+    property = {
+      key,
+      value: token.value,
+      line: token.line,
+      column: token.column,
+      valueColumn: token.valueColumn,
+    };
+    section.properties[key] = property;
+    section.endLine = token.line;
+    section.ranges[section.ranges.length - 1].endLine = token.line;
+  }
+
+  return config;
+}
+
+/**
+ * Get the plain value of a section property
+ * @param {Object} section Parsed section
+ * @param {string} key Property key
+ * @returns {string|undefined} The value, or undefined if the key isn't set
+ */
+function getValue(section, key) {
+  const property = section && section.properties[key];
+  return property ? property.value : undefined;
+}
+
+/**
+ * Parse an IAM role ARN
+ * @param {string} roleArn The role ARN, e.g. "arn:aws:iam::123456789012:role/path/Name"
+ * @returns {Object|null} Account ID and role name, or null if the ARN isn't a role ARN
+ */
+function parseRoleArn(roleArn) {
+  const match = String(roleArn).match(/^arn:[^:]+:iam::(\d{12}):role\/(?:.*\/)?([^/]+)$/);
+  return match ? { accountId: match[1], roleName: match[2] } : null;
+}
+
+/**
+ * Extract SSO profiles from a parsed config. Profiles that assume a role via
+ * source_profile + role_arn are resolved back to the SSO profile at the root
+ * of their chain.
+ * @param {Object} config Config returned by parseConfigText
+ * @param {Array} [problems] Receives chains that can't be resolved, with message, code, file, line and column
+ * @returns {Object} Object with profile names as keys and profile configs as values
+ */
+function extractSsoProfiles(config, problems = []) {
+  const ssoProfiles = {};
+  const chainedProfiles = [];
+
+  for (const [profileName, section] of Object.entries(config.profiles)) {
+    const source = { file: section.file, line: section.line };
+    const accountId = getValue(section, "sso_account_id");
+    const roleName = getValue(section, "sso_role_name");
+    const ssoSessionName = getValue(section, "sso_session");
+
+    // Case 1: Profile has direct SSO configuration
+    if (
+      getValue(section, "sso_start_url") &&
+      getValue(section, "sso_region") &&
+      accountId &&
+      roleName
+    ) {
+      ssoProfiles[profileName] = {
+        name: profileName,
+        startUrl: getValue(section, "sso_start_url"),
+        region: getValue(section, "sso_region"),
+        accountId,
+        roleName,
+        source,
+      };
+    }
+    // Case 2: Profile references an sso-session and has account_id and role_name
+    else if (ssoSessionName && accountId && roleName) {
+      const ssoSession = config.ssoSessions[ssoSessionName];
+      const startUrl = getValue(ssoSession, "sso_start_url");
+      const region = getValue(ssoSession, "sso_region");
+
+      if (startUrl && region) {
+        ssoProfiles[profileName] = {
+          name: profileName,
+          startUrl,
+          region,
+          accountId,
+          roleName,
+          ssoSession: ssoSessionName,
+          source,
+        };
+        const scopes = getValue(ssoSession, "sso_registration_scopes");
+        if (scopes) {
+          ssoProfiles[profileName].scopes = scopes.split(",").map(scope => scope.trim()).filter(Boolean);
+        }
+      }
+    }
+    // Case 3: Profile references another profile via source_profile
+    else if (getValue(section, "source_profile") && getValue(section, "role_arn")) {
+      chainedProfiles.push(profileName);
+    }
+  }
+
+  // Resolve role chains once all SSO roots are known
+  const resolved = {};
+  const resolveChain = (profileName, visiting) => {
+    if (profileName in resolved) {
+      return resolved[profileName];
+    }
+
+    const section = config.profiles[profileName];
+    const sourceProfile = getValue(section, "source_profile");
+    const roleArn = getValue(section, "role_arn");
+    const report = (message, code) => {
+      const property = section.properties.source_profile;
+      problems.push({ message, code, file: section.file, line: property.line, column: property.valueColumn });
+    };
+
+    if (visiting.includes(profileName)) {
+      report(`Profile "${profileName}" has a source_profile cycle: ${[...visiting, profileName].join(" → ")}`, "source-profile-cycle");
+      return (resolved[profileName] = null);
+    }
+    if (!config.profiles[sourceProfile]) {
+      report(`Profile "${profileName}" references missing source_profile "${sourceProfile}"`, "missing-source-profile");
+      return (resolved[profileName] = null);
+    }
+
+    const role = parseRoleArn(roleArn);
+    if (!role) {
+      const property = section.properties.role_arn;
+      problems.push({ message: `Profile "${profileName}" has an invalid role_arn: ${roleArn}`, code: "invalid-role-arn", file: section.file, line: property.line, column: property.valueColumn });
+      return (resolved[profileName] = null);
+    }
+
+    // Profiles that are neither SSO nor chained (e.g. static keys) end the chain
+    const sourceSection = config.profiles[sourceProfile];
+    const sourceIsChained = !ssoProfiles[sourceProfile] &&
+      getValue(sourceSection, "source_profile") && getValue(sourceSection, "role_arn");
+    const parent = ssoProfiles[sourceProfile] || (sourceIsChained ? resolveChain(sourceProfile, [...visiting, profileName]) : null);
+    if (!parent) {
+      if (!sourceIsChained) {
+        report(`Profile "${profileName}" does not resolve to an SSO profile`, "no-sso-root");
+      }
+      return (resolved[profileName] = null);
+    }
+
+    const parentChain = parent.chain || [parent.name];
+    return (resolved[profileName] = {
+      name: profileName,
+      startUrl: parent.startUrl,
+      region: parent.region,
+      accountId: role.accountId,
+      roleName: role.roleName,
+      ssoSession: parent.ssoSession,
+      scopes: parent.scopes,
+      roleArn,
+      chain: [profileName, ...parentChain],
+      source: { file: section.file, line: section.line },
+    });
+  };
+
+  for (const profileName of chainedProfiles) {
+    const profile = resolveChain(profileName, []);
+    if (profile) {
+      ssoProfiles[profileName] = profile;
+    }
+  }
+
+  return ssoProfiles;
+}
+
+/**
+ * Get the name of the SSO profile to log in with. For role-chaining profiles
+ * this is the SSO profile at the root of the chain.
+ * @param {Object} profile The SSO profile
+ * @returns {string} Profile name to pass to "aws sso login"
+ */
+function getLoginProfileName(profile) {
+  return profile.chain ? profile.chain[profile.chain.length - 1] : profile.name;
+}
+
+module.exports = {
+  tokenize,
+  parseConfigText,
+  getValue,
+  parseRoleArn,
+  extractSsoProfiles,
+  getLoginProfileName,
+};
@@ -0,0 +1,137 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { parseConfigText, extractSsoProfiles } = require("./aws-config-parser");
+
+/**
+ * Expand a leading "~" to the user's home directory
+ * @param {string} filePath The path to expand
+ * @returns {string} Expanded path
+ */
+function expandHome(filePath) {
+  if (filePath === "~") {
+    return os.homedir();
+  }
+  if (filePath.startsWith("~/") || filePath.startsWith("~\\")) {
+    return path.join(os.homedir(), filePath.substring(2));
+  }
+  return filePath;
+}
+
+/**
+ * Get the config file the AWS CLI reads, honoring AWS_CONFIG_FILE
+ * @param {Object} [env] Environment variables, defaults to process.env
+ * @returns {Object} Config source with file and origin
+ */
+function getDefaultConfigSource(env = process.env) {
+  if (env.AWS_CONFIG_FILE) {
+    return { file: path.resolve(expandHome(env.AWS_CONFIG_FILE)), origin: "AWS_CONFIG_FILE" };
+  }
+  return { file: path.join(os.homedir(), ".aws", "config"), origin: "default" };
+}
+
+/**
+ * Resolve all config files to read profiles from, in precedence order.
+ *
+ * Precedence (first wins when several files define the same profile):
+ * 1. AWS_CONFIG_FILE, or ~/.aws/config when it isn't set
+ * 2. Files from the awsSsoLogin.configFiles setting, in the order listed
+ *
+ * Relative paths in the setting are resolved against every workspace folder;
+ * "${workspaceFolder}" and a leading "~" are expanded.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] Environment variables, defaults to process.env
+ * @param {string[]} [options.extraFiles] Paths from the awsSsoLogin.configFiles setting
+ * @param {string[]} [options.workspaceFolders] Absolute paths of the open workspace folders
+ * @returns {Array} Config sources with file and origin, without duplicates
+ */
+function resolveConfigSources(options = {}) {
+  const extraFiles = options.extraFiles || [];
+  const workspaceFolders = options.workspaceFolders || [];
+  const sources = [getDefaultConfigSource(options.env)];
+
+  for (const entry of extraFiles) {
+    if (typeof entry !== "string" || !entry.trim()) {
+      continue;
+    }
+    const expanded = expandHome(entry.trim());
+
+    if (expanded.includes("${workspaceFolder}")) {
+      for (const folder of workspaceFolders) {
+        sources.push({ file: path.resolve(expanded.split("${workspaceFolder}").join(folder)), origin: "setting" });
+      }
+    } else if (path.isAbsolute(expanded)) {
+      sources.push({ file: path.resolve(expanded), origin: "setting" });
+    } else {
+      for (const folder of workspaceFolders) {
+        sources.push({ file: path.resolve(folder, expanded), origin: "setting" });
+      }
+    }
+  }
+
+  const seen = new Set();
+  return sources.filter(source => {
+    if (seen.has(source.file)) {
+      return false;
+    }
+    seen.add(source.file);
+    return true;
+  });
+}
+
+/**
+ * Read and parse every config source. Missing files are skipped, as are
+ * files that can't be read, such as directories; those are reported in errors.
+ * @param {Array} sources Sources returned by resolveConfigSources
+ * @param {Array} [errors] Receives read errors as { file, line, column, message }
+ * @returns {Array} Parsed configs, one per readable file, in precedence order
+ */
+function readConfigSources(sources, errors = []) {
+  const configs = [];
+  for (const source of sources) {
+    if (!fs.existsSync(source.file)) {
+      continue;
+    }
+    let text;
+    try {
+      text = fs.readFileSync(source.file, "utf8");
+    } catch (error) {
+      errors.push({ file: source.file, line: 1, column: 1, message: `Could not read the config file: ${error.message}` });
+      continue;
+    }
+    const config = parseConfigText(text, { file: source.file });
+    config.origin = source.origin;
+    configs.push(config);
+  }
+  return configs;
+}
+
+/**
+ * Merge the SSO profiles of several parsed configs. Profiles are taken as a
+ * whole from the first config that defines them; sso-session references are
+ * only resolved within the same file, as the AWS CLI does.
+ * @param {Array} configs Parsed configs in precedence order
+ * @param {Array} [problems] Receives role chains that can't be resolved
+ * @returns {Object} Object with profile names as keys and profile configs as values
+ */
+function mergeSsoProfiles(configs, problems = []) {
+  const merged = {};
+  for (const config of configs) {
+    const profiles = extractSsoProfiles(config, problems);
+    for (const [name, profile] of Object.entries(profiles)) {
+      if (!merged[name]) {
+        merged[name] = profile;
+      }
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  expandHome,
+  getDefaultConfigSource,
+  resolveConfigSources,
+  readConfigSources,
+  mergeSsoProfiles,
+};
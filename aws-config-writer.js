@@ -0,0 +1,202 @@
+/**
+ * Edits AWS config file content in place. Only the lines of the edited
+ * section change; comments, blank lines and the order of sections and keys
+ * are kept, as are the file's line endings.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { tokenize, parseConfigText } = require("./aws-config-parser");
+const { writeFileAtomic } = require("./atomic-file");
+
+/**
+ * Format a section header
+ * @param {string} kind Section kind: "profile", "sso-session" or "services"
+ * @param {string} name Section name
+ * @returns {string} Header line, e.g. "[profile dev]" or "[default]"
+ */
+function formatSectionHeader(kind, name) {
+  if (kind === "profile" && name === "default") {
+    return "[default]";
+  }
+  return `[${kind} ${name}]`;
+}
+
+/**
+ * Check whether a property value means "remove the key"
+ * @param {*} value The value
+ * @returns {boolean} True for undefined, null and empty strings
+ */
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * Append blocks of lines to config text, separated by blank lines
+ * @param {string} text Current config file content
+ * @param {Array} blocks Arrays of lines
+ * @returns {string} New content
+ */
+function appendConfigBlocks(text, blocks) {
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text ? text.split(/\r?\n/) : [];
+  while (lines.length > 0 && lines[lines.length - 1].trim() === "") {
+    lines.pop();
+  }
+  for (const block of blocks) {
+    if (lines.length > 0) {
+      lines.push("");
+    }
+    lines.push(...block);
+  }
+  lines.push("");
+  return lines.join(eol);
+}
+
+/**
+ * Create or update a section. Existing keys are changed on their own line,
+ * new keys are added after the section's last key, and keys set to an empty
+ * value are removed. A missing section is appended at the end.
+ * @param {string} text Current config file content
+ * @param {Object} change
+ * @param {string} change.kind Section kind
+ * @param {string} change.name Current section name
+ * @param {string} [change.newName] New section name, to rename the section
+ * @param {Object} [change.properties] Values by key; empty values remove the key
+ * @returns {string} New content
+ */
+function updateConfigSection(text, change) {
+  const properties = change.properties || {};
+  const section = parseConfigText(text).sections.find(
+    (candidate) => candidate.kind === change.kind && candidate.name === change.name
+  );
+
+  if (!section) {
+    const block = [formatSectionHeader(change.kind, change.newName || change.name)];
+    for (const [key, value] of Object.entries(properties)) {
+      if (!isEmptyValue(value)) {
+        block.push(`${key} = ${value}`);
+      }
+    }
+    return appendConfigBlocks(text, [block]);
+  }
+
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const inSection = (line) => section.ranges.some((range) => line >= range.startLine && line <= range.endLine);
+  const replacements = new Map();
+  const handled = new Set();
+  let replacedKey = null;
+
+  for (const token of tokenize(text)) {
+    if (!inSection(token.line) || token.type === "blank" || token.type === "comment") {
+      continue;
+    }
+    if (token.type === "section") {
+      replacedKey = null;
+      if (change.newName) {
+        replacements.set(token.line - 1, [" ".repeat(token.indent) + formatSectionHeader(change.kind, change.newName)]);
+      }
+      continue;
+    }
+    if (token.type === "property" && token.indent === 0) {
+      const key = token.key.toLowerCase();
+      replacedKey = key in properties ? key : null;
+      if (replacedKey) {
+        // Later duplicates of a key are dropped so the new value wins
+        const value = properties[key];
+        replacements.set(token.line - 1, isEmptyValue(value) || handled.has(key) ? [] : [`${token.key} = ${value}`]);
+        handled.add(key);
+      }
+      continue;
+    }
+    // Indented lines continue a property and go with it
+    if (replacedKey && token.indent > 0) {
+      replacements.set(token.line - 1, []);
+    }
+  }
+
+  const added = Object.entries(properties)
+    .filter(([key, value]) => !handled.has(key) && !isEmptyValue(value))
+    .map(([key, value]) => `${key} = ${value}`);
+  const insertAfter = section.ranges[section.ranges.length - 1].endLine - 1;
+
+  const output = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    output.push(...(replacements.has(index) ? replacements.get(index) : [line]));
+    if (index === insertAfter) {
+      output.push(...added);
+    }
+  });
+  return output.join(eol);
+}
+
+/**
+ * Remove every occurrence of a section, from the comment lines directly
+ * above its header to its last key. Comments above the next section stay
+ * with that section.
+ * @param {string} text Current config file content
+ * @param {string} kind Section kind
+ * @param {string} name Section name
+ * @returns {string} New content
+ */
+function removeConfigSection(text, kind, name) {
+  const section = parseConfigText(text).sections.find(
+    (candidate) => candidate.kind === kind && candidate.name === name
+  );
+  if (!section) {
+    return text;
+  }
+
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.split(/\r?\n/);
+  const isComment = (line) => line !== undefined && /^\s*[#;]/.test(line);
+  const isBlank = (line) => line === undefined || line.trim() === "";
+
+  for (const range of [...section.ranges].reverse()) {
+    let start = range.startLine - 1;
+    while (isComment(lines[start - 1])) {
+      start--;
+    }
+    let end = range.endLine - 1;
+    // Drop the blank line after the section too, unless it separates two other sections
+    if (end + 1 < lines.length - 1 && isBlank(lines[end + 1]) && isBlank(lines[start - 1])) {
+      end++;
+    }
+    lines.splice(start, end - start + 1);
+  }
+  // Don't leave blank lines at the end when the last section was removed
+  while (lines.length > 1 && isBlank(lines[lines.length - 1]) && isBlank(lines[lines.length - 2])) {
+    lines.pop();
+  }
+  return lines.join(eol);
+}
+
+/**
+ * Apply an edit to a config file, creating it if needed. The file is
+ * replaced atomically and keeps its permissions; a symlinked config file
+ * stays a symlink.
+ * @param {string} filePath Config file path
+ * @param {Function} edit Receives the current content and returns the new content
+ * @returns {boolean} True if the file changed
+ */
+function editConfigFile(filePath, edit) {
+  const exists = fs.existsSync(filePath);
+  const current = exists ? fs.readFileSync(filePath, "utf8") : "";
+  const updated = edit(current);
+  if (updated === current) {
+    return false;
+  }
+
+  const mode = exists ? fs.statSync(filePath).mode & 0o777 : 0o600;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  writeFileAtomic(filePath, updated, mode);
+  return true;
+}
+
+module.exports = {
+  formatSectionHeader,
+  appendConfigBlocks,
+  updateConfigSection,
+  removeConfigSection,
+  editConfigFile,
+};
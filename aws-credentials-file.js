@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { tokenize } = require("./aws-config-parser");
+const { expandHome } = require("./aws-config-sources");
+const { writeFileAtomic } = require("./atomic-file");
+
+// Start of the comment on sections this extension wrote
+const WRITTEN_MARKER = "# Written by AWS SSO Login";
+
+/**
+ * Get the shared credentials file the AWS CLI reads, honoring AWS_SHARED_CREDENTIALS_FILE
+ * @param {Object} [env] Environment variables, defaults to process.env
+ * @returns {string} Absolute path to the credentials file
+ */
+function getCredentialsFilePath(env = process.env) {
+  if (env.AWS_SHARED_CREDENTIALS_FILE) {
+    return path.resolve(expandHome(env.AWS_SHARED_CREDENTIALS_FILE));
+  }
+  return path.join(os.homedir(), ".aws", "credentials");
+}
+
+/**
+ * Find the line ranges of every occurrence of a section. A section ends at
+ * its last key (or continuation) line, so comments and blank lines that
+ * precede the next section stay with that section.
+ * @param {string} text File content
+ * @param {string} sectionName Section name, without brackets
+ * @returns {Array} Ranges with 0-based startLine and endLine (inclusive)
+ */
+function findSectionRanges(text, sectionName) {
+  const ranges = [];
+  let current = null;
+
+  for (const token of tokenize(text)) {
+    if (token.type === "section") {
+      current = token.header === sectionName
+        ? { startLine: token.line - 1, endLine: token.line - 1 }
+        : null;
+      if (current) {
+        ranges.push(current);
+      }
+    } else if (current && (token.type === "property" || token.type === "invalid")) {
+      current.endLine = token.line - 1;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Replace or add a credentials section, leaving all other sections and
+ * comments untouched. Duplicate occurrences of the section are removed.
+ * @param {string} text Current file content
+ * @param {string} sectionName Section name, without brackets
+ * @param {Object} credentials Credentials with accessKeyId, secretAccessKey, sessionToken and expiration
+ * @returns {string} New file content
+ */
+function upsertCredentialsSection(text, sectionName, credentials) {
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  // The marker lets deleteCredentialsSection tell these sections apart from the user's own
+  const block = [
+    `[${sectionName}]`,
+    credentials.expiration ? `${WRITTEN_MARKER}, expires ${credentials.expiration.toISOString()}` : WRITTEN_MARKER,
+  ];
+  block.push(`aws_access_key_id = ${credentials.accessKeyId}`);
+  block.push(`aws_secret_access_key = ${credentials.secretAccessKey}`);
+  if (credentials.sessionToken) {
+    block.push(`aws_session_token = ${credentials.sessionToken}`);
+  }
+
+  const lines = text ? text.split(/\r?\n/) : [];
+  const ranges = findSectionRanges(text, sectionName);
+
+  if (ranges.length === 0) {
+    // Append, separated from the previous section by a blank line
+    while (lines.length > 0 && lines[lines.length - 1].trim() === "") {
+      lines.pop();
+    }
+    if (lines.length > 0) {
+      lines.push("");
+    }
+    return [...lines, ...block, ""].join(eol);
+  }
+
+  // Remove later duplicates first so earlier line numbers stay valid
+  for (const range of ranges.slice(1).reverse()) {
+    lines.splice(range.startLine, range.endLine - range.startLine + 1);
+  }
+  const first = ranges[0];
+  lines.splice(first.startLine, first.endLine - first.startLine + 1, ...block);
+  return lines.join(eol);
+}
+
+/**
+ * Remove the occurrences of a section that AWS SSO Login wrote, recognised by
+ * the comment it writes; sections added by hand stay.
+ * @param {string} text Current file content
+ * @param {string} sectionName Section name, without brackets
+ * @returns {string} New file content
+ */
+function removeCredentialsSection(text, sectionName) {
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.split(/\r?\n/);
+  const ranges = findSectionRanges(text, sectionName).filter((range) =>
+    lines.slice(range.startLine, range.endLine + 1).some((line) => line.startsWith(WRITTEN_MARKER))
+  );
+  for (const range of ranges.reverse()) {
+    lines.splice(range.startLine, range.endLine - range.startLine + 1);
+    // Drop the blank line that separated the section from the previous one
+    if (range.startLine > 0 && lines[range.startLine - 1].trim() === "" && (lines[range.startLine] || "").trim() === "") {
+      lines.splice(range.startLine - 1, 1);
+    }
+  }
+  return lines.join(eol);
+}
+
+/**
+ * Write credentials to a named section of the shared credentials file. The
+ * file is replaced atomically and is only readable by the current user.
+ * @param {string} sectionName Section name, usually the profile name
+ * @param {Object} credentials Credentials with accessKeyId, secretAccessKey, sessionToken and expiration
+ * @param {string} [filePath] Credentials file, defaults to getCredentialsFilePath()
+ * @returns {string} Path of the written file
+ */
+function writeCredentialsSection(sectionName, credentials, filePath = getCredentialsFilePath()) {
+  const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : "";
+  const updated = upsertCredentialsSection(current, sectionName, credentials);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  writeFileAtomic(filePath, updated, 0o600);
+  return filePath;
+}
+
+/**
+ * Remove a section AWS SSO Login wrote from the shared credentials file
+ * @param {string} sectionName Section name, usually the profile name
+ * @param {string} [filePath] Credentials file, defaults to getCredentialsFilePath()
+ * @returns {boolean} True if the file changed
+ */
+function deleteCredentialsSection(sectionName, filePath = getCredentialsFilePath()) {
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+  const current = fs.readFileSync(filePath, "utf8");
+  const updated = removeCredentialsSection(current, sectionName);
+  if (updated === current) {
+    return false;
+  }
+  writeFileAtomic(filePath, updated, 0o600);
+  return true;
+}
+
+module.exports = {
+  getCredentialsFilePath,
+  upsertCredentialsSection,
+  removeCredentialsSection,
+  writeCredentialsSection,
+  deleteCredentialsSection,
+};
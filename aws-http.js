@@ -0,0 +1,107 @@
+const http = require("http");
+const https = require("https");
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Error for a non-2xx response from an AWS endpoint
+ */
+class AwsHttpError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {number} statusCode HTTP status code
+   * @param {Object|string} body Parsed JSON body, or the raw text if it wasn't JSON
+   * @param {string} [errorType] Value of the x-amzn-ErrorType response header
+   */
+  constructor(message, statusCode, body, errorType) {
+    super(message);
+    this.name = "AwsHttpError";
+    this.statusCode = statusCode;
+    this.body = body;
+    // e.g. "AuthorizationPendingException:http://internal.amazon.com/coral/..."
+    this.errorType = errorType ? String(errorType).split(":")[0] : undefined;
+    // OAuth style error code such as "authorization_pending", when the body has one
+    this.code = body && typeof body === "object"
+      ? body.error || body.__type || body.code
+      : undefined;
+  }
+}
+
+/**
+ * Send an HTTP(S) request and parse the JSON response. Both http: and https:
+ * URLs are accepted so endpoints can be pointed at a local stand-in.
+ * @param {string} url Request URL
+ * @param {Object} [options]
+ * @param {string} [options.method] HTTP method, defaults to GET
+ * @param {Object} [options.headers] Request headers
+ * @param {Object|string} [options.body] Request body; objects are sent as JSON
+ * @param {number} [options.timeoutMs] Request timeout
+ * @returns {Promise<Object>} Parsed JSON body, or the raw text if it wasn't JSON
+ * @throws {AwsHttpError} When the response status isn't 2xx
+ */
+function requestJson(url, options = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === "http:" ? http : https;
+  const headers = { Accept: "application/json", ...(options.headers || {}) };
+
+  let payload;
+  if (options.body !== undefined) {
+    payload = typeof options.body === "string" ? options.body : JSON.stringify(options.body);
+    if (!headers["Content-Type"]) {
+      headers["Content-Type"] = "application/json";
+    }
+    headers["Content-Length"] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      target,
+      { method: options.method || "GET", headers },
+      (response) => {
+        let text = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          text += chunk;
+        });
+        response.on("end", () => {
+          let body = text;
+          try {
+            body = text ? JSON.parse(text) : {};
+          } catch (error) {
+            // Keep the raw text
+          }
+
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve(body);
+            return;
+          }
+
+          const detail = body && typeof body === "object"
+            ? body.error_description || body.message || body.error || body.__type
+            : text;
+          reject(new AwsHttpError(
+            `${target.host} returned HTTP ${response.statusCode}${detail ? `: ${detail}` : ""}`,
+            response.statusCode,
+            body,
+            response.headers["x-amzn-errortype"]
+          ));
+        });
+      }
+    );
+
+    request.setTimeout(options.timeoutMs || DEFAULT_TIMEOUT_MS, () => {
+      request.destroy(new Error(`Request to ${target.host} timed out`));
+    });
+    request.on("error", reject);
+
+    if (payload !== undefined) {
+      request.write(payload);
+    }
+    request.end();
+  });
+}
+
+module.exports = {
+  AwsHttpError,
+  requestJson,
+};
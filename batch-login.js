@@ -0,0 +1,102 @@
+/**
+ * Logs in to several profiles at once. Profiles that share an sso-session or
+ * start URL share one cached token, so each identity provider only needs one
+ * login and the browser opens once per identity.
+ */
+
+const { getCacheFileName } = require("./sso-token-cache");
+
+/**
+ * Group profiles by the SSO token they use
+ * @param {Array} profiles SSO profiles
+ * @returns {Array} Groups with the token cache key and their profiles, in the
+ *   order the profiles were given; profiles listed twice are only kept once
+ */
+function groupProfilesByIdentity(profiles) {
+  const groups = new Map();
+  const seen = new Set();
+  for (const profile of profiles) {
+    if (seen.has(profile.name)) {
+      continue;
+    }
+    seen.add(profile.name);
+    const key = getCacheFileName(profile);
+    if (!groups.has(key)) {
+      groups.set(key, { key, profiles: [] });
+    }
+    groups.get(key).profiles.push(profile);
+  }
+  return Array.from(groups.values());
+}
+
+/**
+ * Log in once per identity and report a result for every profile
+ * @param {Array} profiles SSO profiles
+ * @param {Object} options
+ * @param {Function} options.login Function logging in to a profile, resolving to true on success
+ * @param {Function} [options.isCancelled] Function returning true to skip the remaining logins
+ * @param {Function} [options.onResult] Called with the results of each identity and its index
+ * @returns {Promise<Array>} Results with profile, status ("success", "failed"
+ *   or "cancelled"), the profile that was logged in with and the error, if any
+ */
+async function runBatchLogin(profiles, options) {
+  const isCancelled = options.isCancelled || (() => false);
+  const groups = groupProfilesByIdentity(profiles);
+  const results = [];
+
+  for (let index = 0; index < groups.length; index++) {
+    const group = groups[index];
+    // Chained profiles log in through their source, prefer a direct SSO profile
+    const loginProfile = group.profiles.find((profile) => !profile.chain) || group.profiles[0];
+    let status = "cancelled";
+    let error;
+
+    if (!isCancelled()) {
+      try {
+        status = (await options.login(loginProfile)) ? "success" : "failed";
+      } catch (err) {
+        status = "failed";
+        error = err;
+      }
+      // A login that was cancelled from the progress notification returns false
+      if (status === "failed" && !error && isCancelled()) {
+        status = "cancelled";
+      }
+    }
+
+    const groupResults = group.profiles.map((profile) => ({
+      profile,
+      status,
+      loginProfile,
+      error,
+    }));
+    results.push(...groupResults);
+    if (options.onResult) {
+      options.onResult(groupResults, index, groups.length);
+    }
+  }
+  return results;
+}
+
+/**
+ * Summarize batch login results in one line
+ * @param {Array} results Results from runBatchLogin
+ * @returns {string} Summary, e.g. "Logged in: dev, prod. Failed: staging."
+ */
+function summarizeBatchResults(results) {
+  const names = (status) => results.filter((result) => result.status === status).map((result) => result.profile.name);
+  const parts = [
+    ["Logged in", names("success")],
+    ["Failed", names("failed")],
+    ["Cancelled", names("cancelled")],
+  ]
+    .filter(([, list]) => list.length > 0)
+    .map(([label, list]) => `${label}: ${list.join(", ")}.`);
+  return parts.join(" ");
+}
+
+module.exports = {
+  groupProfilesByIdentity,
+  runBatchLogin,
+  summarizeBatchResults,
+};
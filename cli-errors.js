@@ -0,0 +1,169 @@
+/**
+ * Classifies AWS CLI error output into failure kinds with a message for the
+ * user and a remediation the extension can offer as an action.
+ *
+ * Remediations:
+ * - "openConfig": open the config file at the key named by `key`, or at the profile
+ * - "clearCache": remove the cached token and client registration, then try again
+ * - "login": log in to the profile again
+ * - "installCli": show the AWS CLI installation instructions
+ * - "showOutput": show the output channel with the full CLI output
+ */
+
+const { isKnownRegion } = require("./profile-validation");
+
+// CLI errors worth retrying: network problems and throttled or failing services
+const TRANSIENT_ERROR_PATTERN = /timed? ?out|timeout|connection (?:was )?(?:reset|refused|aborted|closed)|could not connect|EndpointConnectionError|name resolution|ECONNRESET|ETIMEDOUT|EAI_AGAIN|ENOTFOUND|Throttl|TooManyRequests|ServiceUnavailable|InternalServerError|SlowDown/i;
+
+// Checked in order, the first match wins
+const CLASSIFIERS = [
+  {
+    kind: "cli-v1",
+    test: (text) => /Invalid choice/i.test(text) && /\bsso\b|get-role-credentials|aws: error: argument (?:command|operation)/i.test(text),
+    message: () => "This version of the AWS CLI can't log in to AWS SSO. Install AWS CLI version 2.",
+    remediation: "installCli",
+  },
+  {
+    kind: "missing-profile",
+    test: (text) => /The config profile \(([^)]*)\) could not be found/.test(text),
+    message: (text) => {
+      const name = text.match(/The config profile \(([^)]*)\) could not be found/)[1];
+      return `The AWS CLI could not find profile "${name}". Check the profile name and that it is defined in the config file the CLI reads.`;
+    },
+    remediation: "openConfig",
+  },
+  {
+    kind: "missing-sso-session",
+    test: (text) => /The specified sso-session does not exist/.test(text),
+    message: (text) => {
+      const match = text.match(/The specified sso-session does not exist: "?([^"\s]+)"?/);
+      return `The sso-session${match ? ` "${match[1]}"` : ""} used by the profile is not defined in the config file.`;
+    },
+    remediation: "openConfig",
+    key: "sso_session",
+  },
+  {
+    kind: "incomplete-profile",
+    test: (text) => /Missing the following required SSO configuration values/.test(text),
+    message: (text) => {
+      const match = text.match(/Missing the following required SSO configuration values: ([\w, ]+)/);
+      return `The profile is missing SSO settings${match ? `: ${match[1].trim()}` : ""}.`;
+    },
+    remediation: "openConfig",
+  },
+  {
+    kind: "proxy-tls",
+    test: (text) => /SSL validation failed|CERTIFICATE_VERIFY_FAILED|Failed to connect to proxy URL|ProxyConnectionError/i.test(text),
+    message: (text) => (/proxy/i.test(text)
+      ? "The AWS CLI could not connect through the proxy. Check HTTPS_PROXY and NO_PROXY."
+      : "The TLS certificate of AWS could not be verified, which usually means a proxy inspects HTTPS traffic. Point AWS_CA_BUNDLE or ca_bundle in the config file at your company's CA certificate."),
+    remediation: "showOutput",
+  },
+  {
+    kind: "wrong-region",
+    test: (text) => {
+      if (/Provided region_name '[^']*' doesn't match a supported format/.test(text)) {
+        return true;
+      }
+      const endpoint = text.match(/Could not connect to the endpoint URL: "https:\/\/(?:oidc|portal\.sso)\.([^./]+)\.amazonaws\.com/);
+      return Boolean(endpoint) && !isKnownRegion(endpoint[1]);
+    },
+    message: (text) => {
+      const region = text.match(/region_name '([^']*)'/) || text.match(/https:\/\/(?:oidc|portal\.sso)\.([^./]+)\.amazonaws\.com/);
+      return `"${region[1]}" is not an AWS region. Set sso_region to the region where IAM Identity Center is enabled.`;
+    },
+    remediation: "openConfig",
+    key: "sso_region",
+  },
+  {
+    kind: "invalid-start-url",
+    test: (text) => /\(InvalidRequestException\) when calling the StartDeviceAuthorization operation/.test(text),
+    message: () => "IAM Identity Center rejected the login request. Check that sso_start_url is your AWS access portal URL and that sso_region is the region where IAM Identity Center is enabled.",
+    remediation: "openConfig",
+    key: "sso_start_url",
+  },
+  {
+    kind: "clock-skew",
+    test: (text) => /Signature expired|Signature not yet current|RequestTimeTooSkewed|clock skew/i.test(text),
+    message: () => "AWS rejected the request because the system clock is wrong. Synchronize the clock and try again.",
+    remediation: "showOutput",
+    // Retrying right away fails the same way until the clock is fixed
+    retryable: false,
+  },
+  {
+    kind: "expired-registration",
+    test: (text) => /\(InvalidClientException\)/.test(text),
+    message: () => "The AWS CLI's client registration with IAM Identity Center has expired. Clear the cached token and registration, then log in again.",
+    remediation: "clearCache",
+    retryable: true,
+  },
+  {
+    kind: "session-expired",
+    test: (text) => /Token has expired and refresh failed|SSO session associated with this profile has expired|Error loading SSO Token/i.test(text),
+    message: () => "The SSO session has expired. Log in again.",
+    remediation: "login",
+  },
+  {
+    kind: "network",
+    test: (text) => TRANSIENT_ERROR_PATTERN.test(text),
+    message: () => "The AWS CLI could not reach AWS. Check the network connection and try again.",
+    remediation: "showOutput",
+    retryable: true,
+  },
+];
+
+/**
+ * Check whether AWS CLI error output describes a transient failure
+ * @param {string} text Error output
+ * @returns {boolean} True if trying again may help
+ */
+function isTransientError(text) {
+  return TRANSIENT_ERROR_PATTERN.test(text || "");
+}
+
+/**
+ * Get the last non-empty line of CLI output, which usually holds the error
+ * @param {string} text CLI output
+ * @returns {string} The line, or an empty string
+ */
+function getLastLine(text) {
+  const lines = (text || "").split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  return lines.length > 0 ? lines[lines.length - 1] : "";
+}
+
+/**
+ * Classify AWS CLI error output
+ * @param {string} stderr Error output of the CLI
+ * @param {number|null} [exitCode] Exit code, for the message of unknown errors
+ * @returns {Object} Error with kind, message, retryable, remediation, the
+ *   config key to open for "openConfig", and the CLI's own last line as detail
+ */
+function classifyCliError(stderr, exitCode) {
+  const text = stderr || "";
+  const detail = getLastLine(text);
+  for (const classifier of CLASSIFIERS) {
+    if (classifier.test(text)) {
+      return {
+        kind: classifier.kind,
+        message: classifier.message(text),
+        retryable: Boolean(classifier.retryable),
+        remediation: classifier.remediation,
+        key: classifier.key,
+        detail,
+      };
+    }
+  }
+  return {
+    kind: "unknown",
+    message: detail || `AWS CLI exited with code ${exitCode}`,
+    retryable: false,
+    remediation: "showOutput",
+    key: undefined,
+    detail,
+  };
+}
+
+module.exports = {
+  isTransientError,
+  classifyCliError,
+};
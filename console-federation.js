@@ -0,0 +1,136 @@
+/**
+ * Signs in to the AWS Management Console with role credentials: the
+ * credentials are exchanged at the federation endpoint for a sign-in token,
+ * which goes into a login URL that opens the console without a password.
+ */
+
+const { requestJson } = require("./aws-http");
+
+// Partitions other than the standard one, by region prefix
+const PARTITIONS = [
+  {
+    prefix: "us-gov-",
+    federationEndpoint: "https://signin.amazonaws-us-gov.com/federation",
+    consoleUrl: "https://console.amazonaws-us-gov.com",
+  },
+  {
+    prefix: "cn-",
+    federationEndpoint: "https://signin.amazonaws.cn/federation",
+    consoleUrl: "https://console.amazonaws.cn",
+  },
+];
+
+const STANDARD_PARTITION = {
+  federationEndpoint: "https://signin.aws.amazon.com/federation",
+  consoleUrl: "https://console.aws.amazon.com",
+};
+
+/**
+ * Get the federation endpoint and console URL of the partition a region belongs to
+ * @param {string} [region] Any region of the partition, e.g. the SSO region
+ * @returns {Object} Endpoints with federationEndpoint and consoleUrl
+ */
+function getPartitionEndpoints(region) {
+  const partition = PARTITIONS.find((p) => (region || "").startsWith(p.prefix)) || STANDARD_PARTITION;
+  return { federationEndpoint: partition.federationEndpoint, consoleUrl: partition.consoleUrl };
+}
+
+/**
+ * Build the console URL to land on after signing in
+ * @param {string} consoleUrl Console URL of the partition
+ * @param {Object} [destination]
+ * @param {string} [destination.service] Console path of a service, e.g. "s3" or
+ *   "cloudwatch"; the console home when empty
+ * @param {string} [destination.region] Region to open the console in; the
+ *   region used last when empty
+ * @returns {string} Destination URL
+ */
+function getConsoleDestination(consoleUrl, destination = {}) {
+  const service = (destination.service || "").replace(/^\/+|\/+$/g, "");
+  const servicePath = service
+    ? service.split("/").map(encodeURIComponent).join("/")
+    : "console";
+  const query = destination.region ? `?region=${encodeURIComponent(destination.region)}` : "";
+  return `${consoleUrl.replace(/\/+$/, "")}/${servicePath}/home${query}`;
+}
+
+/**
+ * Exchange role credentials for a console sign-in token (getSigninToken)
+ * @param {Object} credentials Credentials with accessKeyId, secretAccessKey and sessionToken
+ * @param {string} federationEndpoint Federation endpoint URL
+ * @returns {Promise<string>} Sign-in token, valid for 15 minutes
+ */
+async function getSigninToken(credentials, federationEndpoint) {
+  if (!credentials.sessionToken) {
+    throw new Error("The console can only be opened with temporary credentials that include a session token");
+  }
+  const session = JSON.stringify({
+    sessionId: credentials.accessKeyId,
+    sessionKey: credentials.secretAccessKey,
+    sessionToken: credentials.sessionToken,
+  });
+  let response;
+  try {
+    response = await requestJson(
+      `${federationEndpoint}?Action=getSigninToken&Session=${encodeURIComponent(session)}`
+    );
+  } catch (error) {
+    // The endpoint answers rejected credentials with an HTML error page
+    if (error.statusCode) {
+      throw new Error(`The federation endpoint rejected the role credentials (HTTP ${error.statusCode})`);
+    }
+    throw error;
+  }
+  if (!response || !response.SigninToken) {
+    throw new Error("The federation endpoint did not return a sign-in token");
+  }
+  return response.SigninToken;
+}
+
+/**
+ * Build the login URL that signs in to the console with a sign-in token
+ * @param {string} federationEndpoint Federation endpoint URL
+ * @param {string} signinToken Token from getSigninToken
+ * @param {string} destination Console URL to land on
+ * @param {string} [issuer] URL to send the user to when the console session expires
+ * @returns {string} Login URL
+ */
+function buildLoginUrl(federationEndpoint, signinToken, destination, issuer) {
+  const query = [
+    "Action=login",
+    issuer ? `Issuer=${encodeURIComponent(issuer)}` : null,
+    `Destination=${encodeURIComponent(destination)}`,
+    `SigninToken=${encodeURIComponent(signinToken)}`,
+  ].filter(Boolean).join("&");
+  return `${federationEndpoint}?${query}`;
+}
+
+/**
+ * Create a URL that signs in to the console with role credentials
+ * @param {Object} credentials Credentials with accessKeyId, secretAccessKey and sessionToken
+ * @param {Object} [options]
+ * @param {string} [options.partitionRegion] Region whose partition to sign in to, e.g. the SSO region
+ * @param {string} [options.service] Service to open, see getConsoleDestination
+ * @param {string} [options.region] Region to open the console in
+ * @param {string} [options.issuer] URL to send the user to when the console session expires
+ * @param {string} [options.federationEndpoint] Federation endpoint, defaults to the one of the partition
+ * @returns {Promise<string>} Login URL
+ */
+async function createConsoleLoginUrl(credentials, options = {}) {
+  const partition = getPartitionEndpoints(options.partitionRegion);
+  const federationEndpoint = (options.federationEndpoint || partition.federationEndpoint).replace(/\/+$/, "");
+  const destination = getConsoleDestination(partition.consoleUrl, {
+    service: options.service,
+    region: options.region,
+  });
+  const signinToken = await getSigninToken(credentials, federationEndpoint);
+  return buildLoginUrl(federationEndpoint, signinToken, destination, options.issuer);
+}
+
+module.exports = {
+  getPartitionEndpoints,
+  getConsoleDestination,
+  getSigninToken,
+  buildLoginUrl,
+  createConsoleLoginUrl,
+};
@@ -0,0 +1,171 @@
+const vscode = require("vscode");
+const { formatRemaining } = require("./sso-token-cache");
+const { getDefaultConfigSource } = require("./aws-config-sources");
+
+const INJECTED_PROFILE_KEY = "awsSsoLogin.injectedProfile";
+
+/**
+ * Get the variables of an AWS_PROFILE injection
+ * @param {Object} injected Injected profile with name and optionally configFile
+ * @returns {Object} Environment variables
+ */
+function toProfileVariables(injected) {
+  const variables = { AWS_PROFILE: injected.name };
+  if (injected.configFile) {
+    variables.AWS_CONFIG_FILE = injected.configFile;
+  }
+  return variables;
+}
+
+/**
+ * Injects AWS_PROFILE or short-lived role credentials into new integrated
+ * terminals (through the extension's environment variable collection) and
+ * debug sessions, and shows the injected profile in the status bar.
+ *
+ * AWS_PROFILE is persisted across window reloads, with AWS_CONFIG_FILE for
+ * profiles from another config file. Credentials are not, so secrets are
+ * never written to VS Code's storage.
+ */
+class EnvironmentInjector {
+  /**
+   * @param {vscode.ExtensionContext} context
+   */
+  constructor(context) {
+    this.context = context;
+    this.collection = context.environmentVariableCollection;
+    this.variables = {};
+    this.injected = undefined;
+
+    this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 99);
+    this.item.command = "awsSsoLogin.injectEnvironment";
+
+    this.debugProvider = vscode.debug.registerDebugConfigurationProvider("*", {
+      resolveDebugConfiguration: (folder, config) => {
+        if (this.injected) {
+          // Values set in the launch configuration win
+          config.env = { ...this.variables, ...(config.env || {}) };
+        }
+        return config;
+      },
+    });
+    this.timer = setInterval(() => this.updateStatus(), 60 * 1000);
+
+    // Restore a persisted AWS_PROFILE injection after a reload
+    const persisted = context.workspaceState.get(INJECTED_PROFILE_KEY);
+    if (persisted && persisted.mode === "profile") {
+      this.injected = persisted;
+      this.variables = toProfileVariables(persisted);
+    } else {
+      this.collection.clear();
+    }
+    this.updateStatus();
+  }
+
+  /**
+   * Get the currently injected profile
+   * @returns {Object|undefined} Injected profile name, mode and expiration
+   */
+  getInjected() {
+    return this.injected;
+  }
+
+  /**
+   * Inject AWS_PROFILE for a profile into new terminals and debug sessions,
+   * and AWS_CONFIG_FILE when the profile isn't in the config file the AWS CLI
+   * reads by default
+   * @param {Object} profile The SSO profile
+   */
+  async injectProfile(profile) {
+    const configFile = profile.source && profile.source.file;
+    this.injected = { name: profile.name, mode: "profile" };
+    if (configFile && configFile !== getDefaultConfigSource().file) {
+      this.injected.configFile = configFile;
+    }
+    this.apply(toProfileVariables(this.injected), true);
+    await this.context.workspaceState.update(INJECTED_PROFILE_KEY, this.injected);
+    this.updateStatus();
+  }
+
+  /**
+   * Inject resolved short-lived credentials into new terminals and debug sessions
+   * @param {Object} profile The SSO profile
+   * @param {Object} variables Environment variables from toEnvironmentVariables
+   * @param {Date|null} expiration When the credentials expire
+   */
+  async injectCredentials(profile, variables, expiration) {
+    this.apply(variables, false);
+    this.injected = { name: profile.name, mode: "credentials", expiration };
+    await this.context.workspaceState.update(INJECTED_PROFILE_KEY, undefined);
+    this.updateStatus();
+  }
+
+  /**
+   * Stop injecting AWS variables
+   */
+  async clear() {
+    this.collection.clear();
+    this.variables = {};
+    this.injected = undefined;
+    await this.context.workspaceState.update(INJECTED_PROFILE_KEY, undefined);
+    this.updateStatus();
+  }
+
+  /**
+   * Replace the injected variables
+   * @param {Object} variables Environment variables
+   * @param {boolean} persistent Whether VS Code may persist them across reloads
+   */
+  apply(variables, persistent) {
+    this.collection.clear();
+    this.collection.persistent = persistent;
+    for (const [name, value] of Object.entries(variables)) {
+      this.collection.replace(name, value);
+    }
+    this.variables = { ...variables };
+  }
+
+  /**
+   * Update the status bar item and the description shown in the terminal UI
+   */
+  updateStatus() {
+    const injected = this.injected;
+    if (!injected) {
+      this.collection.description = undefined;
+      this.item.hide();
+      return;
+    }
+
+    this.collection.description = `AWS SSO profile "${injected.name}"`;
+    this.item.backgroundColor = undefined;
+
+    if (injected.mode === "profile") {
+      this.item.text = `$(terminal) AWS_PROFILE=${injected.name}`;
+      this.item.tooltip = injected.configFile
+        ? `New terminals and debug sessions use AWS_PROFILE=${injected.name} and AWS_CONFIG_FILE=${injected.configFile}. Click to change.`
+        : `New terminals and debug sessions use AWS_PROFILE=${injected.name}. Click to change.`;
+    } else if (injected.expiration && injected.expiration.getTime() <= Date.now()) {
+      this.item.text = `$(terminal) ${injected.name}: credentials expired`;
+      this.item.tooltip = `Injected credentials for ${injected.name} have expired. Click to refresh.`;
+      this.item.backgroundColor = new vscode.ThemeColor("statusBarItem.warningBackground");
+    } else {
+      const remaining = injected.expiration
+        ? ` (${formatRemaining(injected.expiration.getTime() - Date.now())})`
+        : "";
+      this.item.text = `$(terminal) ${injected.name} credentials${remaining}`;
+      this.item.tooltip = injected.expiration
+        ? `New terminals and debug sessions use credentials for ${injected.name} that expire at ${injected.expiration.toLocaleString()}. Click to change.`
+        : `New terminals and debug sessions use credentials for ${injected.name}. Click to change.`;
+    }
+    this.item.show();
+  }
+
+  dispose() {
+    clearInterval(this.timer);
+    this.debugProvider.dispose();
+    this.item.dispose();
+  }
+}
+
+module.exports = {
+  EnvironmentInjector,
+};
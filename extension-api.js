@@ -0,0 +1,156 @@
+/**
+ * The API returned from activate, for extensions that need AWS SSO sessions:
+ *
+ *   const api = await vscode.extensions.getExtension("aws-sso-login.aws-sso-login").activate();
+ *   const credentials = await api.getCredentials("dev");
+ *
+ * Logins started through the API use the same notification, login engine and
+ * token cache as the login command.
+ */
+
+const { getCacheFileName } = require("./sso-token-cache");
+
+const API_VERSION = 1;
+
+/**
+ * Copy the fields of a profile other extensions may rely on
+ * @param {Object} profile The SSO profile
+ * @returns {Object} Public profile
+ */
+function toPublicProfile(profile) {
+  return {
+    name: profile.name,
+    startUrl: profile.startUrl,
+    region: profile.region,
+    accountId: profile.accountId,
+    roleName: profile.roleName,
+    ssoSession: profile.ssoSession,
+    roleArn: profile.roleArn,
+    chain: profile.chain ? [...profile.chain] : undefined,
+    file: profile.source ? profile.source.file : undefined,
+  };
+}
+
+/**
+ * Create the extension API
+ * @param {Object} options
+ * @param {Function} options.getProfiles Function returning the SSO profiles
+ * @param {Function} options.getTokenStatus Function returning the token status of a profile
+ * @param {Function} options.login Function logging in to a profile, resolving to true on success.
+ *   Called with { confirmed: true } when authorizeCredentials already asked the user.
+ * @param {Function} options.authorizeCredentials Function called with the profile and whether
+ *   the user already allowed its current SSO session, resolving to true if credentials may be
+ *   handed out, e.g. after asking to confirm a protected profile
+ * @param {Function} options.resolveCredentials Function resolving role credentials, or null
+ * @param {Function} options.onDidChangeSession Event fired with { profiles, loggedIn } after logins and logouts
+ * @param {Function} options.onDidChangeLoginState Event fired with { profileName, state } as AWS CLI logins progress
+ * @returns {Object} The API
+ */
+function createExtensionApi(options) {
+  // Logins in progress by token cache key, so concurrent callers share one browser login
+  const pendingLogins = new Map();
+  // SSO sessions the user allowed credentials for, by profile name and token expiry
+  const allowedSessions = new Set();
+
+  const getSessionKey = (profile) => {
+    const status = options.getTokenStatus(profile);
+    return status.expired ? null : `${profile.name}@${new Date(status.expiresAt).getTime()}`;
+  };
+
+  const findProfile = async (profileName) => {
+    const profiles = await options.getProfiles();
+    const profile = profiles.find((p) => p.name === profileName);
+    if (!profile) {
+      throw new Error(`AWS SSO profile not found: ${profileName}`);
+    }
+    return profile;
+  };
+
+  const ensureLoggedIn = async (profile, loginOptions) => {
+    if (!options.getTokenStatus(profile).expired) {
+      return true;
+    }
+    const key = getCacheFileName(profile);
+    if (!pendingLogins.has(key)) {
+      const login = Promise.resolve()
+        .then(() => options.login(profile, loginOptions))
+        .finally(() => pendingLogins.delete(key));
+      pendingLogins.set(key, login);
+    }
+    return pendingLogins.get(key);
+  };
+
+  return Object.freeze({
+    apiVersion: API_VERSION,
+
+    /**
+     * Get the AWS SSO profiles from the config files and settings
+     * @returns {Promise<Array>} Profiles with name, startUrl, region, accountId,
+     *   roleName, ssoSession, roleArn, chain and file
+     */
+    async getProfiles() {
+      const profiles = await options.getProfiles();
+      return profiles.map(toPublicProfile);
+    },
+
+    /**
+     * Get the SSO session of a profile without logging in
+     * @param {string} profileName Profile name
+     * @returns {Promise<Object>} Session with profileName, loggedIn and expiresAt
+     */
+    async getSession(profileName) {
+      const status = options.getTokenStatus(await findProfile(profileName));
+      return {
+        profileName,
+        loggedIn: !status.expired,
+        expiresAt: status.expiresAt,
+      };
+    },
+
+    /**
+     * Make sure a profile has a valid SSO token, starting a login if needed
+     * @param {string} profileName Profile name
+     * @returns {Promise<boolean>} True when logged in, false if the login failed or was cancelled
+     */
+    async ensureLoggedIn(profileName) {
+      return ensureLoggedIn(await findProfile(profileName));
+    },
+
+    /**
+     * Get short-lived role credentials for a profile, logging in if needed.
+     * For a protected profile the user confirms once per SSO session.
+     * @param {string} profileName Profile name
+     * @returns {Promise<Object>} Credentials with accessKeyId, secretAccessKey,
+     *   sessionToken and expiration
+     */
+    async getCredentials(profileName) {
+      const profile = await findProfile(profileName);
+      const sessionKey = getSessionKey(profile);
+      if (!(await options.authorizeCredentials(profile, sessionKey !== null && allowedSessions.has(sessionKey)))) {
+        throw new Error(`Credentials for AWS SSO profile ${profileName} were not allowed`);
+      }
+      if (!(await ensureLoggedIn(profile, { confirmed: true }))) {
+        throw new Error(`Not logged in to AWS SSO profile: ${profileName}`);
+      }
+      allowedSessions.add(getSessionKey(profile));
+      const credentials = await options.resolveCredentials(profile);
+      if (!credentials) {
+        throw new Error(`Could not get credentials for AWS SSO profile: ${profileName}`);
+      }
+      return {
+        accessKeyId: credentials.accessKeyId,
+        secretAccessKey: credentials.secretAccessKey,
+        sessionToken: credentials.sessionToken,
+        expiration: credentials.expiration,
+      };
+    },
+
+    onDidChangeSession: options.onDidChangeSession,
+    onDidChangeLoginState: options.onDidChangeLoginState,
+  });
+}
+
+module.exports = {
+  API_VERSION,
+  createExtensionApi,
+};
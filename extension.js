@@ -2,128 +2,144 @@ const vscode = require('vscode');
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const { exec, spawn } = require("child_process");
-const { promisify } = require("util");
+const { spawn } = require("child_process");
+const { TokenStatusBar } = require("./token-status-bar");
+const { KeepAliveScheduler } = require("./keep-alive-scheduler");
+const {
+  formatRemaining,
+  getCacheFileName,
+  getSsoCacheDir,
+  getTokenStatus,
+  normalizeStartUrl,
+  removeCachedTokens,
+  removeClientRegistrations,
+} = require("./sso-token-cache");
+const {
+  getDefaultConfigSource,
+  resolveConfigSources,
+  readConfigSources,
+  mergeSsoProfiles,
+} = require("./aws-config-sources");
+const { getLoginProfileName, getValue, parseConfigText } = require("./aws-config-parser");
+const { ProfileExplorerProvider, getIdentity } = require("./profile-explorer");
+const { EnvironmentInjector } = require("./environment-injector");
+const { parseExportedCredentials, toEnvironmentVariables } = require("./role-credentials");
+const { loginWithDeviceAuthorization } = require("./sso-oidc-client");
+const { getRoleCredentials, listAccountAssignments } = require("./sso-portal-client");
+const { writeCredentialsSection, deleteCredentialsSection } = require("./aws-credentials-file");
+const { isValidProfileName } = require("./profile-validation");
+const { runBatchLogin, summarizeBatchResults } = require("./batch-login");
+const { findWorkspaceProfile } = require("./workspace-profile");
+const { createExtensionApi } = require("./extension-api");
+const { LOGIN_STATES, AUTHORIZATION_FLOWS, LoginSession } = require("./login-session");
+const { classifyCliError } = require("./cli-errors");
+const { AwsCliLocator, checkCliVersion, supportsDeviceCodeOption } = require("./aws-cli-locator");
+const { createConsoleLoginUrl } = require("./console-federation");
+const { ProfileStore } = require("./profile-store");
+const { RemoteSync } = require("./remote-sync");
+const { OUTCOMES, createHistoryEntry, LoginHistory } = require("./login-history");
+const { LoginHistoryView } = require("./login-history-view");
+const { collectRules, getProtection, SessionAgeLimiter } = require("./protected-profiles");
+const { ProtectedStatusBar } = require("./protected-status-bar");
+const { ProfileEditor } = require("./profile-editor");
+const { AwsConfigLanguageSupport } = require("./aws-config-language");
+const {
+  DEFAULT_NAME_TEMPLATE,
+  planGeneratedProfiles,
+  writeGeneratedProfiles,
+} = require("./profile-generator");
 
 const outputChannel = vscode.window.createOutputChannel("AWS SSO Login");
 
-const execAsync = promisify(exec);
+// Fired with { profiles, loggedIn } after logins and logouts, for the extension API
+const sessionChangeEmitter = new vscode.EventEmitter();
 
-/**
- * Parse AWS config file to extract SSO profiles
- * @returns {Object} Object with profile names as keys and profile configs as values
- */
-async function parseAwsConfig() {
-  try {
-    const configPath = path.join(os.homedir(), ".aws", "config");
+// Fired with { profileName, state } as AWS CLI logins move through their states
+const loginStateEmitter = new vscode.EventEmitter();
 
-    if (!fs.existsSync(configPath)) {
-      return {};
-    }
+const LOGIN_PROGRESS_MESSAGES = {
+  [LOGIN_STATES.LOCATING_CLI]: "Locating the AWS CLI...",
+  [LOGIN_STATES.SPAWNING]: "Starting authentication...",
+  [LOGIN_STATES.AWAITING_BROWSER]: "Waiting for authorization in the browser...",
+  [LOGIN_STATES.VERIFYING]: "Verifying the SSO token...",
+};
 
-    const configContent = fs.readFileSync(configPath, "utf8");
-    const lines = configContent.split("\n");
+// Services offered when opening the console, by console path
+const CONSOLE_SERVICES = [
+  { label: "Console Home", service: "" },
+  { label: "Billing and Cost Management", service: "billing" },
+  { label: "CloudFormation", service: "cloudformation" },
+  { label: "CloudWatch", service: "cloudwatch" },
+  { label: "DynamoDB", service: "dynamodbv2" },
+  { label: "EC2", service: "ec2" },
+  { label: "ECS", service: "ecs" },
+  { label: "IAM", service: "iam" },
+  { label: "Lambda", service: "lambda" },
+  { label: "RDS", service: "rds" },
+  { label: "S3", service: "s3" },
+];
 
-    const sections = {};
-    let currentSection = null;
-    let currentSectionType = null;
+// Created in activate, it keeps the located CLI in globalState
+let cliLocator;
 
-    for (const line of lines) {
-      const trimmedLine = line.trim();
+// Created in activate, it keeps the profiles and cached tokens current
+let profileStore;
 
-      // Skip empty lines and comments
-      if (!trimmedLine || trimmedLine.startsWith("#")) {
-        continue;
-      }
+// True when the extension runs on the remote host of a remote window, where
+// the AWS CLI can't open the browser of the local machine
+let runsOnRemoteHost = false;
 
-      // Check for section definitions
-      const profileMatch = trimmedLine.match(/^\[profile\s+(.+)\]$/);
-      const ssoSessionMatch = trimmedLine.match(/^\[sso-session\s+(.+)\]$/);
-      const genericSectionMatch = trimmedLine.match(/^\[(.+)\]$/);
+// Created in activate when the extension runs locally for a remote window
+let remoteSync;
 
-      if (profileMatch) {
-        currentSection = profileMatch[1];
-        currentSectionType = "profile";
-        sections[`profile ${currentSection}`] = {};
-        continue;
-      } else if (ssoSessionMatch) {
-        currentSection = ssoSessionMatch[1];
-        currentSectionType = "sso-session";
-        sections[`sso-session ${currentSection}`] = {};
-        continue;
-      } else if (genericSectionMatch && !profileMatch && !ssoSessionMatch) {
-        currentSection = genericSectionMatch[1];
-        currentSectionType = "other";
-        sections[currentSection] = {};
-        continue;
-      }
+// Created in activate, in the extension's global storage
+let loginHistory;
+let loginHistoryView;
 
-      // If we're in a section, parse the key-value pairs
-      if (currentSection) {
-        const kvMatch = trimmedLine.match(/^(\S+)\s*=\s*(.+)$/);
-        if (kvMatch) {
-          const [, key, value] = kvMatch;
-          sections[`${currentSectionType === "profile" ? "profile " : currentSectionType === "sso-session" ? "sso-session " : ""}${currentSection}`][key] = value;
-        }
-      }
+// Created in activate, it ends protected sessions that got too old
+let sessionAgeLimiter;
+
+/**
+ * Get the AWS config files to read, in precedence order
+ * @returns {Array} Config sources with file and origin
+ */
+function getConfigSources() {
+  const extraFiles =
+    vscode.workspace.getConfiguration("awsSsoLogin").get("configFiles") || [];
+  const workspaceFolders = (vscode.workspace.workspaceFolders || []).map(
+    (folder) => folder.uri.fsPath
+  );
+  return resolveConfigSources({ env: process.env, extraFiles, workspaceFolders });
+}
+
+/**
+ * Parse AWS config files to extract SSO profiles
+ * @param {Array} [sources] Config sources to read, defaults to getConfigSources()
+ * @param {Array} [errors] Array to add parse errors to, as { file, line, column, message }
+ * @returns {Object} Object with profile names as keys and profile configs as values
+ */
+async function parseAwsConfig(sources = getConfigSources(), errors = []) {
+  try {
+    const readErrors = [];
+    const configs = readConfigSources(sources, readErrors);
+    for (const error of readErrors) {
+      outputChannel.appendLine(`${error.file}: ${error.message}`);
+      errors.push(error);
     }
 
-    // Process profiles to handle both direct SSO config and sso-session references
-    const ssoProfiles = {};
-    
-    for (const [sectionName, config] of Object.entries(sections)) {
-      // Only process profile sections
-      if (!sectionName.startsWith("profile ")) {
-        continue;
-      }
-      
-      const profileName = sectionName.substring("profile ".length);
-      
-      // Case 1: Profile has direct SSO configuration
-      if (
-        config.sso_start_url &&
-        config.sso_region &&
-        config.sso_account_id &&
-        config.sso_role_name
-      ) {
-        ssoProfiles[profileName] = {
-          name: profileName,
-          startUrl: config.sso_start_url,
-          region: config.sso_region,
-          accountId: config.sso_account_id,
-          roleName: config.sso_role_name,
-        };
-      }
-      // Case 2: Profile references an sso-session and has account_id and role_name
-      else if (
-        config.sso_session &&
-        config.sso_account_id &&
-        config.sso_role_name
-      ) {
-        const ssoSessionName = config.sso_session;
-        const ssoSessionConfig = sections[`sso-session ${ssoSessionName}`];
-        
-        if (ssoSessionConfig && ssoSessionConfig.sso_start_url && ssoSessionConfig.sso_region) {
-          ssoProfiles[profileName] = {
-            name: profileName,
-            startUrl: ssoSessionConfig.sso_start_url,
-            region: ssoSessionConfig.sso_region,
-            accountId: config.sso_account_id,
-            roleName: config.sso_role_name,
-          };
-        }
-      }
-      // Case 3: Profile references another profile via source_profile
-      else if (config.source_profile && config.role_arn) {
-        const sourceProfileName = config.source_profile;
-        // Check if the source profile is an SSO profile we've already processed
-        if (ssoProfiles[sourceProfileName]) {
-          // We don't add this profile to ssoProfiles as it's not directly an SSO profile
-          // but we could handle it differently if needed
-        }
+    for (const config of configs) {
+      for (const error of config.errors) {
+        outputChannel.appendLine(`${config.file}:${error.line}:${error.column}: ${error.message}`);
+        errors.push({ file: config.file, line: error.line, column: error.column, message: error.message });
       }
     }
-    
+
+    const problems = [];
+    const ssoProfiles = mergeSsoProfiles(configs, problems);
+    for (const problem of problems) {
+      outputChannel.appendLine(`${problem.file}:${problem.line}:${problem.column}: ${problem.message}`);
+    }
+
     outputChannel.append(
       "SSO Profiles: " + JSON.stringify(ssoProfiles, null, 2)
     );
@@ -136,12 +152,21 @@ async function parseAwsConfig() {
 }
 
 /**
- * Get all available AWS SSO profiles
- * @returns {Array} Array of profile objects
+ * Get all available AWS SSO profiles, as last read by the profile store
+ * @returns {Promise<Array>} Array of profile objects
+ */
+function getAwsSsoProfiles() {
+  return profileStore.getProfiles();
+}
+
+/**
+ * Read the AWS SSO profiles from the config files and settings
+ * @returns {Promise<Object>} Result with profiles and the config parse errors
  */
-async function getAwsSsoProfiles() {
+async function readAwsSsoProfiles() {
   // Get profiles from AWS config file
-  const configProfiles = await parseAwsConfig();
+  const errors = [];
+  const configProfiles = await parseAwsConfig(getConfigSources(), errors);
   // Get profiles from VS Code settings
   const vscodeProfiles =
     vscode.workspace.getConfiguration("awsSsoLogin").get("profiles") || [];
@@ -155,16 +180,110 @@ async function getAwsSsoProfiles() {
   // Merge profiles, with config profiles taking precedence
   const mergedProfiles = { ...vscodeProfilesMap, ...configProfiles };
 
-  return Object.values(mergedProfiles);
+  return { profiles: Object.values(mergedProfiles), errors };
+}
+
+/**
+ * Watch the config files, the SSO token cache and the profile settings, and
+ * tell the profile store when they change
+ * @param {ProfileStore} store The profile store
+ * @returns {vscode.Disposable} Stops watching
+ */
+function watchProfileSources(store) {
+  const watch = (base, pattern, onChange) => {
+    const watcher = vscode.workspace.createFileSystemWatcher(
+      new vscode.RelativePattern(vscode.Uri.file(base), pattern)
+    );
+    watcher.onDidCreate(onChange);
+    watcher.onDidChange(onChange);
+    watcher.onDidDelete(onChange);
+    return watcher;
+  };
+
+  let configWatchers = [];
+  const watchConfigFiles = () => {
+    configWatchers.forEach((watcher) => watcher.dispose());
+    configWatchers = getConfigSources().map((source) =>
+      watch(path.dirname(source.file), path.basename(source.file), () => store.configChanged())
+    );
+  };
+  watchConfigFiles();
+
+  // Watch from ~/.aws, so a token cache directory created by the first login is seen too
+  const cacheDir = getSsoCacheDir();
+  const cacheWatcher = watch(
+    path.dirname(path.dirname(cacheDir)),
+    `${path.basename(path.dirname(cacheDir))}/${path.basename(cacheDir)}/*.json`,
+    () => store.sessionsChanged()
+  );
+
+  const disposables = [
+    cacheWatcher,
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration("awsSsoLogin.configFiles")) {
+        watchConfigFiles();
+        store.configChanged();
+      } else if (event.affectsConfiguration("awsSsoLogin.profiles")) {
+        store.configChanged();
+      }
+    }),
+    // Relative config file paths are resolved against the workspace folders
+    vscode.workspace.onDidChangeWorkspaceFolders(() => {
+      watchConfigFiles();
+      store.configChanged();
+    }),
+  ];
+
+  return {
+    dispose: () => {
+      configWatchers.forEach((watcher) => watcher.dispose());
+      disposables.forEach((disposable) => disposable.dispose());
+    },
+  };
+}
+
+/**
+ * Tell the user about errors in the AWS config files, offering to open the first one
+ * @param {Array} errors Parse errors with file, line, column and message
+ */
+async function showConfigErrors(errors) {
+  if (errors.length === 0) {
+    return;
+  }
+  const first = errors[0];
+  const location = first.file ? `${describeProfileSource({ source: first })}: ` : "";
+  const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : "";
+  const actions = first.file ? ["Open File", "Show Problems"] : ["Show Output"];
+  const selection = await vscode.window.showWarningMessage(
+    `AWS SSO: Error reading the AWS config: ${location}${first.message}${more}`,
+    ...actions
+  );
+  if (selection === "Open File") {
+    const position = new vscode.Position(Math.max(first.line - 1, 0), Math.max(first.column - 1, 0));
+    await vscode.window.showTextDocument(vscode.Uri.file(first.file), {
+      selection: new vscode.Range(position, position),
+    });
+  } else if (selection === "Show Problems") {
+    await vscode.commands.executeCommand("workbench.actions.view.problems");
+  } else if (selection === "Show Output") {
+    outputChannel.show();
+  }
 }
 
 /**
- * Validate that a profile name contains only safe characters
- * @param {string} name The profile name to validate
- * @returns {boolean} True if the name is valid
+ * Describe where a profile is defined, for display
+ * @param {Object} profile The SSO profile
+ * @returns {string} Config file path (with ~ for the home directory) or "VS Code settings"
  */
-function isValidProfileName(name) {
-  return /^[a-zA-Z0-9_.-]+$/.test(name);
+function describeProfileSource(profile) {
+  if (!profile.source || !profile.source.file) {
+    return "VS Code settings";
+  }
+  const home = os.homedir();
+  const file = profile.source.file.startsWith(home + path.sep)
+    ? "~" + profile.source.file.substring(home.length)
+    : profile.source.file;
+  return `${file}:${profile.source.line}`;
 }
 
 /**
@@ -187,40 +306,54 @@ function buildEnvWithPaths() {
 }
 
 /**
- * Find the AWS CLI executable path
- * @returns {Promise<String|null>} Path to AWS CLI or null if not found
+ * Find the AWS CLI for a profile
+ * @param {Object} [profile] The SSO profile the CLI will run for
+ * @returns {Promise<Object|null>} CLI with path and version, or null if not found
+ * @throws {Error} With kind "cli-version" if the CLI is too old for the profile
  */
-async function findAwsCliPath() {
-  // Common installation paths for AWS CLI
-  const commonPaths = [
-    "aws", // Default PATH
-    "/usr/local/bin/aws", // Common macOS/Linux location
-    "/usr/bin/aws", // Common Linux location
-    "/opt/homebrew/bin/aws", // Homebrew on Apple Silicon Macs
-    "/usr/local/homebrew/bin/aws", // Homebrew on Intel Macs
-    "C:\\Program Files\\Amazon\\AWSCLI\\bin\\aws.exe", // Windows default
-    "C:\\Program Files (x86)\\Amazon\\AWSCLI\\bin\\aws.exe" // Windows 32-bit on 64-bit
-  ];
-  
-  // Check each path
-  for (const awsPath of commonPaths) {
-    try {
-      await execAsync(`"${awsPath}" --version`);
-      return awsPath;
-    } catch (error) {
-      // Continue to next path
+async function findAwsCli(profile) {
+  const cli = await cliLocator.locate();
+  if (!cli) {
+    return null;
+  }
+  const problem = checkCliVersion(cli.version, profile);
+  if (problem) {
+    const error = new Error(problem);
+    error.kind = "cli-version";
+    throw error;
+  }
+  return cli;
+}
+
+/**
+ * Find the AWS CLI for a command, telling the user when it is missing or too old
+ * @param {Object} profile The SSO profile the CLI will run for
+ * @returns {Promise<String|null>} Path to AWS CLI or null if it can't be used
+ */
+async function requireAwsCli(profile) {
+  try {
+    const cli = await findAwsCli(profile);
+    if (!cli) {
+      showAwsCliInstallationInstructions();
+      return null;
     }
+    return cli.path;
+  } catch (error) {
+    outputChannel.appendLine(error.message);
+    showAwsCliInstallationInstructions(error.message);
+    return null;
   }
-  
-  return null; // AWS CLI not found
 }
 
 /**
  * Show AWS CLI installation instructions based on the operating system
+ * @param {string} [reason] Why the installed CLI can't be used, when there is one
  */
-function showAwsCliInstallationInstructions() {
+function showAwsCliInstallationInstructions(reason) {
   const platform = os.platform();
-  let message = "AWS CLI is not installed or not in your PATH. ";
+  let message = reason
+    ? `${reason} `
+    : "AWS CLI is not installed or not in your PATH. Set \"awsSsoLogin.cliPath\" if it is installed elsewhere. ";
   
   switch (platform) {
     case "darwin": // macOS
@@ -235,6 +368,7 @@ function showAwsCliInstallationInstructions() {
     default:
       message += "Please install AWS CLI from: https://aws.amazon.com/cli/";
   }
+  message += " To log in without it, set \"awsSsoLogin.loginEngine\" to \"native\".";
   
   const installOption = "Installation Instructions";
   const cancelOption = "Cancel";
@@ -247,177 +381,1937 @@ function showAwsCliInstallationInstructions() {
 }
 
 /**
- * Start AWS SSO login process
+ * Build the environment for running the AWS CLI for a profile
  * @param {Object} profile The SSO profile
- * @returns {Promise<Boolean>} True if login successful
+ * @returns {Object} Environment object with augmented PATH and AWS_CONFIG_FILE
  */
-async function startSsoLogin(profile) {
-  try {
-    const awsPath = await findAwsCliPath();
-    if (!awsPath) {
-      showAwsCliInstallationInstructions();
-      return false;
-    }
+function buildCliEnv(profile) {
+  const env = buildEnvWithPaths();
+  // Point the CLI at the file that defines the profile
+  if (profile.source && profile.source.file) {
+    env.AWS_CONFIG_FILE = profile.source.file;
+  }
+  return env;
+}
 
-    if (!isValidProfileName(profile.name)) {
-      vscode.window.showErrorMessage(
-        `Invalid profile name: "${profile.name}". Profile names must contain only letters, numbers, hyphens, underscores, and periods.`
-      );
-      return false;
+/**
+ * Run an AWS CLI command, streaming its output to the output channel
+ * @param {string} awsPath Path to the AWS CLI
+ * @param {string[]} args CLI arguments
+ * @param {Object} options
+ * @param {Object} options.env Environment for the CLI process
+ * @param {vscode.CancellationToken} [options.cancellationToken] Kills the process when cancelled
+ * @param {Function} [options.onStderr] Called with each chunk of stderr text
+ * @param {boolean} [options.captureStdout] Collect stdout in the result instead of
+ *   logging it, for output that may contain secrets
+ * @returns {Promise<Object>} Result with code, stdout, stderr, and error or cancelled when applicable
+ */
+function runAwsCli(awsPath, args, options) {
+  return new Promise((resolve) => {
+    const child = spawn(awsPath, args, {
+      env: options.env,
+      stdio: ['inherit', 'pipe', 'pipe'],
+    });
+
+    let stdout = '';
+    let stderr = '';
+
+    if (options.cancellationToken) {
+      options.cancellationToken.onCancellationRequested(() => {
+        child.kill('SIGTERM');
+        resolve({ code: null, stdout, stderr, cancelled: true });
+      });
     }
 
-    outputChannel.appendLine(`Starting SSO login for profile: ${profile.name}`);
+    child.stdout.on('data', (data) => {
+      if (options.captureStdout) {
+        stdout += data.toString();
+      } else {
+        outputChannel.appendLine(data.toString());
+      }
+    });
 
-    const result = await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: `AWS SSO: ${profile.name}`,
-        cancellable: true,
-      },
-      async (progress, cancellationToken) => {
-        progress.report({ message: "Starting authentication..." });
+    child.stderr.on('data', (data) => {
+      const text = data.toString();
+      stderr += text;
+      outputChannel.appendLine(text);
+      if (options.onStderr) {
+        options.onStderr(text);
+      }
+    });
 
-        const env = buildEnvWithPaths();
+    child.on('close', (code) => {
+      if (code !== 0) {
+        outputChannel.appendLine(`AWS CLI exited with code ${code}`);
+      }
+      resolve({ code, stdout, stderr });
+    });
 
-        return new Promise((resolve, reject) => {
-          const child = spawn(
-            awsPath,
-            ['sso', 'login', '--profile', profile.name],
-            { env, stdio: ['inherit', 'pipe', 'pipe'] }
-          );
+    child.on('error', (err) => {
+      resolve({ code: null, stdout, stderr, error: err });
+    });
+  });
+}
 
-          let stderr = '';
-          let verificationCodeFound = false;
+/**
+ * Tell extensions using the API that SSO sessions changed
+ * @param {boolean} loggedIn True after a login, false after a logout
+ * @param {Function} isAffected Function returning true for the profiles whose session changed
+ */
+function notifySessionChanged(loggedIn, isAffected) {
+  profileStore.sessionsChanged();
+  getAwsSsoProfiles()
+    .then((profiles) => {
+      const names = profiles.filter(isAffected).map((profile) => profile.name);
+      if (names.length > 0) {
+        sessionChangeEmitter.fire({ profiles: names, loggedIn });
+      }
+    })
+    .catch((error) => outputChannel.appendLine(`Error reading profiles for session change: ${error.message}`));
+}
 
-          cancellationToken.onCancellationRequested(() => {
-            child.kill('SIGTERM');
-            resolve(false);
-          });
+/**
+ * Notify that a login succeeded for every profile sharing the profile's SSO token
+ * @param {Object} profile The SSO profile that was logged in
+ */
+function notifyLoggedIn(profile) {
+  const key = getCacheFileName(profile);
+  notifySessionChanged(true, (candidate) => getCacheFileName(candidate) === key);
+  recordProtectedLogin(profile);
+  if (isRemoteSyncEnabled()) {
+    copySessionToRemote(profile);
+  }
+}
 
-          child.stdout.on('data', (data) => {
-            outputChannel.appendLine(data.toString());
-          });
+/**
+ * Get the protection of a profile from the awsSsoLogin.protectedProfiles
+ * rules of every settings scope and the profile's own tag
+ * @param {Object} profile The SSO profile
+ * @returns {Object|null} Protection as returned by getProtection, or null
+ */
+function getProfileProtection(profile) {
+  const rules = collectRules(vscode.workspace.getConfiguration("awsSsoLogin").inspect("protectedProfiles"));
+  return getProtection(profile, rules);
+}
 
-          child.stderr.on('data', (data) => {
-            const text = data.toString();
-            stderr += text;
-            outputChannel.appendLine(text);
-
-            if (!verificationCodeFound) {
-              const codeMatch = text.match(/([A-Z0-9]{4}-[A-Z0-9]{4})/);
-              if (codeMatch) {
-                verificationCodeFound = true;
-                const code = codeMatch[1];
-
-                progress.report({
-                  message: `Verification code: ${code} -- Confirm this matches your browser`
-                });
-
-                vscode.env.clipboard.writeText(code);
-
-                vscode.window.showInformationMessage(
-                  `AWS SSO verification code: ${code} (copied to clipboard)`,
-                  'Copy Code'
-                ).then(selection => {
-                  if (selection === 'Copy Code') {
-                    vscode.env.clipboard.writeText(code);
-                  }
-                });
-              }
-            }
-          });
+/**
+ * Ask for the profile name to be typed before using a protected profile
+ * @param {Object} profile The SSO profile
+ * @param {string} action What is about to happen, e.g. "log in"
+ * @returns {Promise<boolean>} True if the profile isn't protected or the user confirmed
+ */
+async function confirmProtectedProfile(profile, action) {
+  const protection = getProfileProtection(profile);
+  if (!protection) {
+    return true;
+  }
+  const typed = await vscode.window.showInputBox({
+    title: `Protected profile: ${profile.name}`,
+    prompt: `${profile.name} (account ${profile.accountId}, role ${profile.roleName}) is protected: ${protection.reasons.join("; ")}. Type the profile name to ${action}.`,
+    placeHolder: profile.name,
+    ignoreFocusOut: true,
+    validateInput: (value) => (value === profile.name ? null : `Type "${profile.name}" to continue`),
+  });
+  if (typed !== profile.name) {
+    outputChannel.appendLine(`Protected profile ${profile.name} was not confirmed, did not ${action}`);
+    return false;
+  }
+  return true;
+}
 
-          child.on('close', (code) => {
-            if (code === 0) {
-              resolve(true);
-            } else {
-              outputChannel.appendLine(`AWS CLI exited with code ${code}`);
-              const errorMsg = stderr.trim() || `AWS CLI exited with code ${code}`;
-              if (errorMsg.includes("command not found") || errorMsg.includes("not recognized")) {
-                showAwsCliInstallationInstructions();
-              } else {
-                vscode.window.showErrorMessage(`AWS SSO login failed: ${errorMsg}`);
-              }
-              resolve(false);
-            }
-          });
+/**
+ * Check that the session of a protected profile may be used for an action
+ * other than logging in: a session past its maximum age is ended instead, and
+ * the user has to type the profile name unless they already did. Callers
+ * that then need to log in pass { confirmed: true } to startSsoLogin.
+ * @param {Object} profile The SSO profile
+ * @param {string} action What is about to happen, e.g. "write its credentials to the credentials file"
+ * @param {boolean} [confirmed] True if the user already confirmed this session
+ * @returns {Promise<boolean>} True if the profile isn't protected or may be used
+ */
+async function authorizeProtectedSession(profile, action, confirmed = false) {
+  if (!getProfileProtection(profile)) {
+    return true;
+  }
+  if (sessionAgeLimiter && sessionAgeLimiter.isPastDeadline(profile)) {
+    outputChannel.appendLine(`The session of protected profile ${profile.name} is past its maximum age, did not ${action}`);
+    await sessionAgeLimiter.schedule();
+    return false;
+  }
+  return confirmed || confirmProtectedProfile(profile, action);
+}
 
-          child.on('error', (err) => {
-            outputChannel.appendLine(`AWS SSO login error: ${err.message}`);
-            if (err.message.includes("ENOENT")) {
-              showAwsCliInstallationInstructions();
-            } else {
-              vscode.window.showErrorMessage(`AWS SSO login failed: ${err.message}`);
-            }
-            resolve(false);
-          });
-        });
-      }
+/**
+ * Start the session age limit of a protected profile after logging in
+ * @param {Object} profile The SSO profile
+ */
+function recordProtectedLogin(profile) {
+  const protection = sessionAgeLimiter && getProfileProtection(profile);
+  if (protection && protection.maxSessionMinutes) {
+    sessionAgeLimiter.recordLogin(profile).catch((error) => {
+      outputChannel.appendLine(`Error recording the session of ${profile.name}: ${error.message}`);
+    });
+  }
+}
+
+/**
+ * End the session of a protected profile that reached its maximum age: remove
+ * its cached SSO token, the credentials this extension wrote for it and its
+ * terminal injection
+ * @param {Object} profile The SSO profile
+ * @param {Date} loggedInAt When the session started
+ * @param {EnvironmentInjector} environmentInjector The terminal injection
+ */
+async function endProtectedSession(profile, loggedInAt, environmentInjector) {
+  const startedAt = new Date();
+  const { maxSessionMinutes } = getProfileProtection(profile) || {};
+  const maxAge = `${maxSessionMinutes} minute${maxSessionMinutes === 1 ? "" : "s"}`;
+  outputChannel.appendLine(
+    `Ending the session of protected profile ${profile.name}, logged in at ${loggedInAt.toLocaleString()}, after its maximum of ${maxAge}`
+  );
+  try {
+    const removed = removeCachedTokens(profile);
+    outputChannel.appendLine(`Removed ${removed.length} cached SSO token(s) for ${profile.startUrl}`);
+    if (deleteCredentialsSection(profile.name)) {
+      outputChannel.appendLine(`Removed the credentials for ${profile.name} from the credentials file`);
+    }
+    const injected = environmentInjector.getInjected();
+    if (injected && injected.name === profile.name) {
+      await environmentInjector.clear();
+    }
+    const key = getCacheFileName(profile);
+    const startUrl = normalizeStartUrl(profile.startUrl);
+    notifySessionChanged(false, (candidate) =>
+      getCacheFileName(candidate) === key || normalizeStartUrl(candidate.startUrl) === startUrl
     );
+    recordAttempt({ action: "logout", scope: "maxSessionAge", profile, startedAt, outcome: OUTCOMES.SUCCESS });
+  } catch (error) {
+    outputChannel.appendLine(`Error ending the session of ${profile.name}: ${error.message}`);
+    recordAttempt({ action: "logout", scope: "maxSessionAge", profile, startedAt, outcome: OUTCOMES.FAILURE, error });
+    vscode.window.showErrorMessage(`AWS SSO: Could not end the session of protected profile ${profile.name}: ${error.message}`);
+    return;
+  }
 
-    return result;
+  const loginOption = "Log In";
+  const selection = await vscode.window.showWarningMessage(
+    `AWS SSO: The session of protected profile ${profile.name} ended after the maximum of ${maxAge}.`,
+    loginOption
+  );
+  if (selection === loginOption) {
+    await vscode.commands.executeCommand("awsSsoLogin.login", profile.name);
+  }
+}
+
+/**
+ * Check whether logins should be copied to the remote host
+ * @returns {boolean} True when running locally for a remote window with awsSsoLogin.remoteSync on
+ */
+function isRemoteSyncEnabled() {
+  return Boolean(remoteSync) && vscode.workspace.getConfiguration("awsSsoLogin").get("remoteSync", false);
+}
+
+/**
+ * Create the remote sync for a remote window, reaching the remote host
+ * through the file system of its workspace folders
+ * @returns {RemoteSync}
+ */
+function createRemoteSync() {
+  const getRemoteFolders = () =>
+    (vscode.workspace.workspaceFolders || []).filter((folder) => folder.uri.scheme === "vscode-remote");
+  const toUri = (file) => {
+    const folder = getRemoteFolders()[0];
+    if (!folder) {
+      throw new Error("Open a folder on the remote host to copy AWS SSO sessions to it.");
+    }
+    return folder.uri.with({ path: file, query: "", fragment: "" });
+  };
+
+  return new RemoteSync({
+    fileSystem: {
+      readFile: async (file) => new TextDecoder().decode(await vscode.workspace.fs.readFile(toUri(file))),
+      writeFile: (file, text) => vscode.workspace.fs.writeFile(toUri(file), new TextEncoder().encode(text)),
+      createDirectory: (dir) => vscode.workspace.fs.createDirectory(toUri(dir)),
+      listDirectories: async (dir) => {
+        const entries = await vscode.workspace.fs.readDirectory(toUri(dir));
+        return entries.filter(([, type]) => type & vscode.FileType.Directory).map(([name]) => name);
+      },
+      exists: async (file) => {
+        try {
+          await vscode.workspace.fs.stat(toUri(file));
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+    },
+    getConfiguredDirectory: () => vscode.workspace.getConfiguration("awsSsoLogin").get("remoteAwsDirectory"),
+    getFolderPaths: () => getRemoteFolders().map((folder) => folder.uri.path),
+  });
+}
+
+/**
+ * Copy the cached SSO token of a profile to the remote host
+ * @param {Object} profile The SSO profile
+ * @returns {Promise<Boolean>} True if the token was copied
+ */
+async function copySessionToRemote(profile) {
+  try {
+    const target = await remoteSync.copyToken(profile);
+    outputChannel.appendLine(`Copied the SSO token for ${profile.name} to ${vscode.env.remoteName}:${target}`);
+    return true;
   } catch (error) {
-    outputChannel.appendLine(`Error starting SSO login: ${error.message}`);
-    vscode.window.showErrorMessage(`Error starting SSO login: ${error.message}`);
+    outputChannel.appendLine(`Error copying the SSO token for ${profile.name} to the remote host: ${error.message}`);
+    vscode.window.showWarningMessage(`AWS SSO: Could not copy the session for ${profile.name} to the remote host: ${error.message}`);
     return false;
   }
 }
 
 /**
- * @param {vscode.ExtensionContext} context
+ * Add a login or logout attempt to the login history
+ * @param {Object} attempt Attempt as taken by createHistoryEntry, without endedAt
  */
-function activate(context) {
-  // Register the login command
-  let loginDisposable = vscode.commands.registerCommand(
-    "awsSsoLogin.login",
-    async function () {
-      try {
-        // Get available profiles
-        const profiles = await getAwsSsoProfiles();
+function recordAttempt(attempt) {
+  if (!loginHistory) {
+    return;
+  }
+  loginHistory.append(createHistoryEntry({ ...attempt, endedAt: new Date() })).then(
+    () => loginHistoryView.refresh(),
+    (error) => outputChannel.appendLine(`Error writing the login history: ${error.message}`)
+  );
+}
 
-        if (profiles.length === 0) {
-          vscode.window.showErrorMessage(
-            "No AWS SSO profiles found. Please configure profiles in ~/.aws/config or VS Code settings."
-          );
-          return;
-        }
-        // Show quick pick to select profile
-        const profileItems = profiles.map((profile) => ({
-          label: profile.name,
-          description: `Account: ${profile.accountId}, Role: ${profile.roleName}`,
-          profile,
-        }));
-
-        const selectedItem = await vscode.window.showQuickPick(profileItems, {
-          placeHolder: "Select an AWS SSO profile",
-          ignoreFocusOut: true,
-        });
+/**
+ * Convert the result of a failed runAwsCli call to a classified error
+ * @param {Object} result Result returned by runAwsCli
+ * @returns {Object} Error with kind, message, retryable and remediation
+ */
+function toCliError(result) {
+  if (result.error) {
+    return result.error.code === "ENOENT"
+      ? { kind: "cli-not-found", message: "The AWS CLI was not found", retryable: false }
+      : { kind: "spawn", message: result.error.message, retryable: false, remediation: "showOutput" };
+  }
+  return classifyCliError(result.stderr, result.code);
+}
 
-        if (!selectedItem) {
-          return; // User cancelled
-        }
+/**
+ * Show an error for a failed AWS CLI command
+ * @param {string} action The action that failed, e.g. "logout"
+ * @param {Object} result Result returned by runAwsCli
+ * @param {Object} profile The SSO profile the command ran for
+ */
+function reportCliFailure(action, result, profile) {
+  showCliError(action, toCliError(result), profile);
+}
 
-        const profile = selectedItem.profile;
+/**
+ * Show a classified AWS CLI error with an action that helps fix it
+ * @param {string} action The action that failed, e.g. "login"
+ * @param {Object} error Error from classifyCliError or LoginSession
+ * @param {Object} profile The SSO profile
+ * @param {boolean} [canRetry] Offer to try again when that may help
+ * @returns {Promise<boolean>} True if the action should be tried again
+ */
+async function showCliError(action, error, profile, canRetry = false) {
+  outputChannel.appendLine(`AWS SSO ${action} failed (${error.kind}): ${error.detail || error.message}`);
+  if (error.kind === "cli-not-found" || error.remediation === "installCli") {
+    showAwsCliInstallationInstructions(error.kind === "cli-not-found" ? undefined : error.message);
+    return false;
+  }
 
-        // AWS CLI handles token caching internally - if a valid token
-        // exists, it completes instantly without opening a browser
-        const loginSuccess = await startSsoLogin(profile);
-        if (!loginSuccess) {
-          return;
-        }
+  const remediationOptions = {
+    openConfig: "Open Config",
+    clearCache: "Clear Cached Token",
+    login: "Log In",
+    showOutput: "Show Output",
+  };
+  // Logging in again is what a retry of a failed login does
+  const retryable = canRetry && (error.retryable || error.remediation === "login");
+  const options = [];
+  if (retryable && error.remediation !== "clearCache") {
+    options.push("Retry");
+  }
+  if (remediationOptions[error.remediation] && !(retryable && error.remediation === "login")) {
+    options.push(remediationOptions[error.remediation]);
+  }
 
-        vscode.window.showInformationMessage(
-          `AWS SSO login successful for profile: ${profile.name}`
-        );
-      } catch (error) {
-        vscode.window.showErrorMessage(
-          `AWS SSO login failed: ${error.message}`
+  const selection = await vscode.window.showErrorMessage(
+    `AWS SSO ${action} failed for ${profile.name}: ${error.message}`,
+    ...options
+  );
+  switch (selection) {
+    case "Retry":
+      return true;
+    case remediationOptions.openConfig:
+      await openProfileConfig(profile, error.key);
+      return false;
+    case remediationOptions.clearCache: {
+      // Read the client IDs from the tokens before removing them
+      const registrations = removeClientRegistrations(profile);
+      const removed = removeCachedTokens(profile);
+      outputChannel.appendLine(
+        `Removed ${removed.length} cached SSO token(s) and ${registrations.length} client registration(s) for ${profile.startUrl}`
+      );
+      profileStore.sessionsChanged();
+      if (error.kind === "expired-registration" && registrations.length === 0) {
+        // The CLI would reuse the same registration and fail again
+        vscode.window.showWarningMessage(
+          `AWS SSO: No client registration for ${profile.name} was found in ${getSsoCacheDir()}. Remove the AWS CLI's registration files there, then log in again.`
         );
+        return false;
       }
+      return canRetry;
+    }
+    case remediationOptions.login:
+      await vscode.commands.executeCommand("awsSsoLogin.login", profile.name);
+      return false;
+    case remediationOptions.showOutput:
+      outputChannel.show();
+      return false;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Open the config file that defines a profile
+ * @param {Object} profile The SSO profile
+ * @param {string} [key] Key to put the cursor on, looked up in the profile
+ *   that holds the SSO settings and its sso-session
+ */
+async function openProfileConfig(profile, key) {
+  if (!profile.source) {
+    await vscode.commands.executeCommand("workbench.action.openSettings", "awsSsoLogin.profiles");
+    return;
+  }
+
+  const file = profile.source.file;
+  let line = profile.source.line;
+  try {
+    const config = parseConfigText(fs.readFileSync(file, "utf8"), { file });
+    // SSO settings of role-chaining profiles are on the profile at the root of the chain
+    const section = config.profiles[key ? getLoginProfileName(profile) : profile.name];
+    const session = section && config.ssoSessions[getValue(section, "sso_session")];
+    const property = section && key && (section.properties[key] || (session && session.properties[key]));
+    if (property) {
+      line = property.line;
+    } else if (section) {
+      line = section.line;
     }
+  } catch (error) {
+    // Open the file at the line the profile was read from
+  }
+
+  const position = new vscode.Position(Math.max(line - 1, 0), 0);
+  await vscode.window.showTextDocument(vscode.Uri.file(file), {
+    selection: new vscode.Range(position, position),
+  });
+}
+
+/**
+ * Run a login with a progress notification. Batch logins pass in the progress
+ * and cancellation token of their own notification instead.
+ * @param {Object} profile The SSO profile
+ * @param {Object} options Login options
+ * @param {Function} task Function receiving progress and cancellation token
+ * @returns {Promise} Result of the task
+ */
+function withLoginProgress(profile, options, task) {
+  if (options.progress) {
+    return task(options.progress, options.cancellationToken);
+  }
+  return vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: `AWS SSO: ${profile.name}`,
+      cancellable: true,
+    },
+    task
   );
+}
 
-  context.subscriptions.push(loginDisposable);
+/**
+ * Start AWS SSO login process
+ * @param {Object} profile The SSO profile
+ * @param {Object} [options]
+ * @param {vscode.Progress} [options.progress] Progress to report to instead of a new notification
+ * @param {vscode.CancellationToken} [options.cancellationToken] Cancellation token for that progress
+ * @param {boolean} [options.confirmed] Skip the confirmation of protected profiles, already asked for
+ * @returns {Promise<Boolean>} True if login successful
+ */
+async function startSsoLogin(profile, options = {}) {
+  if (!options.confirmed && !(await confirmProtectedProfile(profile, "log in"))) {
+    return false;
+  }
+
+  const config = vscode.workspace.getConfiguration("awsSsoLogin");
+  if (config.get("loginEngine", "cli") === "native") {
+    return startNativeSsoLogin(profile, options);
+  }
+
+  try {
+    // Role-chaining profiles log in through the SSO profile at the root of the chain
+    const loginProfileName = getLoginProfileName(profile);
+    if (!isValidProfileName(loginProfileName)) {
+      vscode.window.showErrorMessage(
+        `Invalid profile name: "${loginProfileName}". Profile names must contain only letters, numbers, hyphens, underscores, and periods.`
+      );
+      return false;
+    }
+
+    outputChannel.appendLine(
+      loginProfileName === profile.name
+        ? `Starting SSO login for profile: ${profile.name}`
+        : `Starting SSO login for profile: ${profile.name} via ${profile.chain.join(" → ")}`
+    );
+
+    const timeoutMs = config.get("loginTimeoutSeconds", 300) * 1000;
+    const deviceCode = { use: config.get("useDeviceCode", false), requested: false };
+    for (;;) {
+      const result = await withLoginProgress(
+        profile,
+        options,
+        (progress, cancellationToken) => runCliLogin(profile, loginProfileName, timeoutMs, progress, cancellationToken, deviceCode)
+      );
+
+      if (result.state === LOGIN_STATES.DONE) {
+        notifyLoggedIn(profile);
+        return true;
+      }
+      if (result.state === LOGIN_STATES.CANCELLED && deviceCode.requested) {
+        // The user switched this login to a device code at the remote window warning
+        deviceCode.use = true;
+        deviceCode.requested = false;
+        outputChannel.appendLine(`Restarting SSO login for profile ${profile.name} with a device code`);
+        continue;
+      }
+      if (result.state === LOGIN_STATES.CANCELLED) {
+        return false;
+      }
+      if (!(await showCliError("login", result.error, profile, true))) {
+        return false;
+      }
+      outputChannel.appendLine(`Retrying SSO login for profile: ${profile.name}`);
+    }
+  } catch (error) {
+    outputChannel.appendLine(`Error starting SSO login: ${error.message}`);
+    vscode.window.showErrorMessage(`Error starting SSO login: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Run "aws sso login" once, reporting its states to the progress notification
+ * @param {Object} profile The SSO profile
+ * @param {string} loginProfileName Profile to pass to the CLI
+ * @param {number} timeoutMs How long to wait for the browser authorization
+ * @param {vscode.Progress} progress Progress to report to
+ * @param {vscode.CancellationToken} cancellationToken Cancels the login
+ * @param {Object} deviceCode Whether to use a device code (use), and set by the
+ *   authorization prompt when the user asks to restart with one (requested)
+ * @returns {Promise<Object>} Result from LoginSession
+ */
+async function runCliLogin(profile, loginProfileName, timeoutMs, progress, cancellationToken, deviceCode) {
+  let cliVersion;
+  const session = new LoginSession({
+    findCli: async () => {
+      const cli = await findAwsCli(profile);
+      cliVersion = cli && cli.version;
+      return cli && cli.path;
+    },
+    // CLIs before 2.22.0 use the device code flow anyway and reject the option
+    spawn: (awsPath, args) => spawn(awsPath, deviceCode.use && supportsDeviceCodeOption(cliVersion) ? [...args, "--use-device-code"] : args, {
+      env: buildCliEnv(profile),
+      stdio: ['inherit', 'pipe', 'pipe'],
+    }),
+    args: ['sso', 'login', '--profile', loginProfileName],
+    verify: () => !getTokenStatus(profile).expired,
+    timeoutMs,
+  });
+
+  session.on("stateChange", ({ state }) => {
+    loginStateEmitter.fire({ profileName: profile.name, state });
+    if (LOGIN_PROGRESS_MESSAGES[state]) {
+      progress.report({ message: LOGIN_PROGRESS_MESSAGES[state] });
+    }
+  });
+  session.on("output", (text) => outputChannel.appendLine(text));
+  session.on("authorization", (prompt) => showAuthorizationPrompt(profile, prompt, progress, () => {
+    deviceCode.requested = true;
+    session.cancel();
+  }));
+
+  const cancellation = cancellationToken.onCancellationRequested(() => session.cancel());
+  const startedAt = new Date();
+  try {
+    const result = await session.start();
+    outputChannel.appendLine(
+      result.error
+        ? `SSO login for ${profile.name} ${result.state}: ${result.error.message}`
+        : `SSO login for ${profile.name} ${result.state}`
+    );
+    recordAttempt({
+      action: "login",
+      engine: "cli",
+      profile,
+      startedAt,
+      outcome: result.state === LOGIN_STATES.DONE
+        ? OUTCOMES.SUCCESS
+        : result.state === LOGIN_STATES.CANCELLED ? OUTCOMES.CANCELLED : OUTCOMES.FAILURE,
+      error: result.error,
+    });
+    return result;
+  } catch (error) {
+    recordAttempt({ action: "login", engine: "cli", profile, startedAt, outcome: OUTCOMES.FAILURE, error });
+    throw error;
+  } finally {
+    cancellation.dispose();
+  }
+}
+
+/**
+ * Show how to complete the browser authorization the AWS CLI asks for
+ * @param {Object} profile The SSO profile
+ * @param {Object} prompt Prompt from LoginSession with flow, url and code
+ * @param {vscode.Progress} progress Progress to report to
+ * @param {Function} useDeviceCode Restarts this login with a device code
+ */
+function showAuthorizationPrompt(profile, prompt, progress, useDeviceCode) {
+  // A string keeps the encoding of the URL's parameters; a parsed Uri would be encoded again
+  const openBrowser = () => vscode.env.openExternal(prompt.url);
+
+  if (prompt.flow === AUTHORIZATION_FLOWS.DEVICE_CODE) {
+    // The CLI on the remote host can't open a browser on this machine
+    if (runsOnRemoteHost && prompt.url) {
+      openBrowser();
+    }
+    progress.report({
+      message: `Verification code: ${prompt.code} -- Confirm this matches your browser`
+    });
+
+    vscode.env.clipboard.writeText(prompt.code);
+
+    const actions = prompt.url ? ['Copy Code', 'Open Browser'] : ['Copy Code'];
+    vscode.window.showInformationMessage(
+      `AWS SSO verification code: ${prompt.code} (copied to clipboard)`,
+      ...actions
+    ).then(selection => {
+      if (selection === 'Copy Code') {
+        vscode.env.clipboard.writeText(prompt.code);
+      } else if (selection === 'Open Browser') {
+        openBrowser();
+      }
+    });
+    return;
+  }
+
+  progress.report({ message: "Approve the login in the browser..." });
+
+  // The browser redirects to a port on the machine running the CLI, which it
+  // may not reach when the CLI runs on the remote host, so ask before opening it
+  if (runsOnRemoteHost) {
+    vscode.window.showWarningMessage(
+      `AWS SSO: The browser may not be able to complete the login for ${profile.name} in a remote window. Log in with a device code instead? Set awsSsoLogin.useDeviceCode to always use one.`,
+      'Use Device Code',
+      'Open Browser'
+    ).then(selection => {
+      if (selection === 'Use Device Code') {
+        useDeviceCode();
+      } else if (selection === 'Open Browser') {
+        openBrowser();
+      }
+    });
+    return;
+  }
+
+  vscode.window.showInformationMessage(
+    `AWS SSO: Approve the login for ${profile.name} in the browser.`,
+    'Open Browser'
+  ).then(selection => {
+    if (selection === 'Open Browser') {
+      openBrowser();
+    }
+  });
+}
+
+/**
+ * Start AWS SSO login with the built-in OIDC device authorization flow, for
+ * environments without the AWS CLI. The token is written to the AWS CLI
+ * cache, so the CLI and SDKs can use it.
+ * @param {Object} profile The SSO profile
+ * @param {Object} [options] Progress options, see startSsoLogin
+ * @returns {Promise<Boolean>} True if login successful
+ */
+async function startNativeSsoLogin(profile, options = {}) {
+  outputChannel.appendLine(`Starting built-in SSO login for profile: ${profile.name} (${profile.startUrl})`);
+
+  const attempt = { action: "login", engine: "native", profile, startedAt: new Date() };
+  try {
+    return await withLoginProgress(
+      profile,
+      options,
+      async (progress, cancellationToken) => {
+        progress.report({ message: "Starting authentication..." });
+
+        const entry = await loginWithDeviceAuthorization(profile, {
+          isCancelled: () => cancellationToken.isCancellationRequested,
+          onAuthorization: (authorization) => {
+            const code = authorization.userCode;
+            const verificationUrl = authorization.verificationUriComplete || authorization.verificationUri;
+            outputChannel.appendLine(`Verification URL: ${verificationUrl}`);
+            outputChannel.appendLine(`Verification code: ${code}`);
+
+            progress.report({
+              message: `Verification code: ${code} -- Confirm this matches your browser`
+            });
+            vscode.env.clipboard.writeText(code);
+            vscode.env.openExternal(vscode.Uri.parse(verificationUrl));
+          },
+        });
+
+        if (!entry) {
+          outputChannel.appendLine("Built-in SSO login cancelled");
+          recordAttempt({ ...attempt, outcome: OUTCOMES.CANCELLED });
+          return false;
+        }
+        outputChannel.appendLine(`SSO token cached until ${entry.expiresAt}`);
+        recordAttempt({ ...attempt, outcome: OUTCOMES.SUCCESS });
+        notifyLoggedIn(profile);
+        return true;
+      }
+    );
+  } catch (error) {
+    outputChannel.appendLine(`AWS SSO login error: ${error.message}`);
+    recordAttempt({ ...attempt, outcome: OUTCOMES.FAILURE, error });
+    vscode.window.showErrorMessage(`AWS SSO login failed: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Log out of AWS SSO for a profile
+ * @param {Object} profile The SSO profile
+ * @param {string} scope "all" to run "aws sso logout", which signs out of every
+ *   cached session, or "startUrl" to only remove the cached tokens for the
+ *   profile's start URL
+ * @returns {Promise<Boolean>} True if logout successful
+ */
+async function startSsoLogout(profile, scope) {
+  const attempt = { action: "logout", profile, scope, startedAt: new Date() };
+  if (scope === "startUrl") {
+    try {
+      const removed = removeCachedTokens(profile);
+      outputChannel.appendLine(
+        `Removed ${removed.length} cached SSO token(s) for ${profile.startUrl}: ${removed.join(", ") || "none"}`
+      );
+      const key = getCacheFileName(profile);
+      const startUrl = normalizeStartUrl(profile.startUrl);
+      notifySessionChanged(false, (candidate) =>
+        getCacheFileName(candidate) === key || normalizeStartUrl(candidate.startUrl) === startUrl
+      );
+      recordAttempt({ ...attempt, outcome: OUTCOMES.SUCCESS });
+      return true;
+    } catch (error) {
+      outputChannel.appendLine(`Error removing cached SSO tokens: ${error.message}`);
+      recordAttempt({ ...attempt, outcome: OUTCOMES.FAILURE, error });
+      vscode.window.showErrorMessage(`AWS SSO logout failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  const awsPath = await requireAwsCli(profile);
+  if (!awsPath) {
+    return false;
+  }
+
+  const loginProfileName = getLoginProfileName(profile);
+  if (!isValidProfileName(loginProfileName)) {
+    vscode.window.showErrorMessage(
+      `Invalid profile name: "${loginProfileName}". Profile names must contain only letters, numbers, hyphens, underscores, and periods.`
+    );
+    return false;
+  }
+
+  outputChannel.appendLine(`Starting SSO logout for profile: ${profile.name}`);
+  const result = await runAwsCli(
+    awsPath,
+    ['sso', 'logout', '--profile', loginProfileName],
+    { env: buildCliEnv(profile) }
+  );
+  if (result.code === 0) {
+    // "aws sso logout" signs out of every cached session
+    notifySessionChanged(false, () => true);
+    recordAttempt({ ...attempt, outcome: OUTCOMES.SUCCESS });
+    return true;
+  }
+  const error = toCliError(result);
+  recordAttempt({ ...attempt, outcome: OUTCOMES.FAILURE, error });
+  showCliError("logout", error, profile);
+  return false;
+}
+
+/**
+ * Resolve short-lived role credentials for a profile with
+ * "aws configure export-credentials"
+ * @param {Object} profile The SSO profile
+ * @returns {Promise<Object|null>} Credentials, or null if they couldn't be resolved
+ */
+async function exportRoleCredentials(profile) {
+  const awsPath = await requireAwsCli(profile);
+  if (!awsPath) {
+    return null;
+  }
+
+  if (!isValidProfileName(profile.name)) {
+    vscode.window.showErrorMessage(
+      `Invalid profile name: "${profile.name}". Profile names must contain only letters, numbers, hyphens, underscores, and periods.`
+    );
+    return null;
+  }
+
+  outputChannel.appendLine(`Resolving credentials for profile: ${profile.name}`);
+  // Chained profiles are exported by name so the CLI assumes every role in the chain
+  const result = await runAwsCli(
+    awsPath,
+    ['configure', 'export-credentials', '--profile', profile.name, '--format', 'process'],
+    { env: buildCliEnv(profile), captureStdout: true }
+  );
+  if (result.code !== 0) {
+    reportCliFailure("credential export", result, profile);
+    return null;
+  }
+
+  try {
+    return parseExportedCredentials(result.stdout);
+  } catch (error) {
+    outputChannel.appendLine(`Error reading exported credentials: ${error.message}`);
+    vscode.window.showErrorMessage(`AWS SSO credential export failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve short-lived role credentials for a profile. SSO profiles use the
+ * cached SSO token with GetRoleCredentials, which works without the AWS CLI;
+ * role-chaining profiles need the CLI to assume each role in the chain.
+ * @param {Object} profile The SSO profile
+ * @returns {Promise<Object|null>} Credentials, or null if they couldn't be resolved
+ */
+async function resolveRoleCredentials(profile) {
+  if (profile.chain) {
+    return exportRoleCredentials(profile);
+  }
+
+  const status = getTokenStatus(profile);
+  if (status.expired) {
+    vscode.window.showErrorMessage(
+      `No valid AWS SSO token for ${profile.name}. Log in first.`
+    );
+    return null;
+  }
+
+  try {
+    return await getRoleCredentials({
+      accessToken: status.token.accessToken,
+      region: profile.region,
+      accountId: profile.accountId,
+      roleName: profile.roleName,
+    });
+  } catch (error) {
+    outputChannel.appendLine(`Error getting role credentials for ${profile.name}: ${error.message}`);
+    vscode.window.showErrorMessage(`Failed to get role credentials for ${profile.name}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write role credentials for a profile to the shared credentials file, in a
+ * section named after the profile
+ * @param {Object} profile The SSO profile
+ * @returns {Promise<Object|null>} The written credentials, or null on failure
+ */
+async function updateCredentialsFile(profile) {
+  if (!isValidProfileName(profile.name)) {
+    vscode.window.showErrorMessage(
+      `Invalid profile name: "${profile.name}". Profile names must contain only letters, numbers, hyphens, underscores, and periods.`
+    );
+    return null;
+  }
+
+  const credentials = await resolveRoleCredentials(profile);
+  if (!credentials) {
+    return null;
+  }
+
+  try {
+    const filePath = writeCredentialsSection(profile.name, credentials);
+    outputChannel.appendLine(`Wrote credentials for ${profile.name} to ${filePath}`);
+    if (isRemoteSyncEnabled()) {
+      const remoteFile = await remoteSync.writeCredentials(profile.name, credentials);
+      outputChannel.appendLine(`Wrote credentials for ${profile.name} to ${vscode.env.remoteName}:${remoteFile}`);
+    }
+    return credentials;
+  } catch (error) {
+    outputChannel.appendLine(`Error writing credentials file: ${error.message}`);
+    vscode.window.showErrorMessage(`Failed to write AWS credentials file: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Finish a successful login: update the credentials file when enabled and
+ * tell the user when the credentials expire
+ * @param {Object} profile The SSO profile
+ */
+async function showLoginSuccess(profile) {
+  const updateFile = vscode.workspace.getConfiguration("awsSsoLogin").get("updateCredentialsFile", false);
+  if (!updateFile) {
+    vscode.window.showInformationMessage(
+      `AWS SSO login successful for profile: ${profile.name}`
+    );
+    return;
+  }
+
+  const credentials = await updateCredentialsFile(profile);
+  if (!credentials) {
+    return;
+  }
+  vscode.window.showInformationMessage(
+    credentials.expiration
+      ? `AWS SSO login successful for profile: ${profile.name}. Credentials written to the AWS credentials file expire at ${credentials.expiration.toLocaleString()}.`
+      : `AWS SSO login successful for profile: ${profile.name}. Credentials written to the AWS credentials file.`
+  );
+}
+
+/**
+ * Resolve the profile a command was invoked for. Commands receive a profile
+ * name (status bar), a tree node (profile explorer) or nothing (command
+ * palette), in which case the user picks a profile.
+ * @param {string|Object} [profileArg] Profile name or tree node
+ * @param {string} placeHolder Quick pick placeholder
+ * @returns {Promise<Object|undefined>} The profile, or undefined if none was selected
+ */
+async function selectProfile(profileArg, placeHolder) {
+  // Get available profiles
+  const profiles = await getAwsSsoProfiles();
+
+  if (profiles.length === 0) {
+    vscode.window.showErrorMessage(
+      "No AWS SSO profiles found. Please configure profiles in ~/.aws/config or VS Code settings."
+    );
+    return undefined;
+  }
+
+  const profileName = typeof profileArg === "string"
+    ? profileArg
+    : profileArg && profileArg.profile && profileArg.profile.name;
+
+  if (profileName) {
+    const profile = profiles.find((p) => p.name === profileName);
+    if (!profile) {
+      vscode.window.showErrorMessage(`AWS SSO profile not found: ${profileName}`);
+    }
+    return profile;
+  }
+
+  // Show quick pick to select profile
+  const selectedItem = await vscode.window.showQuickPick(profiles.map(toProfileQuickPickItem), {
+    placeHolder,
+    ignoreFocusOut: true,
+  });
+
+  return selectedItem && selectedItem.profile; // Undefined if the user cancelled
+}
+
+/**
+ * Build the quick pick item for a profile
+ * @param {Object} profile The SSO profile
+ * @returns {vscode.QuickPickItem} Item with the profile attached
+ */
+function toProfileQuickPickItem(profile) {
+  const isProtected = Boolean(getProfileProtection(profile));
+  const description = profile.chain
+    ? `Account: ${profile.accountId}, Role: ${profile.roleName}, Chain: ${profile.chain.join(" → ")}`
+    : `Account: ${profile.accountId}, Role: ${profile.roleName}`;
+  return {
+    label: isProtected ? `$(shield) ${profile.name}` : profile.name,
+    description: isProtected ? `Protected, ${description}` : description,
+    detail: describeProfileSource(profile),
+    profile,
+  };
+}
+
+/**
+ * Resolve the profiles to log in to. Besides what selectProfile accepts, the
+ * login command takes an array of profile names or { group } with the name of
+ * a profile group. From the command palette, the user picks a profile, a
+ * profile group or several profiles.
+ * @param {string|string[]|Object} [profileArg] Profile name(s), tree node or profile group
+ * @returns {Promise<Array|undefined>} The profiles, or undefined if none were selected
+ */
+async function selectLoginProfiles(profileArg) {
+  if (profileArg && !Array.isArray(profileArg) && typeof profileArg.group !== "string") {
+    const profile = await selectProfile(profileArg, "Select an AWS SSO profile");
+    return profile && [profile];
+  }
+
+  const profiles = await getAwsSsoProfiles();
+  if (profiles.length === 0) {
+    vscode.window.showErrorMessage(
+      "No AWS SSO profiles found. Please configure profiles in ~/.aws/config or VS Code settings."
+    );
+    return undefined;
+  }
+  const groups = vscode.workspace.getConfiguration("awsSsoLogin").get("profileGroups") || {};
+
+  let names;
+  if (Array.isArray(profileArg)) {
+    names = profileArg;
+  } else if (profileArg) {
+    names = groups[profileArg.group];
+    if (!Array.isArray(names)) {
+      vscode.window.showErrorMessage(`AWS SSO profile group not found: ${profileArg.group}`);
+      return undefined;
+    }
+  } else {
+    const selectedItem = await vscode.window.showQuickPick(
+      [
+        ...Object.entries(groups)
+          .filter(([, groupNames]) => Array.isArray(groupNames))
+          .map(([group, groupNames]) => ({
+            label: `$(layers) ${group}`,
+            description: groupNames.join(", "),
+            names: groupNames,
+          })),
+        { label: "$(checklist) Select several profiles...", pickMany: true },
+        { label: "Profiles", kind: vscode.QuickPickItemKind.Separator },
+        ...profiles.map(toProfileQuickPickItem),
+      ],
+      {
+        placeHolder: "Select an AWS SSO profile or profile group",
+        ignoreFocusOut: true,
+      }
+    );
+    if (!selectedItem) {
+      return undefined;
+    }
+    if (selectedItem.profile) {
+      return [selectedItem.profile];
+    }
+    if (selectedItem.pickMany) {
+      const selectedItems = await vscode.window.showQuickPick(profiles.map(toProfileQuickPickItem), {
+        placeHolder: "Select the AWS SSO profiles to log in to",
+        canPickMany: true,
+        ignoreFocusOut: true,
+      });
+      return selectedItems && selectedItems.length > 0
+        ? selectedItems.map((item) => item.profile)
+        : undefined;
+    }
+    names = selectedItem.names;
+  }
+
+  const missing = names.filter((name) => !profiles.some((profile) => profile.name === name));
+  if (missing.length > 0) {
+    vscode.window.showWarningMessage(`AWS SSO profiles not found: ${missing.join(", ")}`);
+  }
+  const selected = profiles.filter((profile) => names.includes(profile.name));
+  return selected.length > 0 ? selected : undefined;
+}
+
+/**
+ * Log in to several profiles with one progress notification. Profiles that
+ * share an sso-session or start URL are logged in once. Protected profiles
+ * are confirmed up front, since they may share the login of another profile.
+ * @param {Array} profiles The SSO profiles
+ * @returns {Promise<Array>} Results from runBatchLogin, with declined protected profiles as cancelled
+ */
+async function startBatchSsoLogin(profiles) {
+  const confirmed = [];
+  const declined = [];
+  for (const profile of profiles) {
+    (await confirmProtectedProfile(profile, "log in") ? confirmed : declined).push(profile);
+  }
+  const declinedResults = declined.map((profile) => ({ profile, loginProfile: profile, status: "cancelled" }));
+  if (confirmed.length === 0) {
+    return declinedResults;
+  }
+  outputChannel.appendLine(`Starting SSO login for profiles: ${confirmed.map((profile) => profile.name).join(", ")}`);
+
+  const results = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: `AWS SSO: ${confirmed.length} profiles`,
+      cancellable: true,
+    },
+    async (progress, cancellationToken) => {
+      const done = [];
+      const startedAt = new Date();
+      return runBatchLogin(confirmed, {
+        isCancelled: () => cancellationToken.isCancellationRequested,
+        login: (profile) => {
+          // Keep the results so far in front of the messages of the current login
+          const prefix = done.length > 0 ? `${done.join(", ")} -- ` : "";
+          return startSsoLogin(profile, {
+            confirmed: true,
+            cancellationToken,
+            progress: {
+              report: (value) => progress.report({
+                ...value,
+                message: `${prefix}${profile.name}: ${value.message}`,
+              }),
+            },
+          });
+        },
+        onResult: (results, index, total) => {
+          for (const result of results) {
+            const icon = { success: "$(check)", failed: "$(error)", cancelled: "$(circle-slash)" }[result.status];
+            done.push(`${icon} ${result.profile.name}`);
+            outputChannel.appendLine(
+              result.loginProfile === result.profile
+                ? `SSO login for ${result.profile.name}: ${result.status}`
+                : `SSO login for ${result.profile.name} (shares login with ${result.loginProfile.name}): ${result.status}`
+            );
+            // The login of the profile itself is recorded by startSsoLogin
+            if (result.loginProfile !== result.profile) {
+              if (result.status === "success") {
+                recordProtectedLogin(result.profile);
+              }
+              recordAttempt({
+                action: "login",
+                profile: result.profile,
+                via: result.loginProfile.name,
+                startedAt,
+                outcome: { success: OUTCOMES.SUCCESS, failed: OUTCOMES.FAILURE, cancelled: OUTCOMES.CANCELLED }[result.status],
+              });
+            }
+          }
+          progress.report({ increment: 100 / total, message: done.join(", ") });
+        },
+      });
+    }
+  );
+  return [...results, ...declinedResults];
+}
+
+/**
+ * Build the AWS access portal shortcut URL that opens the console for a profile's account and role
+ * @param {Object} profile The SSO profile
+ * @returns {string} Console shortcut URL
+ */
+function getPortalConsoleUrl(profile) {
+  const portalUrl = profile.startUrl.replace(/#.*$/, "").replace(/\/+$/, "");
+  const query = `account_id=${encodeURIComponent(profile.accountId)}&role_name=${encodeURIComponent(profile.roleName)}`;
+  return `${portalUrl}/#/console?${query}`;
+}
+
+/**
+ * Sign in to the AWS Console as a profile's role through the federation
+ * endpoint, logging in first if needed
+ * @param {Object} profile The SSO profile
+ * @param {Object} [destination]
+ * @param {string} [destination.service] Console path of the service to open
+ * @param {string} [destination.region] Region to open the console in
+ * @returns {Promise<Boolean>} True if the console was opened
+ */
+async function openConsole(profile, destination = {}) {
+  if (!(await authorizeProtectedSession(profile, "open the AWS Console"))) {
+    return false;
+  }
+  if (getTokenStatus(profile).expired && !(await startSsoLogin(profile, { confirmed: true }))) {
+    return false;
+  }
+
+  const config = vscode.workspace.getConfiguration("awsSsoLogin");
+  try {
+    const url = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `AWS SSO: Opening the AWS Console for ${profile.name}...`,
+      },
+      async () => {
+        const credentials = await resolveRoleCredentials(profile);
+        if (!credentials) {
+          return null;
+        }
+        return createConsoleLoginUrl(credentials, {
+          partitionRegion: profile.region,
+          service: destination.service,
+          region: destination.region,
+          issuer: profile.startUrl,
+          federationEndpoint: config.get("federationEndpoint") || undefined,
+        });
+      }
+    );
+    if (!url) {
+      return false;
+    }
+    outputChannel.appendLine(`Opening the AWS Console for ${profile.name}${destination.service ? ` (${destination.service})` : ""}`);
+    // A string keeps the encoding of the sign-in token and destination; a
+    // parsed Uri would be encoded again
+    return await vscode.env.openExternal(url);
+  } catch (error) {
+    outputChannel.appendLine(`Error signing in to the AWS Console for ${profile.name}: ${error.message}`);
+    // The access portal can open the console for the SSO role, but not for roles assumed from it
+    const actions = profile.chain ? [] : ["Open Access Portal"];
+    const selection = await vscode.window.showErrorMessage(
+      `Could not sign in to the AWS Console for ${profile.name}: ${error.message}`,
+      ...actions
+    );
+    if (selection === "Open Access Portal") {
+      await vscode.env.openExternal(vscode.Uri.parse(getPortalConsoleUrl(profile)));
+    }
+    return false;
+  }
+}
+
+/**
+ * Ask for the console service and region to open
+ * @returns {Promise<Object|undefined>} Destination with service and region, or undefined if cancelled
+ */
+async function selectConsoleDestination() {
+  const otherItem = { label: "$(edit) Other Service...", description: "Enter the console path" };
+  const selected = await vscode.window.showQuickPick(
+    [
+      ...CONSOLE_SERVICES.map((item) => ({ label: item.label, description: item.service, service: item.service })),
+      otherItem,
+    ],
+    { placeHolder: "Select the AWS Console service to open", ignoreFocusOut: true }
+  );
+  if (!selected) {
+    return undefined;
+  }
+
+  let service = selected.service;
+  if (selected === otherItem) {
+    service = await vscode.window.showInputBox({
+      prompt: "Console path of the service, as in https://console.aws.amazon.com/<path>/home",
+      placeHolder: "e.g. sqs or apigateway",
+      ignoreFocusOut: true,
+      validateInput: (value) => (/^[\w-]+(\/[\w-]+)*$/.test(value.trim()) ? undefined : "Enter a path such as sqs or apigateway"),
+    });
+    if (service === undefined) {
+      return undefined;
+    }
+    service = service.trim();
+  }
+
+  const region = await vscode.window.showInputBox({
+    prompt: "Region to open the console in",
+    placeHolder: "e.g. eu-west-1, or leave empty for the region used last",
+    ignoreFocusOut: true,
+    validateInput: (value) => (!value.trim() || /^[a-z]{2}(-[a-z]+)+-\d+$/.test(value.trim()) ? undefined : "Enter a region such as eu-west-1"),
+  });
+  if (region === undefined) {
+    return undefined;
+  }
+  return { service, region: region.trim() };
+}
+
+/**
+ * Pick the SSO identity (sso-session or start URL) to discover profiles for
+ * @param {Array} profiles Available SSO profiles
+ * @returns {Promise<Object|undefined>} A profile of the identity, or undefined if cancelled
+ */
+async function selectIdentityProfile(profiles) {
+  const identities = new Map();
+  for (const profile of profiles) {
+    const identity = getIdentity(profile);
+    if (!profile.chain && !identities.has(identity.key)) {
+      identities.set(identity.key, { label: identity.label, description: profile.startUrl, profile });
+    }
+  }
+
+  const items = [...identities.values()];
+  if (items.length <= 1) {
+    return items[0] && items[0].profile;
+  }
+  const selected = await vscode.window.showQuickPick(items, {
+    placeHolder: "Select the AWS SSO identity to discover accounts and roles for",
+    ignoreFocusOut: true,
+  });
+  return selected && selected.profile;
+}
+
+/**
+ * Discover the accounts and roles the SSO user can access and add profiles
+ * for the ones that don't have one yet to the AWS config file
+ * @returns {Promise<string[]>} Names of the added profiles
+ */
+async function discoverSsoProfiles() {
+  const profiles = await getAwsSsoProfiles();
+  const identityProfile = await selectIdentityProfile(profiles);
+  if (!identityProfile) {
+    if (profiles.length === 0) {
+      vscode.window.showErrorMessage(
+        "No AWS SSO profiles found. Add one SSO profile or sso-session to ~/.aws/config first, so the start URL and region are known."
+      );
+    }
+    return [];
+  }
+
+  let status = getTokenStatus(identityProfile);
+  if (status.expired) {
+    const loginOption = "Login";
+    const selection = await vscode.window.showWarningMessage(
+      `Discovering profiles needs a valid AWS SSO token for ${identityProfile.startUrl}.`,
+      loginOption
+    );
+    if (selection !== loginOption || !(await startSsoLogin(identityProfile))) {
+      return [];
+    }
+    status = getTokenStatus(identityProfile);
+    if (status.expired) {
+      vscode.window.showErrorMessage(`No valid AWS SSO token for ${identityProfile.startUrl}.`);
+      return [];
+    }
+  }
+
+  // Generated profiles share an sso-session; legacy start URL identities need a new one
+  let sessionName = identityProfile.ssoSession;
+  if (!sessionName) {
+    let suggestion = "sso";
+    try {
+      suggestion = new URL(identityProfile.startUrl).host.split(".")[0];
+    } catch (error) {
+      // Keep the generic name
+    }
+    sessionName = await vscode.window.showInputBox({
+      prompt: `Name of the sso-session to create for ${identityProfile.startUrl}`,
+      value: suggestion,
+      ignoreFocusOut: true,
+      validateInput: (value) =>
+        isValidProfileName(value) ? undefined : "Use only letters, numbers, hyphens, underscores, and periods",
+    });
+    if (!sessionName) {
+      return [];
+    }
+  }
+
+  const assignments = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Discovering AWS accounts and roles",
+      cancellable: false,
+    },
+    (progress) =>
+      listAccountAssignments(
+        { accessToken: status.token.accessToken, region: identityProfile.region },
+        (account) => progress.report({ message: account.accountName || account.accountId })
+      )
+  );
+
+  const target = getDefaultConfigSource();
+  let existingNames = profiles.map((profile) => profile.name);
+  try {
+    const text = fs.readFileSync(target.file, "utf8");
+    existingNames = existingNames.concat(Object.keys(parseConfigText(text).profiles));
+  } catch (error) {
+    // The config file doesn't exist yet
+  }
+
+  const planned = planGeneratedProfiles(assignments, {
+    sessionName,
+    startUrl: identityProfile.startUrl,
+    template: vscode.workspace.getConfiguration("awsSsoLogin").get("profileNameTemplate", DEFAULT_NAME_TEMPLATE),
+    existingProfiles: profiles,
+    existingNames,
+  });
+  if (planned.length === 0) {
+    vscode.window.showInformationMessage(
+      `All ${assignments.length} accessible account roles already have a profile.`
+    );
+    return [];
+  }
+
+  const selected = await vscode.window.showQuickPick(
+    planned.map((profile) => ({
+      label: profile.name,
+      description: `Account: ${profile.accountName || ""} (${profile.accountId}), Role: ${profile.roleName}`,
+      picked: true,
+      profile,
+    })),
+    {
+      placeHolder: `Select the profiles to add to ${target.file}`,
+      canPickMany: true,
+      ignoreFocusOut: true,
+    }
+  );
+  if (!selected || selected.length === 0) {
+    return [];
+  }
+
+  const added = writeGeneratedProfiles(target.file, {
+    sessionName,
+    startUrl: identityProfile.startUrl,
+    region: identityProfile.region,
+    scopes: identityProfile.scopes,
+    profiles: selected.map((item) => item.profile),
+  });
+  outputChannel.appendLine(`Added profiles to ${target.file}: ${added.join(", ")}`);
+  return added;
+}
+
+/**
+ * Warn that a keep-alive profile's SSO token is about to expire and offer to log in again
+ * @param {Object} profile The SSO profile
+ * @param {Object} status Token status from getTokenStatus
+ * @param {KeepAliveScheduler} scheduler Scheduler to refresh after re-login
+ * @param {TokenStatusBar} statusBar Status bar to refresh after re-login
+ */
+async function showExpiryWarning(profile, status, scheduler, statusBar) {
+  const reloginOption = "Re-login";
+  const message = status.expired
+    ? `AWS SSO session for ${profile.name} has expired.`
+    : `AWS SSO session for ${profile.name} expires in ${formatRemaining(status.remainingMs)}.`;
+
+  const selection = await vscode.window.showWarningMessage(message, reloginOption);
+  if (selection !== reloginOption) {
+    return;
+  }
+
+  const loginSuccess = await startSsoLogin(profile);
+  if (loginSuccess) {
+    await showLoginSuccess(profile);
+    await statusBar.refresh();
+    scheduler.schedule();
+  }
+}
+
+/**
+ * Get the profile the open workspace is meant to use: the
+ * awsSsoLogin.defaultProfile setting, or AWS_PROFILE from a .env or .envrc
+ * file in a workspace folder
+ * @returns {Object|undefined} Profile name and where it was set
+ */
+function getWorkspaceProfile() {
+  const defaultProfile = vscode.workspace.getConfiguration("awsSsoLogin").get("defaultProfile");
+  if (defaultProfile) {
+    return { name: defaultProfile, origin: "awsSsoLogin.defaultProfile" };
+  }
+  const folders = (vscode.workspace.workspaceFolders || [])
+    .filter((folder) => folder.uri.scheme === "file")
+    .map((folder) => folder.uri.fsPath);
+  const found = findWorkspaceProfile(folders);
+  return found && { name: found.name, origin: vscode.workspace.asRelativePath(found.file) };
+}
+
+/**
+ * Check the SSO token of the workspace profile when a folder opens. A cached
+ * token makes the profile active without asking; otherwise the user is
+ * offered to log in before running tasks that need it.
+ * @param {TokenStatusBar} statusBar Status bar to show the profile in
+ */
+async function checkWorkspaceProfile(statusBar) {
+  const config = vscode.workspace.getConfiguration("awsSsoLogin");
+  const workspaceProfile = getWorkspaceProfile();
+  if (!config.get("autoLogin", true) || !workspaceProfile) {
+    return;
+  }
+
+  const profiles = await getAwsSsoProfiles();
+  const profile = profiles.find((p) => p.name === workspaceProfile.name);
+  if (!profile) {
+    // AWS_PROFILE may name a profile that doesn't use SSO
+    outputChannel.appendLine(
+      `Workspace profile ${workspaceProfile.name} (${workspaceProfile.origin}) is not an AWS SSO profile`
+    );
+    return;
+  }
+
+  const status = getTokenStatus(profile);
+  if (!status.expired) {
+    outputChannel.appendLine(
+      `Workspace profile ${profile.name} (${workspaceProfile.origin}) has a cached SSO token valid for ${formatRemaining(status.remainingMs)}`
+    );
+    await statusBar.setActiveProfile(profile.name);
+    if (
+      config.get("updateCredentialsFile", false) &&
+      (await authorizeProtectedSession(profile, "write its credentials to the credentials file"))
+    ) {
+      await updateCredentialsFile(profile);
+    }
+    return;
+  }
+
+  const loginOption = "Log In";
+  const selection = await vscode.window.showInformationMessage(
+    status.token
+      ? `AWS SSO session for ${profile.name} (${workspaceProfile.origin}) has expired.`
+      : `This workspace uses AWS SSO profile ${profile.name} (${workspaceProfile.origin}), which is not logged in.`,
+    loginOption
+  );
+  if (selection === loginOption) {
+    await vscode.commands.executeCommand("awsSsoLogin.login", profile.name);
+  }
+}
+
+/**
+ * @param {vscode.ExtensionContext} context
+ * @returns {Object} The extension API, see extension-api.js
+ */
+function activate(context) {
+  context.subscriptions.push(sessionChangeEmitter, loginStateEmitter);
+
+  cliLocator = new AwsCliLocator({
+    state: context.globalState,
+    getConfiguredPath: () => vscode.workspace.getConfiguration("awsSsoLogin").get("cliPath"),
+    getEnv: buildEnvWithPaths,
+  });
+
+  // In a remote window the extension runs on the remote host unless
+  // remote.extensionKind says "ui"; then it logs in locally and copies
+  // sessions over to the remote host
+  if (vscode.env.remoteName) {
+    runsOnRemoteHost = context.extension.extensionKind === vscode.ExtensionKind.Workspace;
+    if (!runsOnRemoteHost) {
+      remoteSync = createRemoteSync();
+    }
+    outputChannel.appendLine(
+      `Running on the ${runsOnRemoteHost ? "remote host" : "local machine"} of the ${vscode.env.remoteName} window`
+    );
+  }
+  vscode.commands.executeCommand("setContext", "awsSsoLogin.remoteSync", Boolean(remoteSync));
+
+  profileStore = new ProfileStore({ loadProfiles: readAwsSsoProfiles });
+  context.subscriptions.push(profileStore, watchProfileSources(profileStore));
+  const getStoredTokenStatus = (profile) => profileStore.getTokenStatus(profile);
+
+  const statusBar = new TokenStatusBar(context, getAwsSsoProfiles, getStoredTokenStatus);
+  context.subscriptions.push(statusBar);
+  statusBar.refresh();
+
+  const environmentInjector = new EnvironmentInjector(context);
+  context.subscriptions.push(environmentInjector);
+
+  sessionAgeLimiter = new SessionAgeLimiter({
+    getProfiles: getAwsSsoProfiles,
+    getProtection: getProfileProtection,
+    state: context.globalState,
+    onExpired: (profile, loggedInAt) => endProtectedSession(profile, loggedInAt, environmentInjector),
+    getTokenStatus: getStoredTokenStatus,
+  });
+  context.subscriptions.push(sessionAgeLimiter);
+  sessionAgeLimiter.schedule();
+
+  // Stays red while a protected profile is logged in as the active profile or injected
+  const protectedStatusBar = new ProtectedStatusBar({
+    getProfiles: getAwsSsoProfiles,
+    getActiveProfiles: () => {
+      const injected = environmentInjector.getInjected();
+      return [
+        { name: statusBar.getActiveProfile(), injected: false },
+        ...(injected ? [{ name: injected.name, injected: true }] : []),
+      ];
+    },
+    getProtection: getProfileProtection,
+    getTokenStatus: getStoredTokenStatus,
+    getDeadline: (profile) => sessionAgeLimiter.getDeadline(profile),
+  });
+  context.subscriptions.push(protectedStatusBar);
+  protectedStatusBar.refresh();
+
+  const scheduler = new KeepAliveScheduler({
+    getProfiles: getAwsSsoProfiles,
+    getSettings: () => {
+      const config = vscode.workspace.getConfiguration("awsSsoLogin");
+      return {
+        profiles: config.get("keepAliveProfiles") || [],
+        warningMinutes: config.get("reloginWarningMinutes", 15),
+      };
+    },
+    state: context.globalState,
+    onWarning: (profile, status) => showExpiryWarning(profile, status, scheduler, statusBar),
+    getTokenStatus: getStoredTokenStatus,
+  });
+  context.subscriptions.push(scheduler);
+  scheduler.schedule();
+
+  const configLanguage = new AwsConfigLanguageSupport({ getConfigSources });
+  context.subscriptions.push(configLanguage);
+
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (
+        event.affectsConfiguration("awsSsoLogin.keepAliveProfiles") ||
+        event.affectsConfiguration("awsSsoLogin.reloginWarningMinutes")
+      ) {
+        scheduler.schedule();
+      }
+      if (event.affectsConfiguration("awsSsoLogin.configFiles")) {
+        configLanguage.refresh();
+      }
+      if (event.affectsConfiguration("awsSsoLogin.protectedProfiles")) {
+        sessionAgeLimiter.schedule();
+        protectedStatusBar.refresh();
+      }
+    })
+  );
+
+  const profileExplorer = new ProfileExplorerProvider(getAwsSsoProfiles, () => profileStore.getTokens());
+  context.subscriptions.push(
+    vscode.window.registerTreeDataProvider("awsSsoLogin.profiles", profileExplorer)
+  );
+
+  // Show changes to the config files and the token cache as they happen
+  const showStoreChanges = () => {
+    statusBar.refresh();
+    protectedStatusBar.refresh();
+    profileExplorer.refresh();
+    scheduler.schedule();
+    sessionAgeLimiter.schedule();
+  };
+  profileStore.on("profiles", showStoreChanges);
+  profileStore.on("sessions", showStoreChanges);
+  profileStore.on("errors", showConfigErrors);
+
+  // Keep token status in the views current
+  const refreshViews = async () => {
+    await profileStore.refresh();
+    configLanguage.refresh();
+    await statusBar.refresh();
+    profileExplorer.refresh();
+  };
+  const explorerTimer = setInterval(() => profileExplorer.refresh(), 60 * 1000);
+  context.subscriptions.push({ dispose: () => clearInterval(explorerTimer) });
+
+  // Log in to several profiles and show one summary of the results
+  const loginToProfiles = async (profiles) => {
+    const results = await startBatchSsoLogin(profiles);
+    const succeeded = results.filter((result) => result.status === "success").map((result) => result.profile);
+    if (succeeded.length > 0) {
+      await statusBar.setActiveProfile(succeeded[0].name);
+      protectedStatusBar.refresh();
+    }
+    profileExplorer.refresh();
+    scheduler.schedule();
+
+    if (vscode.workspace.getConfiguration("awsSsoLogin").get("updateCredentialsFile", false)) {
+      for (const profile of succeeded) {
+        await updateCredentialsFile(profile);
+      }
+    }
+
+    const summary = `AWS SSO login: ${summarizeBatchResults(results)}`;
+    if (results.some((result) => result.status === "failed")) {
+      vscode.window.showWarningMessage(summary);
+    } else {
+      vscode.window.showInformationMessage(summary);
+    }
+  };
+
+  // Register the login command
+  let loginDisposable = vscode.commands.registerCommand(
+    "awsSsoLogin.login",
+    async function (profileArg) {
+      try {
+        const profiles = await selectLoginProfiles(profileArg);
+        if (!profiles) {
+          return;
+        }
+        if (profiles.length > 1) {
+          await loginToProfiles(profiles);
+          return;
+        }
+        const profile = profiles[0];
+
+        // AWS CLI handles token caching internally - if a valid token
+        // exists, it completes instantly without opening a browser
+        const loginSuccess = await startSsoLogin(profile);
+        if (!loginSuccess) {
+          return;
+        }
+
+        await statusBar.setActiveProfile(profile.name);
+        protectedStatusBar.refresh();
+        profileExplorer.refresh();
+        scheduler.schedule();
+
+        await showLoginSuccess(profile);
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `AWS SSO login failed: ${error.message}`
+        );
+      }
+    }
+  );
+
+  context.subscriptions.push(loginDisposable);
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("awsSsoLogin.logout", async function (profileArg) {
+      try {
+        const profile = await selectProfile(profileArg, "Select an AWS SSO profile to log out");
+        if (!profile) {
+          return;
+        }
+
+        const scopeItems = [
+          {
+            label: "Clear cached token for this start URL",
+            description: profile.startUrl,
+            detail: "Removes only this identity's tokens from ~/.aws/sso/cache. Other sessions stay logged in.",
+            scope: "startUrl",
+          },
+          {
+            label: "Log out of all SSO sessions",
+            description: "aws sso logout",
+            detail: "Signs out and removes every cached SSO token, for all start URLs.",
+            scope: "all",
+          },
+        ];
+        const selectedScope = await vscode.window.showQuickPick(scopeItems, {
+          placeHolder: `Log out of AWS SSO for ${profile.name}`,
+          ignoreFocusOut: true,
+        });
+        if (!selectedScope) {
+          return; // User cancelled
+        }
+
+        if (await startSsoLogout(profile, selectedScope.scope)) {
+          vscode.window.showInformationMessage(
+            `AWS SSO logout successful for profile: ${profile.name}`
+          );
+        }
+        await refreshViews();
+      } catch (error) {
+        vscode.window.showErrorMessage(`AWS SSO logout failed: ${error.message}`);
+      }
+    }),
+
+    vscode.commands.registerCommand("awsSsoLogin.copyAccountId", async function (nodeArg) {
+      // Account and role nodes carry the account ID directly
+      let accountId = nodeArg && nodeArg.accountId;
+      if (!accountId) {
+        const profile = await selectProfile(nodeArg, "Select an AWS SSO profile");
+        accountId = profile && profile.accountId;
+      }
+      if (accountId) {
+        await vscode.env.clipboard.writeText(accountId);
+        vscode.window.setStatusBarMessage(`Copied AWS account ID ${accountId}`, 3000);
+      }
+    }),
+
+    vscode.commands.registerCommand("awsSsoLogin.openConsole", async function (profileArg) {
+      // Keybindings may pass { profile, service, region } instead of a profile name or tree node
+      const isArgs = Boolean(profileArg) && typeof profileArg === "object" && !profileArg.type;
+      const destination = isArgs ? profileArg : {};
+      const profile = await selectProfile(
+        isArgs ? profileArg.profile : profileArg,
+        "Select an AWS SSO profile to open in the AWS Console"
+      );
+      if (profile) {
+        await openConsole(profile, destination);
+      }
+    }),
+
+    vscode.commands.registerCommand("awsSsoLogin.openConsoleService", async function (profileArg) {
+      const profile = await selectProfile(profileArg, "Select an AWS SSO profile to open in the AWS Console");
+      if (!profile) {
+        return;
+      }
+      const destination = await selectConsoleDestination();
+      if (destination) {
+        await openConsole(profile, destination);
+      }
+    }),
+
+    vscode.commands.registerCommand("awsSsoLogin.syncToRemote", async function (profileArg) {
+      if (!remoteSync) {
+        vscode.window.showInformationMessage(
+          "AWS SSO: Sessions are only copied when the extension runs locally for a remote window."
+        );
+        return;
+      }
+      const profile = await selectProfile(profileArg, "Select an AWS SSO profile to copy to the remote host");
+      if (!profile) {
+        return;
+      }
+      if (!(await authorizeProtectedSession(profile, "copy its session to the remote host"))) {
+        return;
+      }
+      // Files written through the remote file system get the remote umask,
+      // so without the opt-in setting ask before every copy
+      if (!isRemoteSyncEnabled()) {
+        const copyOption = "Copy";
+        const selection = await vscode.window.showWarningMessage(
+          `AWS SSO: The session for ${profile.name} will be copied to ${vscode.env.remoteName} with the default file permissions of the remote host, which may let other users there read it.`,
+          { modal: true },
+          copyOption
+        );
+        if (selection !== copyOption) {
+          return;
+        }
+      }
+      if (getTokenStatus(profile).expired && !(await startSsoLogin(profile, { confirmed: true }))) {
+        return;
+      }
+      if (!(await copySessionToRemote(profile))) {
+        return;
+      }
+      if (vscode.workspace.getConfiguration("awsSsoLogin").get("updateCredentialsFile", false)) {
+        await updateCredentialsFile(profile);
+      }
+      vscode.window.showInformationMessage(`AWS SSO: Copied the session for ${profile.name} to ${vscode.env.remoteName}.`);
+    }),
+
+    vscode.commands.registerCommand("awsSsoLogin.refreshProfiles", refreshViews),
+
+    vscode.commands.registerCommand("awsSsoLogin.discoverProfiles", async function () {
+      try {
+        const added = await discoverSsoProfiles();
+        if (added.length === 0) {
+          return;
+        }
+        await refreshViews();
+        const openOption = "Open Config File";
+        const selection = await vscode.window.showInformationMessage(
+          `Added ${added.length} AWS SSO profile${added.length === 1 ? "" : "s"} to the AWS config file.`,
+          openOption
+        );
+        if (selection === openOption) {
+          await vscode.window.showTextDocument(vscode.Uri.file(getDefaultConfigSource().file));
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(`Failed to discover AWS SSO profiles: ${error.message}`);
+      }
+    })
+  );
+
+  const profileEditor = new ProfileEditor({
+    getProfiles: getAwsSsoProfiles,
+    getConfigSources,
+    onDidChange: refreshViews,
+  });
+  context.subscriptions.push(profileEditor);
+
+  loginHistory = new LoginHistory(context.globalStorageUri.fsPath);
+  loginHistoryView = new LoginHistoryView(loginHistory);
+  context.subscriptions.push(
+    loginHistoryView,
+    vscode.commands.registerCommand("awsSsoLogin.showLoginHistory", function () {
+      loginHistoryView.show();
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("awsSsoLogin.createProfile", function () {
+      profileEditor.openProfile();
+    }),
+
+    vscode.commands.registerCommand("awsSsoLogin.editProfile", async function (profileArg) {
+      const profile = await selectProfile(profileArg, "Select an AWS SSO profile to edit");
+      if (!profile) {
+        return;
+      }
+      if (profile.chain) {
+        // Role-chaining profiles have keys the form doesn't cover
+        const openOption = "Open Config File";
+        const selection = await vscode.window.showInformationMessage(
+          `${profile.name} is a role-chaining profile and can only be edited in the config file.`,
+          openOption
+        );
+        if (selection === openOption) {
+          await openProfileConfig(profile);
+        }
+        return;
+      }
+      profileEditor.openProfile(profile);
+    }),
+
+    vscode.commands.registerCommand("awsSsoLogin.deleteProfile", async function (profileArg) {
+      try {
+        const profile = await selectProfile(profileArg, "Select an AWS SSO profile to delete");
+        if (profile && (await profileEditor.deleteProfile(profile))) {
+          vscode.window.showInformationMessage(`Deleted AWS SSO profile ${profile.name}`);
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(`Failed to delete AWS SSO profile: ${error.message}`);
+      }
+    }),
+
+    vscode.commands.registerCommand("awsSsoLogin.editSsoSession", async function (nodeArg) {
+      // Identity nodes of sso-session profiles carry the session directly
+      const profile = nodeArg && nodeArg.profile;
+      const session = profile && profile.ssoSession && profile.source
+        ? { name: profile.ssoSession, file: profile.source.file }
+        : await profileEditor.selectSsoSession();
+      if (session !== undefined) {
+        profileEditor.openSsoSession(session || undefined);
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("awsSsoLogin.injectEnvironment", async function (profileArg) {
+      try {
+        const profile = await selectProfile(profileArg, "Select a profile for new terminals and debug sessions");
+        if (!profile || !(await authorizeProtectedSession(profile, "use it in terminals"))) {
+          return;
+        }
+
+        const mode = vscode.workspace.getConfiguration("awsSsoLogin").get("terminalEnvironment", "profile");
+        if (mode === "credentials") {
+          const credentials = await resolveRoleCredentials(profile);
+          if (!credentials) {
+            return;
+          }
+          await environmentInjector.injectCredentials(
+            profile,
+            toEnvironmentVariables(credentials),
+            credentials.expiration
+          );
+          protectedStatusBar.refresh();
+          vscode.window.showInformationMessage(
+            `New terminals and debug sessions will use short-lived credentials for ${profile.name}`
+          );
+        } else {
+          await environmentInjector.injectProfile(profile);
+          protectedStatusBar.refresh();
+          const { configFile } = environmentInjector.getInjected();
+          vscode.window.showInformationMessage(
+            configFile
+              ? `New terminals and debug sessions will use AWS_PROFILE=${profile.name} from ${configFile}`
+              : `New terminals and debug sessions will use AWS_PROFILE=${profile.name}`
+          );
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(`Failed to set AWS environment: ${error.message}`);
+      }
+    }),
+
+    vscode.commands.registerCommand("awsSsoLogin.clearEnvironment", async function () {
+      await environmentInjector.clear();
+      protectedStatusBar.refresh();
+      vscode.window.showInformationMessage("New terminals and debug sessions no longer get AWS variables from AWS SSO Login");
+    })
+  );
+
+  // Check the workspace profile once the commands it may run are registered
+  const checkWorkspace = () => checkWorkspaceProfile(statusBar).catch((error) => {
+    outputChannel.appendLine(`Error checking the workspace profile: ${error.message}`);
+  });
+  checkWorkspace();
+  context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(checkWorkspace));
+
+  return createExtensionApi({
+    getProfiles: getAwsSsoProfiles,
+    getTokenStatus: getStoredTokenStatus,
+    login: async (profile, loginOptions) => {
+      const loginSuccess = await startSsoLogin(profile, loginOptions);
+      if (loginSuccess) {
+        await statusBar.refresh();
+        profileExplorer.refresh();
+        scheduler.schedule();
+      }
+      return loginSuccess;
+    },
+    authorizeCredentials: (profile, allowed) =>
+      authorizeProtectedSession(profile, "give its credentials to another extension", allowed),
+    resolveCredentials: resolveRoleCredentials,
+    onDidChangeSession: sessionChangeEmitter.event,
+    onDidChangeLoginState: loginStateEmitter.event,
+  });
 }
 
 function deactivate() {}
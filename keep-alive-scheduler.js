@@ -0,0 +1,129 @@
+const { getTokenStatus } = require("./sso-token-cache");
+
+const STATE_KEY = "awsSsoLogin.keepAlive";
+const RECHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+/**
+ * Watches the cached SSO token expiry of "keep alive" profiles and raises a
+ * warning a configurable number of minutes before each token expires.
+ *
+ * Which token expiry has already been warned about is kept in the given
+ * state store (ExtensionContext.globalState), so a window reload neither
+ * loses a pending warning nor repeats one that was already shown.
+ */
+class KeepAliveScheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getProfiles Async function returning the available SSO profiles
+   * @param {Function} options.getSettings Function returning { profiles: string[], warningMinutes: number }
+   * @param {Object} options.state Memento-like store with get(key) and update(key, value)
+   * @param {Function} options.onWarning Called with (profile, status) when a token is about to expire
+   * @param {Object} [options.clock] Clock with now, setTimeout and clearTimeout, for tests
+   * @param {Function} [options.getTokenStatus] Token status lookup, for tests
+   */
+  constructor(options) {
+    this.getProfiles = options.getProfiles;
+    this.getSettings = options.getSettings;
+    this.state = options.state;
+    this.onWarning = options.onWarning;
+    this.clock = options.clock || systemClock;
+    this.getTokenStatus = options.getTokenStatus || getTokenStatus;
+    this.timer = null;
+    this.disposed = false;
+  }
+
+  /**
+   * Re-read the token cache and schedule the next check. Safe to call at any
+   * time, e.g. after a login or a settings change.
+   */
+  async schedule() {
+    if (this.disposed) {
+      return;
+    }
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const { profiles: keepAliveNames, warningMinutes } = this.getSettings();
+    const leadMs = warningMinutes * 60 * 1000;
+    const now = this.clock.now();
+    const warned = { ...(this.state.get(STATE_KEY) || {}) };
+    let nextCheck = now + RECHECK_INTERVAL_MS;
+
+    // Forget profiles that are no longer kept alive
+    for (const name of Object.keys(warned)) {
+      if (!keepAliveNames.includes(name)) {
+        delete warned[name];
+      }
+    }
+
+    let profiles = [];
+    if (keepAliveNames.length > 0) {
+      try {
+        profiles = await this.getProfiles();
+      } catch (error) {
+        profiles = [];
+      }
+    }
+
+    const due = [];
+    for (const profile of profiles) {
+      if (!keepAliveNames.includes(profile.name)) {
+        continue;
+      }
+
+      const status = this.getTokenStatus(profile, { now });
+      if (!status.token) {
+        continue;
+      }
+
+      const expiresAt = status.expiresAt.toISOString();
+      if (warned[profile.name] && warned[profile.name].expiresAt === expiresAt) {
+        continue; // Already warned about this token
+      }
+
+      const warnAt = status.expiresAt.getTime() - leadMs;
+      if (warnAt <= now) {
+        warned[profile.name] = { expiresAt, warnedAt: new Date(now).toISOString() };
+        due.push({ profile, status });
+      } else if (warnAt < nextCheck) {
+        nextCheck = warnAt;
+      }
+    }
+
+    await this.state.update(STATE_KEY, warned);
+
+    if (this.disposed) {
+      return;
+    }
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.schedule();
+    }, nextCheck - now);
+
+    for (const { profile, status } of due) {
+      this.onWarning(profile, status);
+    }
+  }
+
+  dispose() {
+    this.disposed = true;
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  KeepAliveScheduler,
+  STATE_KEY,
+  RECHECK_INTERVAL_MS,
+};
@@ -0,0 +1,243 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const crypto = require("crypto");
+const { OUTCOMES, filterHistory, toCsv } = require("./login-history");
+
+/**
+ * Table of the login history with filters and a CSV export. Filtering runs
+ * here rather than in the webview, so the export holds exactly the rows shown.
+ */
+class LoginHistoryView {
+  /**
+   * @param {LoginHistory} history The login history
+   */
+  constructor(history) {
+    this.history = history;
+    this.panel = undefined;
+    this.filter = {};
+  }
+
+  /**
+   * Show the history, reusing the open panel
+   */
+  show() {
+    if (!this.panel) {
+      this.panel = vscode.window.createWebviewPanel(
+        "awsSsoLogin.loginHistory",
+        "AWS SSO Login History",
+        vscode.ViewColumn.Active,
+        { enableScripts: true, retainContextWhenHidden: true }
+      );
+      this.panel.onDidDispose(() => {
+        this.panel = undefined;
+      });
+      this.panel.webview.onDidReceiveMessage((message) => this.handleMessage(message));
+      // The panel asks for the entries once its script runs
+      this.panel.webview.html = this.getHtml();
+    } else {
+      this.refresh();
+    }
+    this.panel.reveal();
+  }
+
+  /**
+   * Send the entries matching the current filter to the panel, newest first
+   * @returns {Promise}
+   */
+  async refresh() {
+    if (!this.panel) {
+      return;
+    }
+    try {
+      const entries = await this.history.read();
+      const matching = filterHistory(entries, this.filter).reverse();
+      this.post({ type: "entries", entries: matching, total: entries.length });
+    } catch (error) {
+      this.post({ type: "error", message: `Could not read the login history: ${error.message}` });
+    }
+  }
+
+  /**
+   * Handle a message from the panel
+   * @param {Object} message Message with type ("filter", "export" or "openFile") and the filter
+   */
+  async handleMessage(message) {
+    if (message.filter) {
+      this.filter = message.filter;
+    }
+    switch (message.type) {
+      case "filter":
+        await this.refresh();
+        break;
+      case "export":
+        await this.exportCsv();
+        break;
+      case "openFile":
+        if (fs.existsSync(this.history.file)) {
+          await vscode.window.showTextDocument(vscode.Uri.file(this.history.file));
+        }
+        break;
+    }
+  }
+
+  /**
+   * Save the entries matching the current filter as a CSV file
+   * @returns {Promise<Boolean>} True if the file was saved
+   */
+  async exportCsv() {
+    try {
+      const entries = filterHistory(await this.history.read(), this.filter);
+      const defaultFolder = (vscode.workspace.workspaceFolders || [])[0];
+      const target = await vscode.window.showSaveDialog({
+        defaultUri: defaultFolder
+          ? vscode.Uri.joinPath(defaultFolder.uri, "aws-sso-login-history.csv")
+          : undefined,
+        filters: { CSV: ["csv"] },
+        saveLabel: "Export",
+      });
+      if (!target) {
+        return false;
+      }
+      await vscode.workspace.fs.writeFile(target, Buffer.from(toCsv(entries), "utf8"));
+      vscode.window.showInformationMessage(
+        `Exported ${entries.length} login history entr${entries.length === 1 ? "y" : "ies"} to ${target.fsPath}`
+      );
+      return true;
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to export the login history: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Send a message to the panel
+   * @param {Object} message The message
+   */
+  post(message) {
+    if (this.panel) {
+      this.panel.webview.postMessage(message);
+    }
+  }
+
+  /**
+   * Build the panel's HTML
+   * @returns {string} HTML document
+   */
+  getHtml() {
+    const nonce = crypto.randomBytes(16).toString("base64");
+    const csp = `default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';`;
+    const outcomes = Object.values(OUTCOMES)
+      .map((outcome) => `<option value="${outcome}">${outcome}</option>`)
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<style nonce="${nonce}">
+  body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 20px; }
+  .filters { display: flex; flex-wrap: wrap; gap: 8px; align-items: end; margin: 14px 0; }
+  label { display: block; margin-bottom: 4px; font-weight: 600; }
+  input, select { box-sizing: border-box; padding: 4px 6px; color: var(--vscode-input-foreground);
+    background: var(--vscode-input-background); border: 1px solid var(--vscode-input-border, transparent); }
+  button { padding: 6px 14px; border: none; cursor: pointer; color: var(--vscode-button-foreground); background: var(--vscode-button-background); }
+  button.secondary { color: var(--vscode-button-secondaryForeground); background: var(--vscode-button-secondaryBackground); }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid var(--vscode-panel-border, transparent); vertical-align: top; }
+  th { font-weight: 600; }
+  .failure { color: var(--vscode-errorForeground); }
+  .muted { color: var(--vscode-descriptionForeground); }
+  .error { color: var(--vscode-errorForeground); min-height: 1em; }
+</style>
+</head>
+<body>
+<h2>Login History</h2>
+<div class="filters">
+  <div><label for="text">Search</label><input id="text" placeholder="Profile, account, role or error" autocomplete="off"></div>
+  <div><label for="action">Action</label><select id="action"><option value="">All</option><option value="login">login</option><option value="logout">logout</option></select></div>
+  <div><label for="outcome">Outcome</label><select id="outcome"><option value="">All</option>${outcomes}</select></div>
+  <div><label for="since">From</label><input id="since" type="date"></div>
+  <div><label for="until">To</label><input id="until" type="date"></div>
+  <button type="button" id="export">Export CSV</button>
+  <button type="button" class="secondary" id="openFile">Open JSONL File</button>
+</div>
+<div class="error" id="error"></div>
+<p class="muted" id="count"></p>
+<table>
+  <thead><tr><th>Time</th><th>Action</th><th>Profile</th><th>Account</th><th>Role</th><th>Duration</th><th>Outcome</th><th>Error</th></tr></thead>
+  <tbody id="rows"></tbody>
+</table>
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  const fields = ["text", "action", "outcome", "since", "until"];
+  const element = (id) => document.getElementById(id);
+
+  function getFilter() {
+    const filter = {};
+    for (const field of fields) {
+      filter[field] = element(field).value;
+    }
+    return filter;
+  }
+
+  function cell(row, text, className) {
+    const td = document.createElement("td");
+    td.textContent = text === null || text === undefined ? "" : text;
+    if (className) {
+      td.className = className;
+    }
+    row.appendChild(td);
+  }
+
+  let timer;
+  for (const field of fields) {
+    element(field).addEventListener("input", () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => vscode.postMessage({ type: "filter", filter: getFilter() }), 200);
+    });
+  }
+  element("export").addEventListener("click", () => vscode.postMessage({ type: "export", filter: getFilter() }));
+  element("openFile").addEventListener("click", () => vscode.postMessage({ type: "openFile" }));
+
+  window.addEventListener("message", (event) => {
+    const message = event.data;
+    element("error").textContent = message.type === "error" ? message.message : "";
+    if (message.type !== "entries") {
+      return;
+    }
+    element("count").textContent = message.entries.length === message.total
+      ? message.total + " attempts"
+      : message.entries.length + " of " + message.total + " attempts";
+    const rows = element("rows");
+    rows.textContent = "";
+    for (const entry of message.entries) {
+      const row = document.createElement("tr");
+      cell(row, new Date(entry.time).toLocaleString());
+      cell(row, entry.action + (entry.scope ? " (" + entry.scope + ")" : ""));
+      cell(row, entry.profile + (entry.via ? " (via " + entry.via + ")" : ""));
+      cell(row, entry.accountId);
+      cell(row, entry.roleName);
+      cell(row, (entry.durationMs / 1000).toFixed(1) + " s");
+      cell(row, entry.outcome, entry.outcome === "failure" ? "failure" : "");
+      cell(row, entry.error ? entry.error.kind + ": " + entry.error.message : "", "muted");
+      rows.appendChild(row);
+    }
+  });
+
+  vscode.postMessage({ type: "filter", filter: getFilter() });
+</script>
+</body>
+</html>`;
+  }
+
+  dispose() {
+    if (this.panel) {
+      this.panel.dispose();
+    }
+  }
+}
+
+module.exports = {
+  LoginHistoryView,
+};
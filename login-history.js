@@ -0,0 +1,202 @@
+/**
+ * Append-only history of login and logout attempts, one JSON object per line.
+ * Entries are built from a fixed set of fields, so tokens and credentials
+ * never reach the file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const HISTORY_FILE_NAME = "login-history.jsonl";
+
+const OUTCOMES = {
+  SUCCESS: "success",
+  FAILURE: "failure",
+  CANCELLED: "cancelled",
+};
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ["time", "action", "profile", "accountId", "roleName", "startUrl", "engine", "via", "durationMs", "outcome", "errorKind", "errorMessage"];
+
+/**
+ * Build a history entry for an attempt
+ * @param {Object} attempt
+ * @param {string} attempt.action "login" or "logout"
+ * @param {Object} attempt.profile The SSO profile
+ * @param {Date} attempt.startedAt When the attempt started
+ * @param {Date} attempt.endedAt When the attempt ended
+ * @param {string} attempt.outcome One of OUTCOMES
+ * @param {Object} [attempt.error] Classified error with kind and message
+ * @param {string} [attempt.engine] "cli" or "native"
+ * @param {string} [attempt.scope] Logout scope, "all" or "startUrl", or
+ *   "maxSessionAge" when a protected session reached its maximum age
+ * @param {string} [attempt.via] Profile whose login this one shared, in batch logins
+ * @returns {Object} The entry
+ */
+function createHistoryEntry(attempt) {
+  const { profile } = attempt;
+  const entry = {
+    time: attempt.startedAt.toISOString(),
+    action: attempt.action,
+    profile: profile.name,
+    accountId: profile.accountId || null,
+    roleName: profile.roleName || null,
+    startUrl: profile.startUrl || null,
+    durationMs: Math.max(0, attempt.endedAt - attempt.startedAt),
+    outcome: attempt.outcome,
+  };
+  if (attempt.engine) {
+    entry.engine = attempt.engine;
+  }
+  if (attempt.scope) {
+    entry.scope = attempt.scope;
+  }
+  if (attempt.via) {
+    entry.via = attempt.via;
+  }
+  if (attempt.error) {
+    entry.error = { kind: attempt.error.kind || "error", message: attempt.error.message };
+  }
+  return entry;
+}
+
+/**
+ * Parse the lines of a history file, skipping lines that aren't entries,
+ * e.g. one cut short by a crash
+ * @param {string} text File contents
+ * @returns {Array} Entries, oldest first
+ */
+function parseHistory(text) {
+  const entries = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry === "object" && entry.time && entry.action) {
+        entries.push(entry);
+      }
+    } catch (error) {
+      // Not an entry
+    }
+  }
+  return entries;
+}
+
+/**
+ * Filter history entries
+ * @param {Array} entries History entries
+ * @param {Object} [filter]
+ * @param {string} [filter.text] Text to find in the profile, account, role or error
+ * @param {string} [filter.action] "login" or "logout"
+ * @param {string} [filter.outcome] One of OUTCOMES
+ * @param {string} [filter.since] Earliest day, as YYYY-MM-DD
+ * @param {string} [filter.until] Latest day, as YYYY-MM-DD
+ * @returns {Array} Matching entries
+ */
+function filterHistory(entries, filter = {}) {
+  const text = (filter.text || "").trim().toLowerCase();
+  return entries.filter((entry) => {
+    if (filter.action && entry.action !== filter.action) {
+      return false;
+    }
+    if (filter.outcome && entry.outcome !== filter.outcome) {
+      return false;
+    }
+    const day = entry.time.slice(0, 10);
+    if ((filter.since && day < filter.since) || (filter.until && day > filter.until)) {
+      return false;
+    }
+    if (!text) {
+      return true;
+    }
+    const haystack = [entry.profile, entry.accountId, entry.roleName, entry.startUrl, entry.error && entry.error.kind, entry.error && entry.error.message]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    return haystack.includes(text);
+  });
+}
+
+/**
+ * Quote a CSV cell. Cells that spreadsheets would run as formulas get a
+ * leading apostrophe.
+ * @param {*} value Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Convert history entries to CSV with a header row
+ * @param {Array} entries History entries
+ * @returns {string} CSV text
+ */
+function toCsv(entries) {
+  const rows = entries.map((entry) => {
+    const values = { ...entry, errorKind: entry.error && entry.error.kind, errorMessage: entry.error && entry.error.message };
+    return CSV_COLUMNS.map((column) => toCsvCell(values[column])).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+/**
+ * Login history stored in a JSONL file
+ */
+class LoginHistory {
+  /**
+   * @param {string} directory Directory to keep the history file in, e.g. the extension's global storage
+   */
+  constructor(directory) {
+    this.file = path.join(directory, HISTORY_FILE_NAME);
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Append an entry. Appends run one after another so lines never interleave.
+   * @param {Object} entry Entry from createHistoryEntry
+   * @returns {Promise} Resolves when the entry was written
+   */
+  append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const write = this.writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 });
+      await fs.promises.appendFile(this.file, line, { encoding: "utf8", mode: 0o600 });
+    });
+    // A failed write doesn't stop later ones
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Read all entries
+   * @returns {Promise<Array>} Entries, oldest first; empty when there is no history yet
+   */
+  async read() {
+    await this.writing;
+    try {
+      return parseHistory(await fs.promises.readFile(this.file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  HISTORY_FILE_NAME,
+  OUTCOMES,
+  createHistoryEntry,
+  parseHistory,
+  filterHistory,
+  toCsv,
+  LoginHistory,
+};
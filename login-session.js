@@ -0,0 +1,326 @@
+const { EventEmitter } = require("events");
+const { classifyCliError, isTransientError } = require("./cli-errors");
+
+/**
+ * States of a login. A login moves forward through these states and ends in
+ * done, failed or cancelled.
+ */
+const LOGIN_STATES = {
+  IDLE: "idle",
+  LOCATING_CLI: "locatingCli",
+  SPAWNING: "spawning",
+  AWAITING_BROWSER: "awaitingBrowser",
+  VERIFYING: "verifying",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+// States each state may move to. A CLI that finds a valid cached token exits
+// before it asks for the browser, so spawning may move to verifying directly.
+const TRANSITIONS = {
+  idle: ["locatingCli", "cancelled"],
+  locatingCli: ["spawning", "failed", "cancelled"],
+  spawning: ["awaitingBrowser", "verifying", "failed", "cancelled"],
+  awaitingBrowser: ["verifying", "failed", "cancelled"],
+  verifying: ["done", "failed", "cancelled"],
+};
+
+// How the CLI asks for the browser authorization
+const AUTHORIZATION_FLOWS = {
+  // A verification URL and a code like ABCD-EFGH to enter there
+  DEVICE_CODE: "device-code",
+  // An authorization URL that redirects to a local port the CLI listens on (PKCE),
+  // the default from AWS CLI 2.22.0
+  AUTHORIZATION_CODE: "authorization-code",
+};
+
+const systemClock = {
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+/**
+ * Find the authorization prompt in "aws sso login" output
+ * @param {string} output CLI output so far
+ * @returns {Object|null} Prompt with flow, url and, for the device code flow,
+ *   code; null until the output holds a complete prompt
+ */
+function parseAuthorizationPrompt(output) {
+  // A URL is complete once whitespace follows it
+  const urls = output.match(/https:\/\/\S+(?=\s)/g) || [];
+  const authorizeUrl = urls.find((url) => /\/authorize\?/.test(url) && /[?&](?:redirect_uri|code_challenge)=/.test(url));
+  if (authorizeUrl) {
+    return { flow: AUTHORIZATION_FLOWS.AUTHORIZATION_CODE, url: authorizeUrl, code: undefined };
+  }
+
+  // Look for the code outside URLs, whose query strings may contain look-alikes
+  const code = output.replace(/https:\/\/\S+/g, "").match(/\b([A-Z0-9]{4}-[A-Z0-9]{4})\b/);
+  if (!code) {
+    return null;
+  }
+  return { flow: AUTHORIZATION_FLOWS.DEVICE_CODE, url: urls[0], code: code[1] };
+}
+
+/**
+ * One "aws sso login" run, as an explicit state machine:
+ * locatingCli → spawning → awaitingBrowser → verifying → done, or failed or
+ * cancelled from any state before done.
+ *
+ * Events:
+ * - "stateChange" with { state, previous, error }
+ * - "authorization" with { flow, url, code } once the CLI prints the
+ *   authorization prompt, see parseAuthorizationPrompt
+ * - "output" with text the CLI wrote to stdout or stderr
+ *
+ * A session runs once; retrying a failed login uses a new session.
+ */
+class LoginSession extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.findCli Async function returning the AWS CLI path, or null.
+   *   It may throw an error with a kind when the CLI can't be used.
+   * @param {Function} options.spawn Function starting the CLI with (path, args), returning a child process
+   * @param {string[]} options.args CLI arguments
+   * @param {Function} [options.verify] Async function checking that the login cached a valid token
+   * @param {number} [options.timeoutMs] How long to wait for the browser authorization, 0 to wait forever
+   * @param {Object} [options.clock] Clock with setTimeout and clearTimeout, for tests
+   */
+  constructor(options) {
+    super();
+    this.options = options;
+    this.clock = options.clock || systemClock;
+    this.state = LOGIN_STATES.IDLE;
+    this.child = null;
+    this.timer = null;
+    this.stdout = "";
+    this.stderr = "";
+    this.authorization = null;
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+  }
+
+  /**
+   * Check whether the session has ended
+   * @returns {boolean} True in done, failed and cancelled
+   */
+  isFinished() {
+    return !TRANSITIONS[this.state];
+  }
+
+  /**
+   * Move to another state
+   * @param {string} state The new state
+   * @param {Object} [error] Error with kind, message and retryable, for failed
+   * @returns {boolean} False if the transition isn't allowed from the current state
+   */
+  transition(state, error) {
+    const allowed = TRANSITIONS[this.state];
+    if (!allowed || !allowed.includes(state)) {
+      return false;
+    }
+    const previous = this.state;
+    this.state = state;
+    this.error = error;
+
+    if (this.isFinished()) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+      this.resolveFinished({
+        state,
+        error,
+        stdout: this.stdout,
+        stderr: this.stderr,
+      });
+    }
+    this.emit("stateChange", { state, previous, error });
+    return true;
+  }
+
+  /**
+   * Fail the login
+   * @param {Object} error Error with kind, message and retryable. Kinds are
+   *   "cli-not-found", "cli-version", "spawn", "timeout", "verification", or one of the
+   *   kinds of classifyCliError when the CLI exits with an error.
+   */
+  fail(error) {
+    if (this.transition(LOGIN_STATES.FAILED, error)) {
+      this.kill();
+    }
+  }
+
+  /**
+   * Run the login
+   * @returns {Promise<Object>} Result with the final state, error for failed
+   *   logins, and the CLI output
+   */
+  async start() {
+    if (!this.transition(LOGIN_STATES.LOCATING_CLI)) {
+      return this.finished;
+    }
+
+    let cliPath;
+    try {
+      cliPath = await this.options.findCli();
+    } catch (error) {
+      // The CLI was found but can't be used, e.g. because it is too old
+      if (!this.isFinished()) {
+        this.fail({
+          kind: error.kind || "cli-not-found",
+          message: error.message,
+          retryable: false,
+          remediation: "installCli",
+        });
+      }
+      return this.finished;
+    }
+    if (this.isFinished()) {
+      return this.finished;
+    }
+    if (!cliPath) {
+      this.fail({ kind: "cli-not-found", message: "The AWS CLI was not found", retryable: false });
+      return this.finished;
+    }
+
+    this.transition(LOGIN_STATES.SPAWNING);
+    try {
+      this.child = this.options.spawn(cliPath, this.options.args);
+    } catch (error) {
+      this.fail({ kind: "spawn", message: error.message, retryable: false });
+      return this.finished;
+    }
+    this.attach(this.child);
+    return this.finished;
+  }
+
+  /**
+   * Follow the CLI process
+   * @param {Object} child The child process
+   */
+  attach(child) {
+    child.on("spawn", () => this.awaitBrowser());
+
+    child.stdout.on("data", (data) => {
+      const text = data.toString();
+      this.stdout += text;
+      this.emit("output", text);
+      this.findAuthorization();
+    });
+
+    child.stderr.on("data", (data) => {
+      const text = data.toString();
+      this.stderr += text;
+      this.emit("output", text);
+      this.findAuthorization();
+    });
+
+    child.on("error", (error) => {
+      if (error.code === "ENOENT") {
+        this.fail({ kind: "cli-not-found", message: `The AWS CLI was not found: ${error.message}`, retryable: false });
+      } else {
+        this.fail({ kind: "spawn", message: error.message, retryable: isTransientError(error.message) });
+      }
+    });
+
+    child.on("close", (code) => this.handleExit(code));
+  }
+
+  /**
+   * Wait for the browser authorization, failing when it takes too long, e.g.
+   * because the browser tab was closed
+   */
+  awaitBrowser() {
+    if (!this.transition(LOGIN_STATES.AWAITING_BROWSER)) {
+      return;
+    }
+    const timeoutMs = this.options.timeoutMs || 0;
+    if (timeoutMs > 0) {
+      this.timer = this.clock.setTimeout(() => {
+        this.timer = null;
+        this.fail({
+          kind: "timeout",
+          message: `The browser authorization was not completed within ${Math.round(timeoutMs / 1000)} seconds`,
+          retryable: true,
+        });
+      }, timeoutMs);
+    }
+  }
+
+  /**
+   * Look for the authorization prompt in the CLI output so far
+   */
+  findAuthorization() {
+    if (this.authorization) {
+      return;
+    }
+    const prompt = parseAuthorizationPrompt(this.stdout + this.stderr);
+    if (!prompt) {
+      return;
+    }
+    this.authorization = prompt;
+    // The CLI is waiting for the browser even if no spawn event was seen
+    this.awaitBrowser();
+    this.emit("authorization", prompt);
+  }
+
+  /**
+   * Handle the CLI exiting
+   * @param {number|null} code Exit code, null when killed
+   */
+  async handleExit(code) {
+    if (this.isFinished()) {
+      return;
+    }
+    if (code !== 0) {
+      this.fail(classifyCliError(this.stderr, code));
+      return;
+    }
+
+    if (!this.transition(LOGIN_STATES.VERIFYING)) {
+      return;
+    }
+    let verified = true;
+    if (this.options.verify) {
+      try {
+        verified = await this.options.verify();
+      } catch (error) {
+        verified = false;
+      }
+    }
+    if (verified) {
+      this.transition(LOGIN_STATES.DONE);
+    } else {
+      this.fail({
+        kind: "verification",
+        message: "The AWS CLI finished but no valid SSO token was cached",
+        retryable: true,
+      });
+    }
+  }
+
+  /**
+   * Cancel the login, stopping the CLI
+   */
+  cancel() {
+    if (this.transition(LOGIN_STATES.CANCELLED)) {
+      this.kill();
+    }
+  }
+
+  /**
+   * Stop the CLI process, if it is running
+   */
+  kill() {
+    if (this.child && this.child.exitCode == null && !this.child.killed) {
+      this.child.kill("SIGTERM");
+    }
+  }
+}
+
+module.exports = {
+  LOGIN_STATES,
+  AUTHORIZATION_FLOWS,
+  parseAuthorizationPrompt,
+  LoginSession,
+};
@@ -0,0 +1,620 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const crypto = require("crypto");
+const { parseConfigText, getValue } = require("./aws-config-parser");
+const { getDefaultConfigSource, readConfigSources } = require("./aws-config-sources");
+const { updateConfigSection, removeConfigSection, editConfigFile } = require("./aws-config-writer");
+const { AWS_REGIONS, validateProfile, validateSsoSession } = require("./profile-validation");
+
+/**
+ * Read a config file, treating a missing file as empty
+ * @param {string} file Config file path
+ * @returns {Object} Parsed config
+ */
+function readConfigFile(file) {
+  const text = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+  return parseConfigText(text, { file });
+}
+
+/**
+ * Form for creating, editing and deleting SSO profiles and sso-sessions.
+ * Profiles are written back to the config file they come from (new ones to
+ * AWS_CONFIG_FILE or ~/.aws/config) or to the awsSsoLogin.profiles setting;
+ * only the edited section changes, so comments and ordering are kept.
+ */
+class ProfileEditor {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getProfiles Async function returning the available SSO profiles
+   * @param {Function} options.getConfigSources Function returning the config sources to read
+   * @param {Function} [options.onDidChange] Called after profiles or sso-sessions were written
+   */
+  constructor(options) {
+    this.getProfiles = options.getProfiles;
+    this.getConfigSources = options.getConfigSources;
+    this.onDidChange = options.onDidChange || (() => {});
+    this.panel = undefined;
+    this.model = undefined;
+  }
+
+  /**
+   * Open the form for a new profile, or to edit an existing one
+   * @param {Object} [profile] The SSO profile to edit
+   */
+  openProfile(profile) {
+    const storage = profile && !(profile.source && profile.source.file) ? "settings" : "config";
+    const file = profile && profile.source && profile.source.file
+      ? profile.source.file
+      : getDefaultConfigSource().file;
+    const config = readConfigFile(file);
+    const section = profile && config.profiles[profile.name];
+
+    const ssoSessions = {};
+    for (const [name, session] of Object.entries(config.ssoSessions)) {
+      ssoSessions[name] = {
+        startUrl: getValue(session, "sso_start_url") || "",
+        region: getValue(session, "sso_region") || "",
+      };
+    }
+
+    this.show({
+      kind: "profile",
+      original: profile ? { name: profile.name, storage } : null,
+      file,
+      ssoSessions,
+      values: {
+        storage,
+        name: profile ? profile.name : "",
+        // The raw key, so a profile whose session is missing still shows it
+        ssoSession: (section && getValue(section, "sso_session")) || (profile && profile.ssoSession) || "",
+        startUrl: profile && !profile.ssoSession ? profile.startUrl : "",
+        region: profile && !profile.ssoSession ? profile.region : "",
+        accountId: profile ? profile.accountId : "",
+        roleName: profile ? profile.roleName : "",
+      },
+    });
+  }
+
+  /**
+   * Open the form for a new sso-session, or to edit an existing one
+   * @param {Object} [session] sso-session with name and file
+   */
+  openSsoSession(session) {
+    const file = session ? session.file : getDefaultConfigSource().file;
+    const section = session && readConfigFile(file).ssoSessions[session.name];
+
+    this.show({
+      kind: "sso-session",
+      original: session ? { name: session.name } : null,
+      file,
+      values: {
+        name: session ? session.name : "",
+        startUrl: (section && getValue(section, "sso_start_url")) || "",
+        region: (section && getValue(section, "sso_region")) || "",
+        scopes: (section && getValue(section, "sso_registration_scopes")) || "",
+      },
+    });
+  }
+
+  /**
+   * Let the user pick an sso-session from all config files, or a new one
+   * @returns {Promise<Object|null|undefined>} sso-session with name and file,
+   *   null for a new one, or undefined if cancelled
+   */
+  async selectSsoSession() {
+    const items = [];
+    for (const config of readConfigSources(this.getConfigSources())) {
+      for (const [name, section] of Object.entries(config.ssoSessions)) {
+        items.push({
+          label: name,
+          description: getValue(section, "sso_start_url"),
+          detail: config.file,
+          session: { name, file: config.file },
+        });
+      }
+    }
+    items.push({ label: "$(add) New sso-session", session: null });
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: "Select an sso-session to edit",
+      ignoreFocusOut: true,
+    });
+    return selected ? selected.session : undefined;
+  }
+
+  /**
+   * Ask for confirmation and delete a profile
+   * @param {Object} profile The SSO profile
+   * @returns {Promise<boolean>} True if the profile was deleted
+   */
+  async deleteProfile(profile) {
+    const inConfig = Boolean(profile.source && profile.source.file);
+    let detail = inConfig
+      ? `The [profile ${profile.name}] section is removed from ${profile.source.file}.`
+      : "The profile is removed from the awsSsoLogin.profiles setting.";
+    if (inConfig) {
+      const dependents = Object.values(readConfigFile(profile.source.file).profiles)
+        .filter((section) => getValue(section, "source_profile") === profile.name)
+        .map((section) => section.name);
+      if (dependents.length > 0) {
+        detail += ` Profiles that use it as source_profile will stop working: ${dependents.join(", ")}.`;
+      }
+    }
+
+    const deleteOption = "Delete";
+    const selection = await vscode.window.showWarningMessage(
+      `Delete AWS SSO profile ${profile.name}?`,
+      { modal: true, detail },
+      deleteOption
+    );
+    if (selection !== deleteOption) {
+      return false;
+    }
+
+    if (inConfig) {
+      editConfigFile(profile.source.file, (text) => removeConfigSection(text, "profile", profile.name));
+    } else {
+      await this.writeSettingsProfile(profile.name, null);
+    }
+    this.onDidChange();
+    return true;
+  }
+
+  /**
+   * Show the form, reusing the open panel
+   * @param {Object} model Form model with kind, original, file, values and optionally ssoSessions
+   */
+  show(model) {
+    this.model = model;
+    const title = model.original
+      ? `Edit ${model.kind === "profile" ? "Profile" : "sso-session"}: ${model.original.name}`
+      : `New ${model.kind === "profile" ? "Profile" : "sso-session"}`;
+
+    if (!this.panel) {
+      this.panel = vscode.window.createWebviewPanel(
+        "awsSsoLogin.profileEditor",
+        title,
+        vscode.ViewColumn.Active,
+        { enableScripts: true }
+      );
+      this.panel.onDidDispose(() => {
+        this.panel = undefined;
+      });
+      this.panel.webview.onDidReceiveMessage((message) => this.handleMessage(message));
+    }
+    this.panel.title = title;
+    this.panel.webview.html = this.getHtml(model);
+    this.panel.reveal();
+  }
+
+  /**
+   * Handle a message from the form
+   * @param {Object} message Message with type ("validate", "save", "delete" or "cancel") and values
+   */
+  async handleMessage(message) {
+    const model = this.model;
+    try {
+      if (message.type === "cancel") {
+        this.panel.dispose();
+        return;
+      }
+      if (message.type === "delete") {
+        const deleted = model.kind === "profile"
+          ? await this.deleteProfile({
+            name: model.original.name,
+            source: model.original.storage === "config" ? { file: model.file } : undefined,
+          })
+          : await this.deleteSsoSession(model);
+        if (deleted && this.panel) {
+          this.panel.dispose();
+        }
+        return;
+      }
+
+      const errors = await this.validate(model, message.values);
+      if (message.type === "validate" || Object.keys(errors).length > 0) {
+        this.postErrors(errors);
+        return;
+      }
+      if (message.type === "save") {
+        if (model.kind === "profile") {
+          await this.saveProfile(model, message.values);
+        } else {
+          this.saveSsoSession(model, message.values);
+        }
+        this.onDidChange();
+        vscode.window.showInformationMessage(`Saved ${model.kind === "profile" ? "profile" : "sso-session"} ${message.values.name}`);
+        this.panel.dispose();
+      }
+    } catch (error) {
+      this.postErrors({ form: error.message });
+    }
+  }
+
+  /**
+   * Send validation errors to the form
+   * @param {Object} errors Error messages by field
+   */
+  postErrors(errors) {
+    if (this.panel) {
+      this.panel.webview.postMessage({ type: "errors", errors });
+    }
+  }
+
+  /**
+   * Validate form values
+   * @param {Object} model Form model
+   * @param {Object} values Form values
+   * @returns {Promise<Object>} Error messages by field
+   */
+  async validate(model, values) {
+    const config = readConfigFile(model.file);
+    const originalName = model.original && model.original.name;
+
+    if (model.kind === "sso-session") {
+      return validateSsoSession(values, {
+        existingNames: Object.keys(config.ssoSessions).filter((name) => name !== originalName),
+      });
+    }
+
+    const profiles = await this.getProfiles();
+    const names = new Set([...profiles.map((profile) => profile.name), ...Object.keys(config.profiles)]);
+    names.delete(originalName);
+    return validateProfile(values, {
+      existingNames: [...names],
+      ssoSessions: Object.keys(config.ssoSessions),
+    });
+  }
+
+  /**
+   * Write a profile to the config file or the settings
+   * @param {Object} model Form model
+   * @param {Object} values Validated form values
+   */
+  async saveProfile(model, values) {
+    const original = model.original;
+
+    // Moving a profile between the config file and the settings
+    if (original && original.storage !== values.storage) {
+      if (original.storage === "config") {
+        editConfigFile(model.file, (text) => removeConfigSection(text, "profile", original.name));
+      } else {
+        await this.writeSettingsProfile(original.name, null);
+      }
+    }
+    const existing = original && original.storage === values.storage ? original.name : undefined;
+
+    if (values.storage === "settings") {
+      await this.writeSettingsProfile(existing, {
+        name: values.name,
+        startUrl: values.startUrl,
+        region: values.region,
+        accountId: values.accountId,
+        roleName: values.roleName,
+      });
+      return;
+    }
+
+    const properties = values.ssoSession
+      ? { sso_session: values.ssoSession, sso_start_url: null, sso_region: null }
+      : { sso_session: null, sso_start_url: values.startUrl, sso_region: values.region };
+    properties.sso_account_id = values.accountId;
+    properties.sso_role_name = values.roleName;
+
+    const file = original && original.storage === "config" ? model.file : getDefaultConfigSource().file;
+    editConfigFile(file, (text) => {
+      let updated = updateConfigSection(text, {
+        kind: "profile",
+        name: existing || values.name,
+        newName: existing && existing !== values.name ? values.name : undefined,
+        properties,
+      });
+      // Keep role chains that start from a renamed profile working
+      if (existing && existing !== values.name) {
+        for (const section of Object.values(parseConfigText(updated).profiles)) {
+          if (getValue(section, "source_profile") === existing) {
+            updated = updateConfigSection(updated, {
+              kind: "profile",
+              name: section.name,
+              properties: { source_profile: values.name },
+            });
+          }
+        }
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Write an sso-session to its config file. Profiles of a renamed session are updated.
+   * @param {Object} model Form model
+   * @param {Object} values Validated form values
+   */
+  saveSsoSession(model, values) {
+    const originalName = model.original && model.original.name;
+    const scopes = (values.scopes || "").split(",").map((scope) => scope.trim()).filter(Boolean).join(",");
+
+    editConfigFile(model.file, (text) => {
+      let updated = updateConfigSection(text, {
+        kind: "sso-session",
+        name: originalName || values.name,
+        newName: originalName && originalName !== values.name ? values.name : undefined,
+        properties: {
+          sso_start_url: values.startUrl,
+          sso_region: values.region,
+          sso_registration_scopes: scopes || null,
+        },
+      });
+      if (originalName && originalName !== values.name) {
+        for (const section of Object.values(parseConfigText(updated).profiles)) {
+          if (getValue(section, "sso_session") === originalName) {
+            updated = updateConfigSection(updated, {
+              kind: "profile",
+              name: section.name,
+              properties: { sso_session: values.name },
+            });
+          }
+        }
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Ask for confirmation and delete an sso-session that no profile uses
+   * @param {Object} model Form model of the sso-session
+   * @returns {Promise<boolean>} True if the sso-session was deleted
+   */
+  async deleteSsoSession(model) {
+    const name = model.original.name;
+    const users = Object.values(readConfigFile(model.file).profiles)
+      .filter((section) => getValue(section, "sso_session") === name)
+      .map((section) => section.name);
+    if (users.length > 0) {
+      this.postErrors({ form: `sso-session "${name}" is still used by: ${users.join(", ")}` });
+      return false;
+    }
+
+    const deleteOption = "Delete";
+    const selection = await vscode.window.showWarningMessage(
+      `Delete sso-session ${name}?`,
+      { modal: true, detail: `The [sso-session ${name}] section is removed from ${model.file}.` },
+      deleteOption
+    );
+    if (selection !== deleteOption) {
+      return false;
+    }
+    editConfigFile(model.file, (text) => removeConfigSection(text, "sso-session", name));
+    this.onDidChange();
+    return true;
+  }
+
+  /**
+   * Add, replace or remove a profile in the awsSsoLogin.profiles setting,
+   * in the scope (workspace or user) it is defined in
+   * @param {string} [originalName] Name of the profile to replace, undefined to add one
+   * @param {Object|null} profile New profile, or null to remove it
+   */
+  async writeSettingsProfile(originalName, profile) {
+    const settings = vscode.workspace.getConfiguration("awsSsoLogin");
+    const inspected = settings.inspect("profiles") || {};
+    const inWorkspace = Boolean(originalName) &&
+      (inspected.workspaceValue || []).some((entry) => entry.name === originalName);
+    const profiles = [...((inWorkspace ? inspected.workspaceValue : inspected.globalValue) || [])];
+
+    const index = originalName ? profiles.findIndex((entry) => entry.name === originalName) : -1;
+    if (!profile) {
+      profiles.splice(index, index === -1 ? 0 : 1);
+    } else if (index === -1) {
+      profiles.push(profile);
+    } else {
+      profiles[index] = { ...profiles[index], ...profile };
+    }
+
+    await settings.update(
+      "profiles",
+      profiles,
+      inWorkspace ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global
+    );
+  }
+
+  /**
+   * Build the form's HTML
+   * @param {Object} model Form model
+   * @returns {string} HTML document
+   */
+  getHtml(model) {
+    const nonce = crypto.randomBytes(16).toString("base64");
+    const state = JSON.stringify({ ...model, regions: AWS_REGIONS }).replace(/</g, "\\u003c");
+    const csp = `default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<style nonce="${nonce}">
+  body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 20px; max-width: 640px; }
+  .field { margin: 14px 0; }
+  .field[hidden] { display: none; }
+  label { display: block; margin-bottom: 4px; font-weight: 600; }
+  input, select { width: 100%; box-sizing: border-box; padding: 4px 6px; color: var(--vscode-input-foreground);
+    background: var(--vscode-input-background); border: 1px solid var(--vscode-input-border, transparent); }
+  input:disabled, select:disabled { opacity: 0.6; }
+  .hint { color: var(--vscode-descriptionForeground); font-size: 0.9em; margin-top: 2px; }
+  .error { color: var(--vscode-errorForeground); font-size: 0.9em; margin-top: 2px; min-height: 1em; }
+  .buttons { margin-top: 20px; display: flex; gap: 8px; }
+  button { padding: 6px 14px; border: none; cursor: pointer; color: var(--vscode-button-foreground); background: var(--vscode-button-background); }
+  button.secondary { color: var(--vscode-button-secondaryForeground); background: var(--vscode-button-secondaryBackground); }
+  button[hidden] { display: none; }
+</style>
+</head>
+<body>
+<h2 id="title"></h2>
+<div class="error" id="error-form"></div>
+<form id="form">
+  <div class="field" data-kind="profile">
+    <label for="storage">Stored in</label>
+    <select id="storage">
+      <option value="config"></option>
+      <option value="settings">VS Code settings (awsSsoLogin.profiles)</option>
+    </select>
+  </div>
+  <div class="field">
+    <label for="name">Name</label>
+    <input id="name" autocomplete="off">
+    <div class="error" id="error-name"></div>
+  </div>
+  <div class="field" data-kind="profile">
+    <label for="ssoSession">sso-session</label>
+    <select id="ssoSession"></select>
+    <div class="hint">Profiles that use an sso-session get the start URL and region from it.</div>
+    <div class="error" id="error-ssoSession"></div>
+  </div>
+  <div class="field">
+    <label for="startUrl">Start URL</label>
+    <input id="startUrl" placeholder="https://example.awsapps.com/start" autocomplete="off">
+    <div class="error" id="error-startUrl"></div>
+  </div>
+  <div class="field">
+    <label for="region">SSO region</label>
+    <input id="region" list="regions" placeholder="us-east-1" autocomplete="off">
+    <datalist id="regions"></datalist>
+    <div class="error" id="error-region"></div>
+  </div>
+  <div class="field" data-kind="profile">
+    <label for="accountId">Account ID</label>
+    <input id="accountId" placeholder="123456789012" autocomplete="off">
+    <div class="error" id="error-accountId"></div>
+  </div>
+  <div class="field" data-kind="profile">
+    <label for="roleName">Role name</label>
+    <input id="roleName" placeholder="AdministratorAccess" autocomplete="off">
+    <div class="error" id="error-roleName"></div>
+  </div>
+  <div class="field" data-kind="sso-session">
+    <label for="scopes">Registration scopes</label>
+    <input id="scopes" placeholder="sso:account:access" autocomplete="off">
+    <div class="hint">Comma separated. Leave empty for the default.</div>
+    <div class="error" id="error-scopes"></div>
+  </div>
+  <div class="buttons">
+    <button type="submit" id="save">Save</button>
+    <button type="button" class="secondary" id="cancel">Cancel</button>
+    <button type="button" class="secondary" id="delete">Delete</button>
+  </div>
+</form>
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  const state = ${state};
+  const fields = state.kind === "profile"
+    ? ["storage", "name", "ssoSession", "startUrl", "region", "accountId", "roleName"]
+    : ["name", "startUrl", "region", "scopes"];
+  const element = (id) => document.getElementById(id);
+
+  element("title").textContent = state.original
+    ? "Edit " + state.kind + " " + state.original.name
+    : "New " + state.kind;
+  element("delete").hidden = !state.original;
+  document.querySelectorAll("[data-kind]").forEach((field) => {
+    field.hidden = field.dataset.kind !== state.kind;
+  });
+  element("storage").options[0].textContent = "AWS config file (" + state.file + ")";
+  for (const region of state.regions) {
+    const option = document.createElement("option");
+    option.value = region;
+    element("regions").appendChild(option);
+  }
+
+  const sessions = state.ssoSessions || {};
+  const noSession = document.createElement("option");
+  noSession.value = "";
+  noSession.textContent = "None (start URL and region on the profile)";
+  element("ssoSession").appendChild(noSession);
+  const sessionNames = Object.keys(sessions);
+  if (state.values.ssoSession && !sessionNames.includes(state.values.ssoSession)) {
+    sessionNames.push(state.values.ssoSession);
+  }
+  for (const name of sessionNames) {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = sessions[name] ? name + " (" + sessions[name].startUrl + ")" : name + " (not defined)";
+    element("ssoSession").appendChild(option);
+  }
+
+  for (const field of fields) {
+    element(field).value = state.values[field] || "";
+  }
+
+  function updateVisibility() {
+    if (state.kind !== "profile") {
+      return;
+    }
+    const settings = element("storage").value === "settings";
+    element("ssoSession").disabled = settings;
+    if (settings) {
+      element("ssoSession").value = "";
+    }
+    const session = sessions[element("ssoSession").value];
+    for (const id of ["startUrl", "region"]) {
+      element(id).disabled = Boolean(session);
+      if (session) {
+        element(id).value = session[id];
+      }
+    }
+  }
+
+  function getValues() {
+    const values = {};
+    for (const field of fields) {
+      values[field] = element(field).value.trim();
+    }
+    if (state.kind === "profile" && values.ssoSession) {
+      values.startUrl = "";
+      values.region = "";
+    }
+    return values;
+  }
+
+  let timer;
+  element("form").addEventListener("input", () => {
+    updateVisibility();
+    clearTimeout(timer);
+    timer = setTimeout(() => vscode.postMessage({ type: "validate", values: getValues() }), 300);
+  });
+  element("form").addEventListener("submit", (event) => {
+    event.preventDefault();
+    clearTimeout(timer);
+    vscode.postMessage({ type: "save", values: getValues() });
+  });
+  element("cancel").addEventListener("click", () => vscode.postMessage({ type: "cancel" }));
+  element("delete").addEventListener("click", () => vscode.postMessage({ type: "delete" }));
+
+  window.addEventListener("message", (event) => {
+    if (event.data.type !== "errors") {
+      return;
+    }
+    for (const field of [...fields, "form"]) {
+      const target = element("error-" + field);
+      if (target) {
+        target.textContent = event.data.errors[field] || "";
+      }
+    }
+  });
+
+  updateVisibility();
+</script>
+</body>
+</html>`;
+  }
+
+  dispose() {
+    if (this.panel) {
+      this.panel.dispose();
+    }
+  }
+}
+
+module.exports = {
+  ProfileEditor,
+};
@@ -0,0 +1,160 @@
+const vscode = require("vscode");
+const { getTokenStatus, readCachedTokens, formatRemaining } = require("./sso-token-cache");
+
+/**
+ * Describe a token status for display
+ * @param {Object} status Token status from getTokenStatus
+ * @returns {string} Short status text
+ */
+function describeTokenStatus(status) {
+  if (!status.token) {
+    return "not logged in";
+  }
+  if (status.expired) {
+    return "expired";
+  }
+  return `${formatRemaining(status.remainingMs)} left`;
+}
+
+/**
+ * Get the identity (sso-session or start URL) a profile logs in through
+ * @param {Object} profile The SSO profile
+ * @returns {Object} Identity key and label
+ */
+function getIdentity(profile) {
+  if (profile.ssoSession) {
+    return { key: `sso-session ${profile.ssoSession}`, label: profile.ssoSession };
+  }
+  let label = profile.startUrl;
+  try {
+    label = new URL(profile.startUrl).host;
+  } catch (error) {
+    // Keep the raw start URL
+  }
+  return { key: `start-url ${profile.startUrl}`, label };
+}
+
+/**
+ * Tree of SSO profiles grouped by identity (sso-session / start URL), then by
+ * account, then by role
+ */
+class ProfileExplorerProvider {
+  /**
+   * @param {Function} getProfiles Async function returning the available SSO profiles
+   * @param {Function} [getTokens] Function returning the cached SSO tokens
+   */
+  constructor(getProfiles, getTokens = readCachedTokens) {
+    this.getProfiles = getProfiles;
+    this.getTokens = getTokens;
+    this.changeEmitter = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this.changeEmitter.event;
+  }
+
+  /**
+   * Redraw the tree with the current profiles and token status
+   */
+  refresh() {
+    this.changeEmitter.fire();
+  }
+
+  /**
+   * @param {Object} node Tree node
+   * @returns {vscode.TreeItem}
+   */
+  getTreeItem(node) {
+    return node.item;
+  }
+
+  /**
+   * @param {Object} [node] Parent node, undefined for the root
+   * @returns {Promise<Array>} Child nodes
+   */
+  async getChildren(node) {
+    if (node) {
+      return node.children || [];
+    }
+
+    let profiles;
+    try {
+      profiles = await this.getProfiles();
+    } catch (error) {
+      profiles = [];
+    }
+    return this.buildTree(profiles, this.getTokens());
+  }
+
+  /**
+   * Group profiles into identity, account and role nodes
+   * @param {Array} profiles SSO profiles
+   * @param {Array} tokens Cached SSO tokens
+   * @returns {Array} Identity nodes
+   */
+  buildTree(profiles, tokens) {
+    const identities = new Map();
+
+    for (const profile of profiles) {
+      const identity = getIdentity(profile);
+      if (!identities.has(identity.key)) {
+        identities.set(identity.key, { identity, profile, accounts: new Map() });
+      }
+      const accounts = identities.get(identity.key).accounts;
+      if (!accounts.has(profile.accountId)) {
+        accounts.set(profile.accountId, []);
+      }
+      accounts.get(profile.accountId).push(profile);
+    }
+
+    const byLabel = (a, b) => a.item.label.localeCompare(b.item.label);
+
+    return [...identities.values()].map(({ identity, profile, accounts }) => {
+      const status = getTokenStatus(profile, { tokens });
+
+      const accountNodes = [...accounts.entries()].map(([accountId, accountProfiles]) => {
+        const roleNodes = accountProfiles.map(p => this.createProfileNode(p, status));
+        roleNodes.sort(byLabel);
+
+        const item = new vscode.TreeItem(accountId, vscode.TreeItemCollapsibleState.Collapsed);
+        item.id = `${identity.key}/${accountId}`;
+        item.iconPath = new vscode.ThemeIcon("organization");
+        item.description = `${accountProfiles.length} role${accountProfiles.length === 1 ? "" : "s"}`;
+        item.contextValue = "account";
+        return { type: "account", accountId, item, children: roleNodes };
+      });
+      accountNodes.sort(byLabel);
+
+      const item = new vscode.TreeItem(identity.label, vscode.TreeItemCollapsibleState.Expanded);
+      item.id = identity.key;
+      item.iconPath = new vscode.ThemeIcon(status.token && !status.expired ? "pass-filled" : "circle-slash");
+      item.description = describeTokenStatus(status);
+      item.tooltip = `${profile.startUrl} (${profile.region})`;
+      item.contextValue = profile.ssoSession ? "ssoSession" : "identity";
+      return { type: "identity", profile, item, children: accountNodes };
+    }).sort(byLabel);
+  }
+
+  /**
+   * Create a role node for a profile
+   * @param {Object} profile The SSO profile
+   * @param {Object} status Token status of the profile's identity
+   * @returns {Object} Profile node
+   */
+  createProfileNode(profile, status) {
+    const item = new vscode.TreeItem(profile.name, vscode.TreeItemCollapsibleState.None);
+    item.id = `profile ${profile.name}`;
+    item.description = `${profile.roleName} · ${describeTokenStatus(status)}`;
+    item.tooltip = profile.chain
+      ? `${profile.roleName} in ${profile.accountId}\nChain: ${profile.chain.join(" → ")}`
+      : `${profile.roleName} in ${profile.accountId}`;
+    item.iconPath = new vscode.ThemeIcon(
+      status.token && !status.expired ? "key" : "warning"
+    );
+    item.contextValue = "profile";
+    return { type: "profile", profile, accountId: profile.accountId, item };
+  }
+}
+
+module.exports = {
+  ProfileExplorerProvider,
+  describeTokenStatus,
+  getIdentity,
+};
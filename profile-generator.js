@@ -0,0 +1,146 @@
+const { parseConfigText, getValue } = require("./aws-config-parser");
+const { appendConfigBlocks, editConfigFile } = require("./aws-config-writer");
+
+const DEFAULT_NAME_TEMPLATE = "{accountName}-{roleName}";
+const DEFAULT_SCOPES = ["sso:account:access"];
+
+/**
+ * Build a profile name from the naming template. Placeholders are
+ * {accountName}, {accountId}, {roleName} and {session}; characters the AWS
+ * CLI doesn't accept in profile names are replaced with "-".
+ * @param {string} template Naming template
+ * @param {Object} values Assignment with accountId, accountName and roleName, plus session
+ * @returns {string} Profile name
+ */
+function formatProfileName(template, values) {
+  const name = (template || DEFAULT_NAME_TEMPLATE).replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  );
+  return name
+    .replace(/[^a-zA-Z0-9._-]+/g, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Work out which profiles to generate for the accessible account/role pairs.
+ * Pairs that already have a profile for the same start URL are left out, and
+ * names that clash with an existing profile get the account ID appended.
+ * @param {Array} assignments Assignments from listAccountAssignments
+ * @param {Object} options
+ * @param {string} options.sessionName sso-session the profiles will use
+ * @param {string} options.startUrl The SSO start URL
+ * @param {string} [options.template] Naming template
+ * @param {Array} [options.existingProfiles] SSO profiles that already exist
+ * @param {string[]} [options.existingNames] Names of all existing profiles, SSO or not
+ * @returns {Array} Planned profiles with name, accountId, accountName and roleName
+ */
+function planGeneratedProfiles(assignments, options) {
+  const existingProfiles = options.existingProfiles || [];
+  const taken = new Set([
+    ...(options.existingNames || []),
+    ...existingProfiles.map(profile => profile.name),
+  ]);
+  const covered = new Set(
+    existingProfiles
+      .filter(profile => profile.startUrl === options.startUrl && !profile.chain)
+      .map(profile => `${profile.accountId}/${profile.roleName}`)
+  );
+
+  const planned = [];
+  for (const assignment of assignments) {
+    const key = `${assignment.accountId}/${assignment.roleName}`;
+    if (covered.has(key)) {
+      continue;
+    }
+    covered.add(key);
+
+    const values = { ...assignment, session: options.sessionName };
+    let name = formatProfileName(options.template, values);
+    if (!name || taken.has(name)) {
+      name = formatProfileName(`${name}-{accountId}`, values);
+    }
+    if (taken.has(name)) {
+      continue;
+    }
+    taken.add(name);
+    planned.push({ ...assignment, name });
+  }
+  return planned;
+}
+
+/**
+ * Add an sso-session section (when missing) and profile sections to AWS
+ * config file content. Existing content, including comments and ordering,
+ * is kept as is; new sections are appended at the end.
+ * @param {string} text Current config file content
+ * @param {Object} options
+ * @param {string} options.sessionName sso-session name
+ * @param {string} options.startUrl The SSO start URL
+ * @param {string} options.region The SSO region, also used as the profiles' default region
+ * @param {string[]} [options.scopes] Registration scopes for a new sso-session
+ * @param {Array} options.profiles Planned profiles with name, accountId and roleName
+ * @returns {Object} Result with the new text and the names of the added profiles
+ */
+function addGeneratedProfiles(text, options) {
+  const config = parseConfigText(text);
+  const blocks = [];
+
+  const session = config.ssoSessions[options.sessionName];
+  if (!session) {
+    blocks.push([
+      `[sso-session ${options.sessionName}]`,
+      `sso_start_url = ${options.startUrl}`,
+      `sso_region = ${options.region}`,
+      `sso_registration_scopes = ${(options.scopes || DEFAULT_SCOPES).join(",")}`,
+    ]);
+  } else if (getValue(session, "sso_start_url") !== options.startUrl) {
+    throw new Error(
+      `sso-session "${options.sessionName}" already exists with a different start URL`
+    );
+  }
+
+  const added = [];
+  for (const profile of options.profiles) {
+    if (config.profiles[profile.name]) {
+      continue;
+    }
+    blocks.push([
+      `[profile ${profile.name}]`,
+      `sso_session = ${options.sessionName}`,
+      `sso_account_id = ${profile.accountId}`,
+      `sso_role_name = ${profile.roleName}`,
+      `region = ${options.region}`,
+    ]);
+    added.push(profile.name);
+  }
+
+  if (added.length === 0) {
+    return { text, added };
+  }
+  return { text: appendConfigBlocks(text, blocks), added };
+}
+
+/**
+ * Append generated profiles to an AWS config file, creating it if needed
+ * @param {string} filePath Config file path
+ * @param {Object} options Options for addGeneratedProfiles
+ * @returns {string[]} Names of the added profiles
+ */
+function writeGeneratedProfiles(filePath, options) {
+  let added = [];
+  editConfigFile(filePath, (current) => {
+    const result = addGeneratedProfiles(current, options);
+    added = result.added;
+    return result.text;
+  });
+  return added;
+}
+
+module.exports = {
+  DEFAULT_NAME_TEMPLATE,
+  formatProfileName,
+  planGeneratedProfiles,
+  addGeneratedProfiles,
+  writeGeneratedProfiles,
+};
@@ -0,0 +1,177 @@
+const { EventEmitter } = require("events");
+const { getTokenStatus, readCachedTokens } = require("./sso-token-cache");
+
+// Editors and the AWS CLI often write a file several times in a row
+const DEBOUNCE_MS = 300;
+
+const systemClock = {
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+/**
+ * In-memory model of the SSO profiles and the cached SSO tokens. Both are read
+ * once and kept until the config files, the profiles setting or the token
+ * cache change, so views and quick picks don't read the disk every time.
+ *
+ * Events:
+ * - "profiles" with the profiles, when a reload changed them
+ * - "sessions" when the token cache changed
+ * - "errors" with the config parse errors, when they changed; an empty list
+ *   when the errors were fixed
+ */
+class ProfileStore extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.loadProfiles Async function reading the profiles,
+   *   resolving to { profiles, errors } with errors as { file, line, column, message }
+   * @param {Function} [options.readTokens] Function reading the cached SSO tokens, for tests
+   * @param {number} [options.debounceMs] How long to wait for more changes before reloading
+   * @param {Object} [options.clock] Clock with setTimeout and clearTimeout, for tests
+   */
+  constructor(options) {
+    super();
+    this.loadProfiles = options.loadProfiles;
+    this.readTokens = options.readTokens || readCachedTokens;
+    this.debounceMs = options.debounceMs === undefined ? DEBOUNCE_MS : options.debounceMs;
+    this.clock = options.clock || systemClock;
+    this.profiles = null;
+    this.tokens = null;
+    this.errorsKey = "[]";
+    this.loading = null;
+    this.reloadAgain = false;
+    this.timers = {};
+  }
+
+  /**
+   * Get the profiles, reading them on first use
+   * @returns {Promise<Array>} The SSO profiles
+   */
+  async getProfiles() {
+    if (this.loading) {
+      await this.loading;
+    } else if (!this.profiles) {
+      await this.reloadProfiles();
+    }
+    return this.profiles;
+  }
+
+  /**
+   * Get the cached SSO tokens, reading them on first use
+   * @returns {Array} Tokens as returned by readCachedTokens
+   */
+  getTokens() {
+    if (!this.tokens) {
+      this.tokens = this.readTokens();
+    }
+    return this.tokens;
+  }
+
+  /**
+   * Get the token status of a profile from the cached tokens
+   * @param {Object} profile The SSO profile
+   * @returns {Object} Status as returned by getTokenStatus
+   */
+  getTokenStatus(profile) {
+    return getTokenStatus(profile, { tokens: this.getTokens() });
+  }
+
+  /**
+   * Reload the profiles shortly, after the config files or settings changed
+   */
+  configChanged() {
+    this.debounce("profiles", () => this.reloadProfiles());
+  }
+
+  /**
+   * Forget the cached tokens after the token cache changed. They are read
+   * again on next use; listeners are told shortly.
+   */
+  sessionsChanged() {
+    this.tokens = null;
+    this.debounce("sessions", () => this.emit("sessions"));
+  }
+
+  /**
+   * Read the profiles and tokens again now
+   * @returns {Promise<Array>} The SSO profiles
+   */
+  async refresh() {
+    this.tokens = null;
+    await this.reloadProfiles();
+    return this.profiles;
+  }
+
+  /**
+   * Read the profiles, firing "profiles" and "errors" when they changed. A
+   * reload requested while one is running runs again after it.
+   * @returns {Promise} Resolves when the profiles are current
+   */
+  reloadProfiles() {
+    if (this.loading) {
+      this.reloadAgain = true;
+      return this.loading;
+    }
+    this.loading = (async () => {
+      do {
+        this.reloadAgain = false;
+        await this.load();
+      } while (this.reloadAgain);
+    })().finally(() => {
+      this.loading = null;
+    });
+    return this.loading;
+  }
+
+  /**
+   * Read the profiles once
+   */
+  async load() {
+    let result;
+    try {
+      result = await this.loadProfiles();
+    } catch (error) {
+      // Keep the profiles read last
+      result = { profiles: this.profiles || [], errors: [{ message: error.message }] };
+    }
+
+    const profiles = result.profiles || [];
+    const changed = this.profiles !== null && JSON.stringify(profiles) !== JSON.stringify(this.profiles);
+    this.profiles = profiles;
+
+    const errors = result.errors || [];
+    const errorsKey = JSON.stringify(errors);
+    const errorsChanged = errorsKey !== this.errorsKey;
+    this.errorsKey = errorsKey;
+
+    if (changed) {
+      this.emit("profiles", profiles);
+    }
+    if (errorsChanged) {
+      this.emit("errors", errors);
+    }
+  }
+
+  /**
+   * Run a task once no more calls with the same key came in for debounceMs
+   * @param {string} key Task key
+   * @param {Function} task The task
+   */
+  debounce(key, task) {
+    this.clock.clearTimeout(this.timers[key]);
+    this.timers[key] = this.clock.setTimeout(() => {
+      delete this.timers[key];
+      task();
+    }, this.debounceMs);
+  }
+
+  dispose() {
+    Object.values(this.timers).forEach((timer) => this.clock.clearTimeout(timer));
+    this.timers = {};
+    this.removeAllListeners();
+  }
+}
+
+module.exports = {
+  ProfileStore,
+};
@@ -0,0 +1,209 @@
+/**
+ * Validation of SSO profile and sso-session fields, shared by the profile
+ * editor and anything else that writes profiles.
+ */
+
+// Regions where IAM Identity Center (AWS SSO) can be enabled
+const AWS_REGIONS = [
+  "af-south-1",
+  "ap-east-1",
+  "ap-northeast-1",
+  "ap-northeast-2",
+  "ap-northeast-3",
+  "ap-south-1",
+  "ap-south-2",
+  "ap-southeast-1",
+  "ap-southeast-2",
+  "ap-southeast-3",
+  "ap-southeast-4",
+  "ap-southeast-5",
+  "ap-southeast-7",
+  "ca-central-1",
+  "ca-west-1",
+  "cn-north-1",
+  "cn-northwest-1",
+  "eu-central-1",
+  "eu-central-2",
+  "eu-north-1",
+  "eu-south-1",
+  "eu-south-2",
+  "eu-west-1",
+  "eu-west-2",
+  "eu-west-3",
+  "il-central-1",
+  "me-central-1",
+  "me-south-1",
+  "mx-central-1",
+  "sa-east-1",
+  "us-east-1",
+  "us-east-2",
+  "us-gov-east-1",
+  "us-gov-west-1",
+  "us-west-1",
+  "us-west-2",
+];
+
+/**
+ * Validate that a profile name contains only safe characters
+ * @param {string} name The profile name to validate
+ * @returns {boolean} True if the name is valid
+ */
+function isValidProfileName(name) {
+  return /^[a-zA-Z0-9_.-]+$/.test(name);
+}
+
+/**
+ * Check whether a region is a known AWS region
+ * @param {string} region The region
+ * @returns {boolean} True if the region is known
+ */
+function isKnownRegion(region) {
+  return AWS_REGIONS.includes(region);
+}
+
+/**
+ * Check whether a region has the form of an AWS region name, e.g. eu-west-1.
+ * Unlike isKnownRegion this accepts regions added after this list, but
+ * nothing that could change the host of an endpoint built from it.
+ * @param {string} region The region
+ * @returns {boolean} True if the region looks like a region name
+ */
+function isValidRegionName(region) {
+  return typeof region === "string" && /^[a-z]{2}(-[a-z]+)+-\d+$/.test(region);
+}
+
+/**
+ * Check whether a start URL is a well-formed https URL
+ * @param {string} startUrl The SSO start URL
+ * @returns {boolean} True if the URL is valid
+ */
+function isValidStartUrl(startUrl) {
+  try {
+    const url = new URL(startUrl);
+    return url.protocol === "https:" && Boolean(url.hostname) && !/\s/.test(startUrl);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether an account ID has the 12 digits AWS account IDs have
+ * @param {string} accountId The account ID
+ * @returns {boolean} True if the account ID is valid
+ */
+function isValidAccountId(accountId) {
+  return /^\d{12}$/.test(accountId);
+}
+
+/**
+ * Check whether a role name is a valid IAM role / permission set name
+ * @param {string} roleName The role name
+ * @returns {boolean} True if the role name is valid
+ */
+function isValidRoleName(roleName) {
+  return /^[\w+=,.@-]{1,64}$/.test(roleName);
+}
+
+/**
+ * Validate the start URL and region fields shared by profiles and sso-sessions
+ * @param {Object} values Values with startUrl and region
+ * @param {Object} errors Receives error messages by field
+ */
+function validateStartUrlAndRegion(values, errors) {
+  if (!values.startUrl) {
+    errors.startUrl = "Start URL is required";
+  } else if (!isValidStartUrl(values.startUrl)) {
+    errors.startUrl = "Start URL must be an https URL, e.g. https://example.awsapps.com/start";
+  }
+  if (!values.region) {
+    errors.region = "SSO region is required";
+  } else if (!isKnownRegion(values.region)) {
+    errors.region = `Unknown AWS region: ${values.region}`;
+  }
+}
+
+/**
+ * Validate the fields of an SSO profile
+ * @param {Object} values Values with name, storage ("config" or "settings"),
+ *   ssoSession, startUrl, region, accountId and roleName
+ * @param {Object} [context]
+ * @param {string[]} [context.existingNames] Names already taken by other profiles
+ * @param {string[]} [context.ssoSessions] sso-sessions the profile can reference
+ * @returns {Object} Error messages by field, empty when the values are valid
+ */
+function validateProfile(values, context = {}) {
+  const errors = {};
+  const name = values.name || "";
+
+  if (!name) {
+    errors.name = "Profile name is required";
+  } else if (!isValidProfileName(name)) {
+    errors.name = "Use only letters, numbers, hyphens, underscores, and periods";
+  } else if ((context.existingNames || []).includes(name)) {
+    errors.name = `A profile named "${name}" already exists`;
+  }
+
+  if (values.ssoSession) {
+    if (values.storage === "settings") {
+      errors.ssoSession = "Profiles stored in VS Code settings can't use an sso-session";
+    } else if (!(context.ssoSessions || []).includes(values.ssoSession)) {
+      errors.ssoSession = `sso-session "${values.ssoSession}" is not defined in the same config file`;
+    }
+  } else {
+    validateStartUrlAndRegion(values, errors);
+  }
+
+  if (!values.accountId) {
+    errors.accountId = "Account ID is required";
+  } else if (!isValidAccountId(values.accountId)) {
+    errors.accountId = "Account ID must be 12 digits";
+  }
+
+  if (!values.roleName) {
+    errors.roleName = "Role name is required";
+  } else if (!isValidRoleName(values.roleName)) {
+    errors.roleName = "Role name may contain letters, numbers and +=,.@_- (up to 64 characters)";
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the fields of an sso-session
+ * @param {Object} values Values with name, startUrl, region and scopes (comma separated)
+ * @param {Object} [context]
+ * @param {string[]} [context.existingNames] Names already taken by other sso-sessions
+ * @returns {Object} Error messages by field, empty when the values are valid
+ */
+function validateSsoSession(values, context = {}) {
+  const errors = {};
+  const name = values.name || "";
+
+  if (!name) {
+    errors.name = "sso-session name is required";
+  } else if (!isValidProfileName(name)) {
+    errors.name = "Use only letters, numbers, hyphens, underscores, and periods";
+  } else if ((context.existingNames || []).includes(name)) {
+    errors.name = `An sso-session named "${name}" already exists`;
+  }
+
+  validateStartUrlAndRegion(values, errors);
+
+  const scopes = (values.scopes || "").split(",").map(scope => scope.trim());
+  if (values.scopes && scopes.some(scope => !scope || /\s/.test(scope))) {
+    errors.scopes = "Scopes must be a comma separated list, e.g. sso:account:access";
+  }
+
+  return errors;
+}
+
+module.exports = {
+  AWS_REGIONS,
+  isValidProfileName,
+  isKnownRegion,
+  isValidRegionName,
+  isValidStartUrl,
+  isValidAccountId,
+  validateProfile,
+  validateSsoSession,
+};
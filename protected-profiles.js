@@ -0,0 +1,234 @@
+/**
+ * Protected profiles, usually production roles: profiles tagged with
+ * "protected": true in awsSsoLogin.profiles or matched by a rule in
+ * awsSsoLogin.protectedProfiles. Logging in to or injecting one needs a typed
+ * confirmation, and a rule can limit how long its session may last.
+ */
+
+const { getTokenStatus } = require("./sso-token-cache");
+
+const STATE_KEY = "awsSsoLogin.protectedSessions";
+const RECHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+/**
+ * Test a value against a pattern where "*" matches any run of characters
+ * and "?" one character, ignoring case
+ * @param {string} value The value
+ * @param {string} pattern The pattern
+ * @returns {boolean} True if the whole value matches
+ */
+function matchesPattern(value, pattern) {
+  const source = String(pattern)
+    .split("")
+    .map((char) => (char === "*" ? ".*" : char === "?" ? "." : char.replace(/[\\^$.|+()[\]{}]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`, "i").test(value || "");
+}
+
+/**
+ * Collect the rules from every settings scope. Workspace settings can add
+ * rules but not replace the ones in user settings.
+ * @param {Object} [inspected] Result of WorkspaceConfiguration.inspect("protectedProfiles")
+ * @returns {Array} Rules
+ */
+function collectRules(inspected) {
+  if (!inspected) {
+    return [];
+  }
+  return [inspected.globalValue, inspected.workspaceValue, inspected.workspaceFolderValue]
+    .filter(Array.isArray)
+    .flat()
+    .filter((rule) => rule && typeof rule === "object");
+}
+
+/**
+ * Test whether a rule matches a profile. Every field the rule sets has to
+ * match; a rule without fields matches nothing.
+ * @param {Object} profile The SSO profile
+ * @param {Object} rule Rule with profile, accountId and roleName patterns
+ * @returns {boolean} True if the rule matches
+ */
+function ruleMatches(profile, rule) {
+  const fields = { profile: profile.name, accountId: profile.accountId, roleName: profile.roleName };
+  const set = Object.keys(fields).filter((field) => typeof rule[field] === "string" && rule[field] !== "");
+  return set.length > 0 && set.every((field) => matchesPattern(fields[field], rule[field]));
+}
+
+/**
+ * Find out whether a profile is protected
+ * @param {Object} profile The SSO profile
+ * @param {Array} rules Rules from collectRules
+ * @returns {Object|null} Protection with reasons and maxSessionMinutes (the
+ *   shortest of the matching rules, null when none limits it), or null if the
+ *   profile is not protected
+ */
+function getProtection(profile, rules) {
+  const reasons = [];
+  let maxSessionMinutes = null;
+  if (profile.protected === true) {
+    reasons.push("tagged as protected");
+  }
+  for (const rule of rules) {
+    if (!ruleMatches(profile, rule)) {
+      continue;
+    }
+    reasons.push(
+      ["profile", "accountId", "roleName"]
+        .filter((field) => rule[field])
+        .map((field) => `${field} ${rule[field]}`)
+        .join(", ")
+    );
+    if (rule.maxSessionMinutes > 0 && (maxSessionMinutes === null || rule.maxSessionMinutes < maxSessionMinutes)) {
+      maxSessionMinutes = rule.maxSessionMinutes;
+    }
+  }
+  return reasons.length > 0 ? { reasons, maxSessionMinutes } : null;
+}
+
+/**
+ * Ends the sessions of protected profiles that have a maximum session age.
+ * Logins through the extension are recorded in the given state store
+ * (ExtensionContext.globalState), so the age survives window reloads.
+ */
+class SessionAgeLimiter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getProfiles Async function returning the available SSO profiles
+   * @param {Function} options.getProtection Function returning the protection of a profile, see getProtection
+   * @param {Object} options.state Memento-like store with get(key) and update(key, value)
+   * @param {Function} options.onExpired Called with (profile, loggedInAt) when a session got too old
+   * @param {Object} [options.clock] Clock with now, setTimeout and clearTimeout, for tests
+   * @param {Function} [options.getTokenStatus] Token status lookup, for tests
+   */
+  constructor(options) {
+    this.getProfiles = options.getProfiles;
+    this.getProtection = options.getProtection;
+    this.state = options.state;
+    this.onExpired = options.onExpired;
+    this.clock = options.clock || systemClock;
+    this.getTokenStatus = options.getTokenStatus || getTokenStatus;
+    this.timer = null;
+    this.disposed = false;
+  }
+
+  /**
+   * Record a login and schedule the end of its session
+   * @param {Object} profile The SSO profile
+   * @returns {Promise}
+   */
+  async recordLogin(profile) {
+    const sessions = { ...(this.state.get(STATE_KEY) || {}) };
+    sessions[profile.name] = new Date(this.clock.now()).toISOString();
+    await this.state.update(STATE_KEY, sessions);
+    await this.schedule();
+  }
+
+  /**
+   * Get when the session of a profile ends
+   * @param {Object} profile The SSO profile
+   * @returns {Date|null} End of the session, or null when it isn't limited
+   */
+  getDeadline(profile) {
+    const loggedInAt = (this.state.get(STATE_KEY) || {})[profile.name];
+    const protection = this.getProtection(profile);
+    if (!loggedInAt || !protection || !protection.maxSessionMinutes) {
+      return null;
+    }
+    return new Date(Date.parse(loggedInAt) + protection.maxSessionMinutes * 60 * 1000);
+  }
+
+  /**
+   * Check whether the session of a profile is older than its maximum age,
+   * e.g. before the timer got to end it after the computer slept. A session
+   * whose token expired has already ended.
+   * @param {Object} profile The SSO profile
+   * @returns {boolean} True if the session should have ended
+   */
+  isPastDeadline(profile) {
+    const deadline = this.getDeadline(profile);
+    const now = this.clock.now();
+    return Boolean(deadline) && deadline.getTime() <= now && !this.getTokenStatus(profile, { now }).expired;
+  }
+
+  /**
+   * End sessions that got too old and schedule the next check. Sessions that
+   * ended otherwise, e.g. by logging out, are forgotten. Safe to call at any
+   * time, e.g. after a settings change.
+   */
+  async schedule() {
+    if (this.disposed) {
+      return;
+    }
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const sessions = { ...(this.state.get(STATE_KEY) || {}) };
+    if (Object.keys(sessions).length === 0) {
+      return;
+    }
+
+    let profiles;
+    try {
+      profiles = await this.getProfiles();
+    } catch (error) {
+      profiles = [];
+    }
+
+    const now = this.clock.now();
+    let nextCheck = now + RECHECK_INTERVAL_MS;
+    const due = [];
+    for (const [name, loggedInAt] of Object.entries(sessions)) {
+      const profile = profiles.find((p) => p.name === name);
+      const deadline = profile ? this.getDeadline(profile) : null;
+      if (!deadline || this.getTokenStatus(profile, { now }).expired) {
+        // No longer configured or limited, or already over
+        delete sessions[name];
+      } else if (deadline.getTime() <= now) {
+        delete sessions[name];
+        due.push({ profile, loggedInAt: new Date(loggedInAt) });
+      } else if (deadline.getTime() < nextCheck) {
+        nextCheck = deadline.getTime();
+      }
+    }
+
+    await this.state.update(STATE_KEY, sessions);
+
+    if (this.disposed) {
+      return;
+    }
+    if (Object.keys(sessions).length > 0) {
+      this.timer = this.clock.setTimeout(() => {
+        this.timer = null;
+        this.schedule();
+      }, nextCheck - now);
+    }
+
+    for (const { profile, loggedInAt } of due) {
+      this.onExpired(profile, loggedInAt);
+    }
+  }
+
+  dispose() {
+    this.disposed = true;
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  STATE_KEY,
+  matchesPattern,
+  collectRules,
+  getProtection,
+  SessionAgeLimiter,
+};
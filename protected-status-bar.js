@@ -0,0 +1,80 @@
+const vscode = require("vscode");
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Red status bar warning shown while a protected profile is active: logged in
+ * as the status bar's profile, or injected into terminals
+ */
+class ProtectedStatusBar {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getProfiles Async function returning the available SSO profiles
+   * @param {Function} options.getActiveProfiles Function returning the active profiles as
+   *   { name, injected }, where injected is true for the profile injected into terminals
+   * @param {Function} options.getProtection Function returning the protection of a profile
+   * @param {Function} options.getTokenStatus Function returning the token status of a profile
+   * @param {Function} options.getDeadline Function returning when the session of a profile ends, or null
+   */
+  constructor(options) {
+    this.options = options;
+    this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 101);
+    this.item.backgroundColor = new vscode.ThemeColor("statusBarItem.errorBackground");
+    this.item.color = new vscode.ThemeColor("statusBarItem.errorForeground");
+    this.timer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * Show or hide the warning for the current active profiles
+   */
+  async refresh() {
+    const { getProfiles, getActiveProfiles, getProtection, getTokenStatus, getDeadline } = this.options;
+    let profiles;
+    try {
+      profiles = await getProfiles();
+    } catch (error) {
+      profiles = [];
+    }
+
+    const active = [];
+    for (const { name, injected } of getActiveProfiles()) {
+      const profile = profiles.find((p) => p.name === name);
+      const protection = profile && getProtection(profile);
+      // The logged-in profile only counts while its session lasts
+      if (!protection || (!injected && getTokenStatus(profile).expired) || active.some((a) => a.profile === profile)) {
+        continue;
+      }
+      active.push({ profile, protection, injected });
+    }
+
+    if (active.length === 0) {
+      this.item.hide();
+      return;
+    }
+
+    this.item.text = `$(shield) PROTECTED: ${active.map((a) => a.profile.name).join(", ")}`;
+    this.item.tooltip = active.map(({ profile, protection, injected }) => {
+      const deadline = getDeadline(profile);
+      return [
+        `${profile.name} (account ${profile.accountId}, role ${profile.roleName}) is a protected profile: ${protection.reasons.join("; ")}.`,
+        injected ? "It is injected into new terminals and debug sessions." : "It is the active profile.",
+        deadline ? `Its session ends at ${deadline.toLocaleString()}.` : "",
+      ].filter(Boolean).join(" ");
+    }).join("\n");
+    this.item.command = {
+      title: "AWS SSO: Logout",
+      command: "awsSsoLogin.logout",
+      arguments: [active[0].profile.name],
+    };
+    this.item.show();
+  }
+
+  dispose() {
+    clearInterval(this.timer);
+    this.item.dispose();
+  }
+}
+
+module.exports = {
+  ProtectedStatusBar,
+};
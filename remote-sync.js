@@ -0,0 +1,132 @@
+/**
+ * Copies SSO tokens and credentials from the local machine into the remote
+ * host of a Remote-SSH, WSL, dev container or Codespaces window, for when the
+ * extension runs on the UI side and logs in locally. The remote is reached
+ * through a file system adapter, so this module doesn't depend on how.
+ * Adapters can't set file modes, so new remote files get the remote umask;
+ * copying is therefore opt-in.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getCacheFileName, getSsoCacheDir } = require("./sso-token-cache");
+const { upsertCredentialsSection } = require("./aws-credentials-file");
+
+// Remote paths are POSIX paths whatever the local platform
+const remotePath = path.posix;
+
+/**
+ * Guess the home directory of the remote user from a workspace folder path
+ * @param {string[]} folderPaths Paths of the remote workspace folders
+ * @returns {string|null} Home directory, or null if no folder is inside one
+ */
+function guessHomeFromFolders(folderPaths) {
+  for (const folderPath of folderPaths) {
+    const match = folderPath.match(/^(\/home\/[^/]+|\/Users\/[^/]+|\/root)(?:\/|$)/);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Syncs tokens and credentials to a remote host
+ */
+class RemoteSync {
+  /**
+   * @param {Object} options
+   * @param {Object} options.fileSystem Remote file system with async readFile(path) → string,
+   *   writeFile(path, text), createDirectory(path) creating parents, listDirectories(path) →
+   *   names and exists(path) → boolean
+   * @param {Function} options.getConfiguredDirectory Function returning the awsSsoLogin.remoteAwsDirectory setting
+   * @param {Function} options.getFolderPaths Function returning the remote workspace folder paths
+   * @param {string} [options.cacheDir] Local SSO cache directory, for tests
+   */
+  constructor(options) {
+    this.fileSystem = options.fileSystem;
+    this.getConfiguredDirectory = options.getConfiguredDirectory;
+    this.getFolderPaths = options.getFolderPaths;
+    this.cacheDir = options.cacheDir || getSsoCacheDir();
+  }
+
+  /**
+   * Find the remote AWS directory: the setting, else ~/.aws of the user whose
+   * home holds a workspace folder, else of the only user in /home, else of root
+   * @returns {Promise<string|null>} Remote directory, or null if it can't be told
+   */
+  async getAwsDirectory() {
+    const configured = (this.getConfiguredDirectory() || "").trim();
+    if (configured) {
+      return configured.replace(/\/+$/, "");
+    }
+
+    let home = guessHomeFromFolders(this.getFolderPaths());
+    if (!home) {
+      let users = [];
+      try {
+        users = await this.fileSystem.listDirectories("/home");
+      } catch (error) {
+        // No /home, e.g. a container that only has root
+      }
+      if (users.length === 1) {
+        home = remotePath.join("/home", users[0]);
+      } else if (users.length === 0 && (await this.fileSystem.exists("/root"))) {
+        home = "/root";
+      }
+    }
+    return home ? remotePath.join(home, ".aws") : null;
+  }
+
+  /**
+   * Copy the cached SSO token of a profile to the remote token cache
+   * @param {Object} profile The SSO profile
+   * @returns {Promise<string>} Remote path of the token file
+   */
+  async copyToken(profile) {
+    const awsDirectory = await this.requireAwsDirectory();
+    const fileName = getCacheFileName(profile);
+    const text = await fs.promises.readFile(path.join(this.cacheDir, fileName), "utf8");
+
+    const remoteCacheDir = remotePath.join(awsDirectory, "sso", "cache");
+    await this.fileSystem.createDirectory(remoteCacheDir);
+    const target = remotePath.join(remoteCacheDir, fileName);
+    await this.fileSystem.writeFile(target, text);
+    return target;
+  }
+
+  /**
+   * Write credentials to a section of the remote shared credentials file
+   * @param {string} sectionName Section name, usually the profile name
+   * @param {Object} credentials Credentials with accessKeyId, secretAccessKey, sessionToken and expiration
+   * @returns {Promise<string>} Remote path of the credentials file
+   */
+  async writeCredentials(sectionName, credentials) {
+    const awsDirectory = await this.requireAwsDirectory();
+    const target = remotePath.join(awsDirectory, "credentials");
+    let current = "";
+    if (await this.fileSystem.exists(target)) {
+      current = await this.fileSystem.readFile(target);
+    }
+    await this.fileSystem.createDirectory(awsDirectory);
+    await this.fileSystem.writeFile(target, upsertCredentialsSection(current, sectionName, credentials));
+    return target;
+  }
+
+  /**
+   * Get the remote AWS directory or fail with a message saying how to set it
+   * @returns {Promise<string>} Remote directory
+   */
+  async requireAwsDirectory() {
+    const awsDirectory = await this.getAwsDirectory();
+    if (!awsDirectory) {
+      throw new Error("Could not tell the home directory on the remote host. Set \"awsSsoLogin.remoteAwsDirectory\", e.g. to /home/vscode/.aws.");
+    }
+    return awsDirectory;
+  }
+}
+
+module.exports = {
+  guessHomeFromFolders,
+  RemoteSync,
+};
@@ -0,0 +1,49 @@
+/**
+ * Parse the output of "aws configure export-credentials --format process"
+ * @param {string} output JSON written by the AWS CLI
+ * @returns {Object} Credentials with accessKeyId, secretAccessKey, sessionToken and expiration
+ */
+function parseExportedCredentials(output) {
+  let data;
+  try {
+    data = JSON.parse(output);
+  } catch (error) {
+    throw new Error("AWS CLI returned credentials that are not valid JSON");
+  }
+
+  if (!data || !data.AccessKeyId || !data.SecretAccessKey) {
+    throw new Error("AWS CLI returned incomplete credentials");
+  }
+
+  const expiration = data.Expiration ? new Date(data.Expiration) : null;
+  return {
+    accessKeyId: data.AccessKeyId,
+    secretAccessKey: data.SecretAccessKey,
+    sessionToken: data.SessionToken,
+    expiration: expiration && !isNaN(expiration.getTime()) ? expiration : null,
+  };
+}
+
+/**
+ * Convert credentials to the environment variables the AWS CLI and SDKs read
+ * @param {Object} credentials Credentials from parseExportedCredentials
+ * @returns {Object} Environment variables
+ */
+function toEnvironmentVariables(credentials) {
+  const variables = {
+    AWS_ACCESS_KEY_ID: credentials.accessKeyId,
+    AWS_SECRET_ACCESS_KEY: credentials.secretAccessKey,
+  };
+  if (credentials.sessionToken) {
+    variables.AWS_SESSION_TOKEN = credentials.sessionToken;
+  }
+  if (credentials.expiration) {
+    variables.AWS_CREDENTIAL_EXPIRATION = credentials.expiration.toISOString();
+  }
+  return variables;
+}
+
+module.exports = {
+  parseExportedCredentials,
+  toEnvironmentVariables,
+};
@@ -0,0 +1,204 @@
+const { requestJson, AwsHttpError } = require("./aws-http");
+const {
+  getSsoCacheDir,
+  readCacheEntry,
+  writeCacheEntry,
+  formatCacheTimestamp,
+  parseExpiresAt,
+} = require("./sso-token-cache");
+const { isValidRegionName } = require("./profile-validation");
+
+const CLIENT_NAME = "vscode-aws-sso-login";
+const DEVICE_CODE_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code";
+const DEFAULT_POLL_INTERVAL_SECONDS = 5;
+// Register a new client when the cached registration expires within this window
+const REGISTRATION_RENEWAL_MS = 60 * 60 * 1000;
+
+/**
+ * Check whether an error is a given OIDC error. The service reports the
+ * exception name in the x-amzn-ErrorType header and an OAuth error code in the body.
+ * @param {Error} error The error
+ * @param {string} exceptionName e.g. "AuthorizationPendingException"
+ * @param {string} oauthError e.g. "authorization_pending"
+ * @returns {boolean} True if the error matches
+ */
+function isOidcError(error, exceptionName, oauthError) {
+  return error instanceof AwsHttpError &&
+    (error.errorType === exceptionName || error.code === exceptionName || error.code === oauthError);
+}
+
+/**
+ * Get the SSO OIDC endpoint for a region
+ * @param {string} region The SSO region
+ * @returns {string} Endpoint URL
+ * @throws {Error} If the region isn't a region name
+ */
+function getOidcEndpoint(region) {
+  if (!isValidRegionName(region)) {
+    throw new Error(`Invalid AWS region: ${JSON.stringify(region)}`);
+  }
+  return `https://oidc.${region}.amazonaws.com`;
+}
+
+/**
+ * Register a public OIDC client (RegisterClient)
+ * @param {string} endpoint OIDC endpoint
+ * @param {string[]} [scopes] Registration scopes, for sso-session profiles
+ * @returns {Promise<Object>} Registration with clientId, clientSecret and clientSecretExpiresAt
+ */
+function registerClient(endpoint, scopes) {
+  const body = { clientName: CLIENT_NAME, clientType: "public" };
+  if (scopes && scopes.length > 0) {
+    body.scopes = scopes;
+  }
+  return requestJson(`${endpoint}/client/register`, { method: "POST", body });
+}
+
+/**
+ * Start the device authorization (StartDeviceAuthorization)
+ * @param {string} endpoint OIDC endpoint
+ * @param {Object} registration Client registration
+ * @param {string} startUrl The SSO start URL
+ * @returns {Promise<Object>} Authorization with deviceCode, userCode, verificationUri(Complete), expiresIn and interval
+ */
+function startDeviceAuthorization(endpoint, registration, startUrl) {
+  return requestJson(`${endpoint}/device_authorization`, {
+    method: "POST",
+    body: {
+      clientId: registration.clientId,
+      clientSecret: registration.clientSecret,
+      startUrl,
+    },
+  });
+}
+
+/**
+ * Exchange the device code for a token (CreateToken)
+ * @param {string} endpoint OIDC endpoint
+ * @param {Object} registration Client registration
+ * @param {string} deviceCode Device code from startDeviceAuthorization
+ * @returns {Promise<Object>} Token with accessToken, expiresIn and optionally refreshToken
+ */
+function createToken(endpoint, registration, deviceCode) {
+  return requestJson(`${endpoint}/token`, {
+    method: "POST",
+    body: {
+      clientId: registration.clientId,
+      clientSecret: registration.clientSecret,
+      grantType: DEVICE_CODE_GRANT_TYPE,
+      deviceCode,
+    },
+  });
+}
+
+/**
+ * Get a client registration, reusing the one stored in the profile's cache
+ * entry while it is still valid
+ * @param {Object} profile The SSO profile
+ * @param {Object} options Options passed to loginWithDeviceAuthorization
+ * @returns {Promise<Object>} Registration with clientId, clientSecret and registrationExpiresAt
+ */
+async function getClientRegistration(profile, options) {
+  const cached = readCacheEntry(profile, options.cacheDir);
+  const cachedExpiry = cached && parseExpiresAt(cached.registrationExpiresAt);
+  if (
+    cached &&
+    cached.clientId &&
+    cached.clientSecret &&
+    cached.region === profile.region &&
+    cachedExpiry &&
+    cachedExpiry.getTime() - options.now() > REGISTRATION_RENEWAL_MS
+  ) {
+    return {
+      clientId: cached.clientId,
+      clientSecret: cached.clientSecret,
+      registrationExpiresAt: cached.registrationExpiresAt,
+    };
+  }
+
+  const registration = await registerClient(options.endpoint, profile.scopes);
+  return {
+    clientId: registration.clientId,
+    clientSecret: registration.clientSecret,
+    registrationExpiresAt: formatCacheTimestamp(new Date(registration.clientSecretExpiresAt * 1000)),
+  };
+}
+
+/**
+ * Log in with the SSO OIDC device authorization flow, without the AWS CLI,
+ * and write the token to the AWS CLI cache in the CLI's format
+ * @param {Object} profile The SSO profile (startUrl, region and optionally ssoSession and scopes)
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] OIDC endpoint, defaults to the regional AWS endpoint
+ * @param {string} [options.cacheDir] Cache directory, defaults to ~/.aws/sso/cache
+ * @param {Function} [options.onAuthorization] Called with the device authorization
+ *   (userCode, verificationUri, verificationUriComplete) once the user can approve it
+ * @param {Function} [options.isCancelled] Polling stops when this returns true
+ * @param {Function} [options.sleep] Waits the given milliseconds, for tests
+ * @param {Function} [options.now] Current time in milliseconds, for tests
+ * @returns {Promise<Object|null>} The written cache entry, or null if cancelled
+ * @throws {Error} When the authorization is denied or expires
+ */
+async function loginWithDeviceAuthorization(profile, options = {}) {
+  const settings = {
+    endpoint: (options.endpoint || getOidcEndpoint(profile.region)).replace(/\/+$/, ""),
+    cacheDir: options.cacheDir || getSsoCacheDir(),
+    onAuthorization: options.onAuthorization || (() => {}),
+    isCancelled: options.isCancelled || (() => false),
+    sleep: options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms))),
+    now: options.now || (() => Date.now()),
+  };
+
+  const registration = await getClientRegistration(profile, settings);
+  const authorization = await startDeviceAuthorization(settings.endpoint, registration, profile.startUrl);
+  settings.onAuthorization(authorization);
+
+  let intervalMs = (authorization.interval || DEFAULT_POLL_INTERVAL_SECONDS) * 1000;
+  const deadline = settings.now() + (authorization.expiresIn || 600) * 1000;
+
+  while (settings.now() < deadline) {
+    await settings.sleep(intervalMs);
+    if (settings.isCancelled()) {
+      return null;
+    }
+
+    let token;
+    try {
+      token = await createToken(settings.endpoint, registration, authorization.deviceCode);
+    } catch (error) {
+      if (isOidcError(error, "AuthorizationPendingException", "authorization_pending")) {
+        continue;
+      }
+      if (isOidcError(error, "SlowDownException", "slow_down")) {
+        intervalMs += DEFAULT_POLL_INTERVAL_SECONDS * 1000;
+        continue;
+      }
+      throw error;
+    }
+
+    const entry = {
+      startUrl: profile.startUrl,
+      region: profile.region,
+      accessToken: token.accessToken,
+      expiresAt: formatCacheTimestamp(new Date(settings.now() + token.expiresIn * 1000)),
+      clientId: registration.clientId,
+      clientSecret: registration.clientSecret,
+      registrationExpiresAt: registration.registrationExpiresAt,
+    };
+    if (token.refreshToken) {
+      entry.refreshToken = token.refreshToken;
+    }
+    writeCacheEntry(profile, entry, settings.cacheDir);
+    return entry;
+  }
+
+  throw new Error("The device authorization expired before it was approved");
+}
+
+module.exports = {
+  getOidcEndpoint,
+  registerClient,
+  startDeviceAuthorization,
+  createToken,
+  loginWithDeviceAuthorization,
+};
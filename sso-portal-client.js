@@ -0,0 +1,132 @@
+const { requestJson } = require("./aws-http");
+const { isValidRegionName } = require("./profile-validation");
+
+// Largest page size the portal accepts for ListAccounts and ListAccountRoles
+const PAGE_SIZE = 100;
+
+/**
+ * Get the AWS SSO portal endpoint for a region
+ * @param {string} region The SSO region
+ * @returns {string} Endpoint URL
+ * @throws {Error} If the region isn't a region name
+ */
+function getPortalEndpoint(region) {
+  if (!isValidRegionName(region)) {
+    throw new Error(`Invalid AWS region: ${JSON.stringify(region)}`);
+  }
+  return `https://portal.sso.${region}.amazonaws.com`;
+}
+
+/**
+ * Get short-lived credentials for an account and role (GetRoleCredentials)
+ * @param {Object} options
+ * @param {string} options.accessToken Cached SSO access token
+ * @param {string} options.region The SSO region
+ * @param {string} options.accountId AWS account ID
+ * @param {string} options.roleName Permission set / role name
+ * @param {string} [options.endpoint] Portal endpoint, defaults to the regional AWS endpoint
+ * @returns {Promise<Object>} Credentials with accessKeyId, secretAccessKey, sessionToken and expiration
+ */
+async function getRoleCredentials(options) {
+  const endpoint = (options.endpoint || getPortalEndpoint(options.region)).replace(/\/+$/, "");
+  const query = `role_name=${encodeURIComponent(options.roleName)}&account_id=${encodeURIComponent(options.accountId)}`;
+  const response = await requestJson(`${endpoint}/federation/credentials?${query}`, {
+    headers: { "x-amz-sso_bearer_token": options.accessToken },
+  });
+
+  const credentials = response && response.roleCredentials;
+  if (!credentials || !credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new Error("AWS SSO returned incomplete role credentials");
+  }
+  return {
+    accessKeyId: credentials.accessKeyId,
+    secretAccessKey: credentials.secretAccessKey,
+    sessionToken: credentials.sessionToken,
+    expiration: credentials.expiration ? new Date(credentials.expiration) : null,
+  };
+}
+
+/**
+ * Fetch every page of a paginated portal list operation
+ * @param {string} url Request URL without the paging parameters
+ * @param {string} accessToken Cached SSO access token
+ * @param {string} listKey Response property holding the items, e.g. "accountList"
+ * @returns {Promise<Array>} Items of all pages
+ */
+async function listAllPages(url, accessToken, listKey) {
+  const items = [];
+  let nextToken;
+  do {
+    const separator = url.includes("?") ? "&" : "?";
+    const paging = `max_result=${PAGE_SIZE}${nextToken ? `&next_token=${encodeURIComponent(nextToken)}` : ""}`;
+    const response = await requestJson(`${url}${separator}${paging}`, {
+      headers: { "x-amz-sso_bearer_token": accessToken },
+    });
+    items.push(...((response && response[listKey]) || []));
+    nextToken = response && response.nextToken;
+  } while (nextToken);
+  return items;
+}
+
+/**
+ * List the accounts the SSO user can access (ListAccounts)
+ * @param {Object} options
+ * @param {string} options.accessToken Cached SSO access token
+ * @param {string} options.region The SSO region
+ * @param {string} [options.endpoint] Portal endpoint, defaults to the regional AWS endpoint
+ * @returns {Promise<Array>} Accounts with accountId, accountName and emailAddress
+ */
+function listAccounts(options) {
+  const endpoint = (options.endpoint || getPortalEndpoint(options.region)).replace(/\/+$/, "");
+  return listAllPages(`${endpoint}/assignment/accounts`, options.accessToken, "accountList");
+}
+
+/**
+ * List the roles the SSO user can assume in an account (ListAccountRoles)
+ * @param {Object} options
+ * @param {string} options.accessToken Cached SSO access token
+ * @param {string} options.region The SSO region
+ * @param {string} options.accountId AWS account ID
+ * @param {string} [options.endpoint] Portal endpoint, defaults to the regional AWS endpoint
+ * @returns {Promise<Array>} Roles with accountId and roleName
+ */
+function listAccountRoles(options) {
+  const endpoint = (options.endpoint || getPortalEndpoint(options.region)).replace(/\/+$/, "");
+  return listAllPages(
+    `${endpoint}/assignment/roles?account_id=${encodeURIComponent(options.accountId)}`,
+    options.accessToken,
+    "roleList"
+  );
+}
+
+/**
+ * List every account and role pair the SSO user can access. Accounts are
+ * queried one after another to stay clear of the portal's throttling limits.
+ * @param {Object} options Options for listAccounts
+ * @param {Function} [onAccount] Called with each account before its roles are listed, for progress
+ * @returns {Promise<Array>} Assignments with accountId, accountName, emailAddress and roleName
+ */
+async function listAccountAssignments(options, onAccount = () => {}) {
+  const assignments = [];
+  for (const account of await listAccounts(options)) {
+    onAccount(account);
+    const roles = await listAccountRoles({ ...options, accountId: account.accountId });
+    for (const role of roles) {
+      assignments.push({
+        accountId: account.accountId,
+        accountName: account.accountName,
+        emailAddress: account.emailAddress,
+        roleName: role.roleName,
+      });
+    }
+  }
+  return assignments;
+}
+
+module.exports = {
+  getPortalEndpoint,
+  getRoleCredentials,
+  listAccounts,
+  listAccountRoles,
+  listAccountAssignments,
+};
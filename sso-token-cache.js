@@ -0,0 +1,285 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const { writeFileAtomic } = require("./atomic-file");
+
+/**
+ * Get the directory where the AWS CLI caches SSO access tokens
+ * @returns {string} Absolute path to the SSO token cache directory
+ */
+function getSsoCacheDir() {
+  return path.join(os.homedir(), ".aws", "sso", "cache");
+}
+
+/**
+ * Normalize a start URL so cosmetic differences (trailing slash, case of the
+ * host) don't prevent a cache entry from matching its profile
+ * @param {string} startUrl The SSO start URL
+ * @returns {string} Normalized start URL
+ */
+function normalizeStartUrl(startUrl) {
+  return String(startUrl || "").trim().replace(/\/+$/, "").toLowerCase();
+}
+
+/**
+ * Compute the cache file name the AWS CLI uses for a profile. Profiles that
+ * reference an sso-session are keyed by the session name, legacy profiles by
+ * their start URL.
+ * @param {Object} profile The SSO profile
+ * @returns {string} Cache file name (without directory)
+ */
+function getCacheFileName(profile) {
+  const key = profile.ssoSession || profile.startUrl;
+  return crypto.createHash("sha1").update(key, "utf8").digest("hex") + ".json";
+}
+
+/**
+ * Parse the expiresAt value written by the AWS CLI. Older CLI versions write
+ * timestamps such as "2019-11-14T04:05:45UTC" which Date cannot parse as-is.
+ * @param {string} value The expiresAt value
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseExpiresAt(value) {
+  if (typeof value !== "string" || !value) {
+    return null;
+  }
+  const date = new Date(value.replace(/UTC$/, "Z"));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read all SSO access tokens from the AWS CLI cache directory. Files that
+ * aren't access tokens (e.g. client registrations) are skipped.
+ * @param {string} [cacheDir] Cache directory, defaults to ~/.aws/sso/cache
+ * @returns {Array} Array of cached token objects
+ */
+function readCachedTokens(cacheDir = getSsoCacheDir()) {
+  let files;
+  try {
+    files = fs.readdirSync(cacheDir).filter(file => file.endsWith(".json"));
+  } catch (error) {
+    return [];
+  }
+
+  const tokens = [];
+  for (const file of files) {
+    try {
+      const content = JSON.parse(fs.readFileSync(path.join(cacheDir, file), "utf8"));
+      const expiresAt = parseExpiresAt(content.expiresAt);
+      if (!content.accessToken || !content.startUrl || !expiresAt) {
+        continue;
+      }
+      tokens.push({
+        file,
+        startUrl: content.startUrl,
+        region: content.region,
+        accessToken: content.accessToken,
+        expiresAt,
+      });
+    } catch (error) {
+      // Ignore unreadable or malformed cache files
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Find the cached token belonging to a profile. A cache file named after the
+ * profile's sso-session (or start URL) wins; otherwise the token with the
+ * latest expiry for the same start URL is used.
+ * @param {Object} profile The SSO profile
+ * @param {Array} tokens Tokens returned by readCachedTokens
+ * @returns {Object|null} The matching token or null
+ */
+function findTokenForProfile(profile, tokens) {
+  const fileName = getCacheFileName(profile);
+  const exact = tokens.find(token => token.file === fileName);
+  if (exact) {
+    return exact;
+  }
+
+  const startUrl = normalizeStartUrl(profile.startUrl);
+  const candidates = tokens.filter(token => normalizeStartUrl(token.startUrl) === startUrl);
+  if (candidates.length === 0) {
+    return null;
+  }
+  return candidates.reduce((latest, token) => (token.expiresAt > latest.expiresAt ? token : latest));
+}
+
+/**
+ * Get the token status for a profile
+ * @param {Object} profile The SSO profile
+ * @param {Object} [options]
+ * @param {string} [options.cacheDir] Cache directory to read
+ * @param {Array} [options.tokens] Pre-read tokens, avoids reading the cache again
+ * @param {number} [options.now] Current time in milliseconds
+ * @returns {Object} Status with token, expiresAt, remainingMs and expired
+ */
+function getTokenStatus(profile, options = {}) {
+  const tokens = options.tokens || readCachedTokens(options.cacheDir);
+  const now = options.now !== undefined ? options.now : Date.now();
+  const token = findTokenForProfile(profile, tokens);
+
+  if (!token) {
+    return { token: null, expiresAt: null, remainingMs: 0, expired: true };
+  }
+
+  const remainingMs = token.expiresAt.getTime() - now;
+  return {
+    token,
+    expiresAt: token.expiresAt,
+    remainingMs: Math.max(remainingMs, 0),
+    expired: remainingMs <= 0,
+  };
+}
+
+/**
+ * Read the raw cache entry the AWS CLI keeps for a profile, including the
+ * client registration and refresh token
+ * @param {Object} profile The SSO profile
+ * @param {string} [cacheDir] Cache directory, defaults to ~/.aws/sso/cache
+ * @returns {Object|null} The cache entry, or null if there is none
+ */
+function readCacheEntry(profile, cacheDir = getSsoCacheDir()) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(cacheDir, getCacheFileName(profile)), "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Format a date the way the AWS CLI writes it in cache files
+ * @param {Date} date The date
+ * @returns {string} Timestamp such as "2030-01-01T10:00:00Z"
+ */
+function formatCacheTimestamp(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * Write a cache entry in the AWS CLI format, so the CLI and SDKs pick up the
+ * token. The file is only readable by the current user.
+ * @param {Object} profile The SSO profile
+ * @param {Object} entry Cache entry with startUrl, region, accessToken and expiresAt
+ * @param {string} [cacheDir] Cache directory, defaults to ~/.aws/sso/cache
+ * @returns {string} Path of the written file
+ */
+function writeCacheEntry(profile, entry, cacheDir = getSsoCacheDir()) {
+  fs.mkdirSync(cacheDir, { recursive: true, mode: 0o700 });
+  const filePath = path.join(cacheDir, getCacheFileName(profile));
+  writeFileAtomic(filePath, JSON.stringify(entry), 0o600);
+  return filePath;
+}
+
+/**
+ * Remove the cached SSO tokens for a profile's start URL. Only regular
+ * token files directly inside the cache directory are removed; symlinks,
+ * client registrations and other files are left alone.
+ * @param {Object} profile The SSO profile
+ * @param {string} [cacheDir] Cache directory, defaults to ~/.aws/sso/cache
+ * @returns {string[]} Names of the removed files
+ */
+function removeCachedTokens(profile, cacheDir = getSsoCacheDir()) {
+  const fileName = getCacheFileName(profile);
+  const startUrl = normalizeStartUrl(profile.startUrl);
+  const removed = [];
+
+  for (const token of readCachedTokens(cacheDir)) {
+    if (token.file !== fileName && normalizeStartUrl(token.startUrl) !== startUrl) {
+      continue;
+    }
+    const filePath = path.join(cacheDir, token.file);
+    if (!fs.lstatSync(filePath).isFile()) {
+      continue;
+    }
+    fs.unlinkSync(filePath);
+    removed.push(token.file);
+  }
+
+  return removed;
+}
+
+/**
+ * Remove the AWS CLI's cached client registrations for a profile, so the next
+ * login registers a new client. These are the registrations whose client ID
+ * the profile's cached tokens refer to and, for profiles without an
+ * sso-session, the CLI's per-region registration file. Call this before
+ * removeCachedTokens, which removes the tokens the client IDs come from.
+ * @param {Object} profile The SSO profile
+ * @param {string} [cacheDir] Cache directory, defaults to ~/.aws/sso/cache
+ * @returns {string[]} Names of the removed files
+ */
+function removeClientRegistrations(profile, cacheDir = getSsoCacheDir()) {
+  let files;
+  try {
+    files = fs.readdirSync(cacheDir).filter(file => file.endsWith(".json"));
+  } catch (error) {
+    return [];
+  }
+
+  const entries = [];
+  for (const file of files) {
+    const filePath = path.join(cacheDir, file);
+    try {
+      if (fs.lstatSync(filePath).isFile()) {
+        entries.push({ file, filePath, content: JSON.parse(fs.readFileSync(filePath, "utf8")) });
+      }
+    } catch (error) {
+      // Ignore unreadable or malformed cache files
+    }
+  }
+
+  const fileName = getCacheFileName(profile);
+  const startUrl = normalizeStartUrl(profile.startUrl);
+  const clientIds = new Set(
+    entries
+      .filter(({ file, content }) =>
+        content.accessToken && content.clientId &&
+        (file === fileName || normalizeStartUrl(content.startUrl) === startUrl))
+      .map(({ content }) => content.clientId)
+  );
+  const legacyFile = profile.ssoSession ? null : `botocore-client-id-${profile.region}.json`;
+
+  const removed = [];
+  for (const { file, filePath, content } of entries) {
+    const isRegistration = !content.accessToken && content.clientId && content.clientSecret;
+    if (isRegistration && (clientIds.has(content.clientId) || file === legacyFile)) {
+      fs.unlinkSync(filePath);
+      removed.push(file);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Format a remaining duration for display, e.g. "3h 12m" or "45m"
+ * @param {number} ms Duration in milliseconds
+ * @returns {string} Human readable duration
+ */
+function formatRemaining(ms) {
+  const totalMinutes = Math.floor(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return totalMinutes > 0 ? `${minutes}m` : "<1m";
+}
+
+module.exports = {
+  getSsoCacheDir,
+  normalizeStartUrl,
+  getCacheFileName,
+  parseExpiresAt,
+  readCachedTokens,
+  findTokenForProfile,
+  getTokenStatus,
+  readCacheEntry,
+  formatCacheTimestamp,
+  writeCacheEntry,
+  removeCachedTokens,
+  removeClientRegistrations,
+  formatRemaining,
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseCliVersion,
+  compareVersions,
+  checkCliVersion,
+  supportsDeviceCodeOption,
+  findOnPath,
+  AwsCliLocator,
+} = require('./aws-cli-locator');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+// Version parsing
+const v2 = parseCliVersion('aws-cli/2.15.30 Python/3.11.8 Darwin/23.4.0 exe/x86_64 prompt/off\n');
+check('parses AWS CLI v2 output', v2 && v2.major === 2 && v2.minor === 15 && v2.patch === 30 && v2.text === '2.15.30');
+const v1 = parseCliVersion('aws-cli/1.29.62 Python/3.9.6 Linux/5.15.0 botocore/1.31.62');
+check('parses AWS CLI v1 output', v1 && v1.major === 1 && v1.text === '1.29.62');
+check('returns null for other output', parseCliVersion('command not found') === null && parseCliVersion('') === null);
+check('compares versions', compareVersions(parseCliVersion('aws-cli/2.9.0'), parseCliVersion('aws-cli/2.8.12')) > 0 &&
+  compareVersions(parseCliVersion('aws-cli/2.10.0'), parseCliVersion('aws-cli/2.9.0')) > 0 &&
+  compareVersions(v2, v2) === 0);
+
+// Version checks
+const sessionProfile = { name: 'corp', ssoSession: 'corp-session' };
+check('refuses AWS CLI v1', /Install AWS CLI version 2/.test(checkCliVersion(v1)));
+check('refuses AWS CLI v1 for any profile', checkCliVersion(v1, { name: 'legacy' }) !== null);
+check('refuses sso-session profiles before 2.9.0', /corp.*2\.9\.0/.test(checkCliVersion(parseCliVersion('aws-cli/2.8.12'), sessionProfile)));
+check('accepts sso-session profiles from 2.9.0', checkCliVersion(parseCliVersion('aws-cli/2.9.0'), sessionProfile) === null);
+check('accepts legacy profiles on older v2 releases', checkCliVersion(parseCliVersion('aws-cli/2.2.0'), { name: 'legacy' }) === null);
+check('passes --use-device-code from 2.22.0', supportsDeviceCodeOption(parseCliVersion('aws-cli/2.22.0')) && !supportsDeviceCodeOption(parseCliVersion('aws-cli/2.21.3')));
+
+// Fake CLIs in a temporary directory
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-cli-locator-'));
+const binA = path.join(tmpDir, 'a');
+const binB = path.join(tmpDir, 'b');
+fs.mkdirSync(binA);
+fs.mkdirSync(binB);
+const awsA = path.join(binA, 'aws');
+const awsB = path.join(binB, 'aws');
+fs.writeFileSync(awsA, 'a');
+fs.writeFileSync(awsB, 'b');
+fs.writeFileSync(path.join(binB, 'aws2'), 'b2');
+const env = { PATH: [path.join(tmpDir, 'missing'), binA, binB].join(':') };
+
+check('finds executables in PATH order', JSON.stringify(findOnPath('aws', env, 'linux')) === JSON.stringify([awsA, awsB]));
+check('finds nothing without a PATH', findOnPath('aws', {}, 'linux').length === 0);
+
+function createLocator(options = {}) {
+  const values = new Map();
+  const state = {
+    get: (key) => values.get(key),
+    update: async (key, value) => { values.set(key, value); },
+  };
+  const calls = [];
+  const outputs = Object.assign({ [awsA]: 'aws-cli/2.15.0 Python/3.11.6', [awsB]: 'aws-cli/2.13.0 Python/3.11.4' }, options.outputs);
+  const locator = new AwsCliLocator({
+    state,
+    getConfiguredPath: () => options.configuredPath,
+    getEnv: () => env,
+    platform: 'linux',
+    runVersion: async (cliPath) => {
+      calls.push(cliPath);
+      if (outputs[cliPath] instanceof Error) {
+        throw outputs[cliPath];
+      }
+      return outputs[cliPath] || '';
+    },
+  });
+  return { locator, calls, values };
+}
+
+async function run() {
+  // Discovery and caching
+  {
+    const { locator, calls } = createLocator();
+    const cli = await locator.locate();
+    check('uses the first CLI on the PATH', cli && cli.path === awsA && cli.version.text === '2.15.0');
+    const again = await locator.locate();
+    check('reuses the cached CLI without running it', calls.length === 1 && again.path === awsA && again.version.major === 2);
+
+    // An upgrade changes the file
+    fs.writeFileSync(awsA, 'a, upgraded');
+    await locator.locate();
+    check('looks again when the CLI file changes', calls.length === 2);
+
+    fs.unlinkSync(awsA);
+    const moved = await locator.locate();
+    check('looks again when the CLI is removed', moved && moved.path === awsB && calls.length === 3);
+    fs.writeFileSync(awsA, 'a');
+  }
+
+  // Failing candidates
+  {
+    const { locator, calls } = createLocator({ outputs: { [awsA]: new Error('EACCES') } });
+    const cli = await locator.locate();
+    check('skips CLIs that fail to run', cli && cli.path === awsB && calls.join(',') === [awsA, awsB].join(','));
+  }
+  {
+    const { locator, values } = createLocator({ outputs: { [awsA]: 'not the aws cli', [awsB]: new Error('ENOENT') } });
+    check('returns null when no CLI works', await locator.locate() === null);
+    check('caches nothing when no CLI works', values.get('awsSsoLogin.cli') === undefined);
+  }
+
+  // AWS CLI v1 earlier on the PATH
+  {
+    const { locator, calls, values } = createLocator({ outputs: { [awsA]: 'aws-cli/1.29.62 Python/3.8.10' } });
+    const cli = await locator.locate();
+    check('prefers a later v2 CLI over v1', cli && cli.path === awsB && cli.version.major === 2 && calls.join(',') === [awsA, awsB].join(','));
+    check('caches the v2 CLI', values.get('awsSsoLogin.cli').path === awsB);
+  }
+  {
+    const { locator, calls, values } = createLocator({ outputs: { [awsA]: 'aws-cli/1.29.62 Python/3.8.10', [awsB]: 'aws-cli/1.18.0 Python/2.7' } });
+    const cli = await locator.locate();
+    check('falls back to the first v1 CLI without v2', cli && cli.path === awsA && cli.version.major === 1);
+    check('does not cache a v1 CLI', values.get('awsSsoLogin.cli') === undefined);
+    await locator.locate();
+    check('looks again for v2 next time', calls.length === 4);
+  }
+
+  // Configured CLI
+  {
+    const { locator, calls } = createLocator({ configuredPath: awsB });
+    const cli = await locator.locate();
+    check('uses the configured path', cli.path === awsB && calls.join(',') === awsB);
+  }
+  {
+    const { locator } = createLocator({ configuredPath: 'aws2', outputs: { [path.join(binB, 'aws2')]: 'aws-cli/2.16.1' } });
+    const cli = await locator.locate();
+    check('looks up a configured command name on the PATH', cli.path === path.join(binB, 'aws2') && cli.version.text === '2.16.1');
+  }
+  {
+    const { locator } = createLocator({ configuredPath: path.join(tmpDir, 'missing', 'aws'), outputs: { [path.join(tmpDir, 'missing', 'aws')]: new Error('ENOENT') } });
+    check('does not fall back when the configured path fails', await locator.locate() === null);
+  }
+  {
+    let configuredPath;
+    const { locator, calls } = createLocator();
+    locator.getConfiguredPath = () => configuredPath;
+    await locator.locate();
+    configuredPath = awsB;
+    const cli = await locator.locate();
+    check('looks again when the setting changes', cli.path === awsB && calls.length === 2);
+  }
+  {
+    const { locator, calls } = createLocator();
+    await locator.locate();
+    await locator.invalidate();
+    await locator.locate();
+    check('looks again after invalidate', calls.length === 2);
+  }
+}
+
+run().then(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,60 @@
+const { getCompletions, getHover } = require('./aws-config-completions');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+const config = `[sso-session corp]
+sso_start_url = https://corp.awsapps.com/start
+sso_region = us-east-1
+
+[profile dev]
+sso_session = corp
+sso_account_id = 111111111111
+
+[profile deploy]
+source_profile =
+output =
+[
+`;
+
+const labels = completions => completions.map(c => c.label);
+
+// Keys
+const profileKeys = getCompletions(config, 8, 1);
+check('offers profile keys at the start of a line', labels(profileKeys).includes('sso_role_name') && profileKeys[0].kind === 'key');
+check('leaves out keys the section already has', !labels(profileKeys).includes('sso_session') && !labels(profileKeys).includes('sso_account_id'));
+check('inserts the key with an equals sign', profileKeys.find(c => c.label === 'sso_role_name').insertText === 'sso_role_name = ');
+check('documents the keys', /permission set/.test(profileKeys.find(c => c.label === 'sso_role_name').documentation));
+const sessionKeys = labels(getCompletions(config, 4, 1));
+check('offers sso-session keys in sso-sessions', sessionKeys.join(',') === 'sso_registration_scopes');
+check('offers no keys after a space', getCompletions(config, 7, 16).length === 0);
+
+// Values
+check('offers sso-sessions for sso_session', labels(getCompletions(config, 6, 15)).join(',') === 'corp');
+check('shows the start URL of sso-sessions', getCompletions(config, 6, 15)[0].detail === 'https://corp.awsapps.com/start');
+check('offers other profiles for source_profile', labels(getCompletions(config, 10, 18)).join(',') === 'dev');
+check('offers regions for sso_region', labels(getCompletions(config, 3, 14)).includes('eu-central-1'));
+check('offers the output formats', labels(getCompletions(config, 11, 10)).includes('yaml-stream'));
+
+// Section headers
+check('offers section kinds after "["', labels(getCompletions(config, 12, 2)).includes('sso-session '));
+
+// Hover
+const keyHover = getHover(config, 6, 3);
+check('documents keys on hover', keyHover && /\*\*sso_session\*\*/.test(keyHover.contents) && keyHover.column === 1 && keyHover.endColumn === 12);
+const sessionHover = getHover(config, 6, 16);
+check('shows the sso-session on hover', sessionHover && /corp\.awsapps\.com/.test(sessionHover.contents) && /us-east-1/.test(sessionHover.contents));
+check('has no hover on section headers', getHover(config, 5, 3) === undefined);
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,122 @@
+const { analyzeConfig, getQuickFixes, findClosest } = require('./aws-config-diagnostics');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * Apply quick fix edits to text. Edits are applied from the end so earlier
+ * positions stay valid.
+ */
+function applyEdits(text, edits) {
+  const lines = text.split('\n');
+  const offset = (line, column) => lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0) + column - 1;
+  const sorted = [...edits].sort((a, b) => offset(b.line, b.column) - offset(a.line, a.column));
+  let result = text;
+  for (const edit of sorted) {
+    result = result.substring(0, offset(edit.line, edit.column)) + edit.text + result.substring(offset(edit.endLine, edit.endColumn));
+  }
+  return result;
+}
+
+const config = `[sso-session corp]
+sso_start_url = https://corp.awsapps.com/start
+sso_region = us-east-1
+
+[profile complete]
+sso_session = corp
+sso_account_id = 111111111111
+sso_role_name = Admin
+
+[profile login-only]
+sso_session = corp
+
+[profile no-role]
+sso_session = corp
+sso_account_id = 111111111111
+
+[profile typo]
+sso_session = crop
+sso_account_id = 1111
+sso_role_name = Admin
+region = eu-wset-1
+
+[profile legacy]
+sso_start_url = https://legacy.awsapps.com/start
+sso_role_name = Admin
+
+[profile chained]
+role_arn = arn:aws:iam::222222222222:role/Deploy
+source_profile = complet
+
+[staging]
+region = us-east-1
+
+[profile my profile]
+region = us-east-1
+
+[sso-session broken]
+sso_region = us-east-1
+
+[profile complete]
+region = us-west-2
+
+[plugins]
+cli_legacy_plugin_path = /usr/lib
+`;
+
+const problems = analyzeConfig(config);
+const find = (code, line) => problems.find(p => p.code === code && (line === undefined || p.line === line));
+
+check('accepts complete profiles', !problems.some(p => p.line >= 1 && p.line <= 8 && p.code !== 'duplicate-section'));
+check('accepts profiles that only configure SSO login', !problems.some(p => p.line >= 10 && p.line <= 11));
+check('reports half an account/role pair', find('missing-key', 13) && find('missing-key', 13).data.key === 'sso_role_name' && find('missing-key', 13).severity === 'warning');
+
+const unknownSession = find('unknown-sso-session');
+check('reports a dangling sso_session', unknownSession && unknownSession.line === 18 && unknownSession.severity === 'error');
+check('marks the sso_session value', unknownSession && unknownSession.column === 15 && unknownSession.endColumn === 19);
+check('suggests similar sso-session names', unknownSession && unknownSession.data.candidates[0] === 'corp');
+check('reports account IDs without 12 digits', find('invalid-value', 19) && /12 digits/.test(find('invalid-value', 19).message));
+check('reports unknown regions with suggestions', find('invalid-value', 21) && find('invalid-value', 21).data.candidates[0] === 'eu-west-1');
+
+const legacyKeys = problems.filter(p => p.code === 'missing-key' && p.line === 23).map(p => p.data.key);
+check('reports every missing key of a legacy SSO profile', legacyKeys.join(',') === 'sso_region,sso_account_id');
+
+const missingSource = find('missing-source-profile');
+check('reports a dangling source_profile', missingSource && missingSource.line === 29 && missingSource.data.candidates[0] === 'complete');
+check('does not report the dangling source_profile twice', problems.filter(p => p.line === 29).length === 1);
+
+check('reports profiles without the profile prefix', find('missing-profile-prefix', 31) && find('missing-profile-prefix', 31).data.name === 'staging');
+check('reports invalid profile names', find('invalid-name', 34));
+check('reports incomplete sso-sessions as errors', find('missing-key', 37) && find('missing-key', 37).data.key === 'sso_start_url' && find('missing-key', 37).severity === 'error');
+check('reports duplicate sections', find('duplicate-section', 40) && /line 5/.test(find('duplicate-section', 40).message));
+check('accepts other sections the AWS CLI reads', !problems.some(p => p.line >= 43));
+check('reports syntax errors', analyzeConfig('[profile a]\nnot a property\n')[0].code === 'syntax');
+check('reports chains that do not resolve to SSO', analyzeConfig('[profile static]\naws_access_key_id = x\n\n[profile role]\nrole_arn = arn:aws:iam::111111111111:role/A\nsource_profile = static\n').some(p => p.code === 'no-sso-root' && p.severity === 'information'));
+
+// Quick fixes
+const fixOf = (problem, index = 0) => applyEdits(config, getQuickFixes(config, problem)[index].edits);
+
+check('adds a missing key after the section', fixOf(find('missing-key', 13)).includes('sso_account_id = 111111111111\nsso_role_name = \n\n[profile typo]'));
+check('replaces a dangling sso_session', fixOf(unknownSession).includes('[profile typo]\nsso_session = corp\n'));
+const addSession = getQuickFixes(config, unknownSession).find(fix => fix.title === 'Add [sso-session crop]');
+check('offers to add the missing sso-session', addSession && applyEdits(config, addSession.edits).endsWith('/usr/lib\n\n[sso-session crop]\nsso_start_url = \nsso_region = \n'));
+check('replaces a misspelled source_profile', fixOf(missingSource).includes('source_profile = complete\n'));
+check('replaces a misspelled region', fixOf(find('invalid-value', 21)).includes('region = eu-west-1\n'));
+check('adds the profile prefix', fixOf(find('missing-profile-prefix', 31)).includes('\n[profile staging]\nregion = us-east-1'));
+check('removes a duplicate section', !fixOf(find('duplicate-section', 40)).includes('us-west-2') && fixOf(find('duplicate-section', 40)).includes('sso_region = us-east-1\n\n[plugins]'));
+check('has no fixes for problems without one', getQuickFixes(config, find('invalid-name', 34)).length === 0);
+
+check('finds close names only', findClosest('prodution', ['production', 'dev', 'staging']).join(',') === 'production');
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
@@ -1,154 +1,167 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const {
+  tokenize,
+  parseConfigText,
+  parseRoleArn,
+  extractSsoProfiles,
+  getLoginProfileName,
+} = require('./aws-config-parser');
 
-/**
- * Parse AWS config file to extract SSO profiles
- * @returns {Object} Object with profile names as keys and profile configs as values
- */
-async function parseAwsConfig() {
-  try {
-    const configPath = path.join(os.homedir(), ".aws", "config");
-
-    if (!fs.existsSync(configPath)) {
-      console.log("AWS config file not found at:", configPath);
-      return {};
-    }
-
-    console.log("Reading AWS config file from:", configPath);
-    const configContent = fs.readFileSync(configPath, "utf8");
-    const lines = configContent.split("\n");
-
-    const sections = {};
-    let currentSection = null;
-    let currentSectionType = null;
-
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-
-      // Skip empty lines and comments
-      if (!trimmedLine || trimmedLine.startsWith("#")) {
-        continue;
-      }
-
-      // Check for section definitions
-      const profileMatch = trimmedLine.match(/^\[profile\s+(.+)\]$/);
-      const ssoSessionMatch = trimmedLine.match(/^\[sso-session\s+(.+)\]$/);
-      const genericSectionMatch = trimmedLine.match(/^\[(.+)\]$/);
-
-      if (profileMatch) {
-        currentSection = profileMatch[1];
-        currentSectionType = "profile";
-        sections[`profile ${currentSection}`] = {};
-        continue;
-      } else if (ssoSessionMatch) {
-        currentSection = ssoSessionMatch[1];
-        currentSectionType = "sso-session";
-        sections[`sso-session ${currentSection}`] = {};
-        continue;
-      } else if (genericSectionMatch && !profileMatch && !ssoSessionMatch) {
-        currentSection = genericSectionMatch[1];
-        currentSectionType = "other";
-        sections[currentSection] = {};
-        continue;
-      }
-
-      // If we're in a section, parse the key-value pairs
-      if (currentSection) {
-        const kvMatch = trimmedLine.match(/^(\S+)\s*=\s*(.+)$/);
-        if (kvMatch) {
-          const [, key, value] = kvMatch;
-          sections[`${currentSectionType === "profile" ? "profile " : currentSectionType === "sso-session" ? "sso-session " : ""}${currentSection}`][key] = value;
-        }
-      }
-    }
-
-    console.log("Parsed sections:", Object.keys(sections));
-
-    // Process profiles to handle both direct SSO config and sso-session references
-    const ssoProfiles = {};
-    
-    for (const [sectionName, config] of Object.entries(sections)) {
-      // Only process profile sections
-      if (!sectionName.startsWith("profile ")) {
-        continue;
-      }
-      
-      const profileName = sectionName.substring("profile ".length);
-      
-      // Case 1: Profile has direct SSO configuration
-      if (
-        config.sso_start_url &&
-        config.sso_region &&
-        config.sso_account_id &&
-        config.sso_role_name
-      ) {
-        ssoProfiles[profileName] = {
-          name: profileName,
-          startUrl: config.sso_start_url,
-          region: config.sso_region,
-          accountId: config.sso_account_id,
-          roleName: config.sso_role_name,
-        };
-      }
-      // Case 2: Profile references an sso-session and has account_id and role_name
-      else if (
-        config.sso_session &&
-        config.sso_account_id &&
-        config.sso_role_name
-      ) {
-        const ssoSessionName = config.sso_session;
-        const ssoSessionConfig = sections[`sso-session ${ssoSessionName}`];
-        
-        if (ssoSessionConfig && ssoSessionConfig.sso_start_url && ssoSessionConfig.sso_region) {
-          ssoProfiles[profileName] = {
-            name: profileName,
-            startUrl: ssoSessionConfig.sso_start_url,
-            region: ssoSessionConfig.sso_region,
-            accountId: config.sso_account_id,
-            roleName: config.sso_role_name,
-          };
-        }
-      }
-      // Case 3: Profile references another profile via source_profile
-      else if (config.source_profile && config.role_arn) {
-        const sourceProfileName = config.source_profile;
-        // Check if the source profile is an SSO profile we've already processed
-        if (ssoProfiles[sourceProfileName]) {
-          // We don't add this profile to ssoProfiles as it's not directly an SSO profile
-          // but we could handle it differently if needed
-        }
-      }
-    }
-    
-    console.log("SSO Profiles:", JSON.stringify(ssoProfiles, null, 2));
-
-    return ssoProfiles;
-  } catch (error) {
-    console.error("Error parsing AWS config:", error);
-    return {};
-  }
-}
+let failures = 0;
 
-// Run the test
-parseAwsConfig().then((profiles) => {
-  console.log("\n--- Test Results ---");
-  
-  // Check if the gen-ai-login profile was correctly parsed
-  if (profiles['gen-ai-login']) {
-    console.log("✅ Successfully parsed gen-ai-login profile");
-    console.log("Profile details:", profiles['gen-ai-login']);
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
   } else {
-    console.log("❌ Failed to parse gen-ai-login profile");
+    console.log(`❌ ${description}`);
+    failures++;
   }
-  
-  // Check if the gen-ai profile was correctly parsed (if it should be included)
-  if (profiles['gen-ai']) {
-    console.log("✅ Successfully parsed gen-ai profile");
-    console.log("Profile details:", profiles['gen-ai']);
-  } else {
-    console.log("ℹ️ gen-ai profile not included (expected if it's not an SSO profile)");
+}
+
+const fixture = [
+  '# Managed by hand',
+  '; semicolon comment',
+  '[default]',
+  'region = us-east-1 # inline comment',
+  'output = json',
+  '',
+  '[sso-session corp]',
+  'sso_start_url = https://corp.awsapps.com/start#/ ; portal',
+  'sso_region = us-east-1',
+  'sso_registration_scopes = sso:account:access',
+  '',
+  '[profile gen-ai-login]',
+  'sso_session = corp',
+  'sso_account_id = 123456789012',
+  'sso_role_name = GenAIDeveloper',
+  's3 =',
+  '  max_concurrent_requests = 20',
+  '  addressing_style = path',
+  '',
+  '  [profile legacy]  ; indented header',
+  'sso_start_url = https://legacy.awsapps.com/start',
+  'sso_region = eu-west-1',
+  'sso_account_id = 210987654321',
+  'sso_role_name = ReadOnly',
+  'description = first line',
+  '  second line',
+  '',
+  '[profile gen-ai]',
+  'source_profile = gen-ai-login',
+  'role_arn = arn:aws:iam::123456789012:role/GenAI',
+  '',
+  '[profile gen-ai-login]',
+  'region = us-west-2',
+  '',
+  '[profile incomplete]',
+  'sso_session = missing',
+  'sso_account_id = 111111111111',
+  'sso_role_name = Admin',
+  '',
+  'this line is not valid',
+].join('\n');
+
+const config = parseConfigText(fixture, { file: '/tmp/config' });
+
+// Tokenizer
+const tokens = tokenize('[profile a]\r\nkey=value\n# c\n');
+check('tokenizes section, property and comment', tokens.map(t => t.type).join(',') === 'section,property,comment,blank');
+check('strips carriage returns', tokens[1].value === 'value');
+
+// Sections and comments
+check('parses [default] as the default profile', config.profiles.default && config.profiles.default.properties.region.value === 'us-east-1');
+check('strips inline # comments', config.profiles.default.properties.region.value === 'us-east-1');
+check('strips inline ; comments', config.ssoSessions.corp.properties.sso_start_url.value === 'https://corp.awsapps.com/start#/');
+check('ignores comment lines', !config.sections.some(s => s.header.startsWith('#') || s.header.startsWith(';')));
+check('parses indented section headers', Boolean(config.profiles.legacy));
+
+// Continuation lines
+const s3 = config.profiles['gen-ai-login'].properties.s3;
+check('parses nested sub-properties', s3.value === '' && s3.subProperties.max_concurrent_requests.value === '20' && s3.subProperties.addressing_style.value === 'path');
+check('appends continuation lines to non-empty values', config.profiles.legacy.properties.description.value === 'first line\nsecond line');
+
+// Duplicate sections
+const genAiLogin = config.profiles['gen-ai-login'];
+check('merges duplicate sections', genAiLogin.properties.region.value === 'us-west-2' && genAiLogin.properties.sso_role_name.value === 'GenAIDeveloper');
+check('records duplicate section locations', genAiLogin.duplicates.length === 1 && genAiLogin.duplicates[0].line === 32);
+
+// Source locations
+const roleName = genAiLogin.properties.sso_role_name;
+check('records key line and column', roleName.line === 15 && roleName.column === 1 && roleName.valueColumn === 17);
+check('records section line', genAiLogin.line === 12 && genAiLogin.file === '/tmp/config');
+check('records column of indented headers', config.profiles.legacy.line === 20 && config.profiles.legacy.column === 3);
+
+// Errors
+check('reports invalid lines with location', config.errors.length === 1 && config.errors[0].line === 40);
+
+// SSO profiles
+const profiles = extractSsoProfiles(config);
+check('extracts sso-session profiles', profiles['gen-ai-login'] && profiles['gen-ai-login'].startUrl === 'https://corp.awsapps.com/start#/' && profiles['gen-ai-login'].ssoSession === 'corp');
+check('extracts legacy SSO profiles', profiles.legacy && profiles.legacy.region === 'eu-west-1');
+check('includes the source location of each profile', profiles.legacy.source.file === '/tmp/config' && profiles.legacy.source.line === 20);
+check('skips profiles referencing a missing sso-session', !profiles.incomplete);
+check('skips non-SSO profiles', !profiles.default);
+
+// Role chains
+check('parses role ARNs with paths', parseRoleArn('arn:aws-us-gov:iam::123456789012:role/team/Deploy').roleName === 'Deploy');
+check('rejects non-role ARNs', parseRoleArn('arn:aws:iam::123456789012:user/bob') === null);
+
+const genAi = profiles['gen-ai'];
+check('resolves source_profile chains', genAi && genAi.accountId === '123456789012' && genAi.roleName === 'GenAI' && genAi.startUrl === 'https://corp.awsapps.com/start#/');
+check('records the chain', genAi.chain.join(',') === 'gen-ai,gen-ai-login');
+check('logs in through the root profile', getLoginProfileName(genAi) === 'gen-ai-login' && getLoginProfileName(profiles.legacy) === 'legacy');
+
+const chainConfig = parseConfigText([
+  '[profile root]',
+  'sso_session = corp',
+  'sso_account_id = 111111111111',
+  'sso_role_name = Admin',
+  '[sso-session corp]',
+  'sso_start_url = https://corp.awsapps.com/start',
+  'sso_region = us-east-1',
+  '[profile hop2]',
+  'source_profile = hop1',
+  'role_arn = arn:aws:iam::333333333333:role/Hop2',
+  '[profile hop1]',
+  'source_profile = root',
+  'role_arn = arn:aws:iam::222222222222:role/Hop1',
+  '[profile loop-a]',
+  'source_profile = loop-b',
+  'role_arn = arn:aws:iam::444444444444:role/A',
+  '[profile loop-b]',
+  'source_profile = loop-a',
+  'role_arn = arn:aws:iam::555555555555:role/B',
+  '[profile dangling]',
+  'source_profile = nowhere',
+  'role_arn = arn:aws:iam::666666666666:role/D',
+  '[profile static]',
+  'aws_access_key_id = AKIAEXAMPLE',
+  '[profile from-static]',
+  'source_profile = static',
+  'role_arn = arn:aws:iam::777777777777:role/S',
+].join('\n'), { file: '/tmp/chains' });
+const problems = [];
+const chained = extractSsoProfiles(chainConfig, problems);
+check('resolves multi-hop chains defined out of order', chained.hop2 && chained.hop2.chain.join(',') === 'hop2,hop1,root' && chained.hop2.accountId === '333333333333');
+check('chained profiles inherit the root sso-session', chained.hop2.ssoSession === 'corp' && chained.hop2.region === 'us-east-1');
+check('drops profiles in a cycle', !chained['loop-a'] && !chained['loop-b']);
+check('reports the cycle once', problems.filter(p => p.message.includes('cycle')).length === 1);
+check('reports missing source profiles with location', problems.some(p => p.message.includes('"nowhere"') && p.line === 21 && p.column === 18));
+check('reports chains without an SSO root', !chained['from-static'] && problems.some(p => p.message.includes('"from-static"')));
+
+// Parse the local AWS config as a smoke test, if there is one
+const configPath = path.join(os.homedir(), '.aws', 'config');
+if (fs.existsSync(configPath)) {
+  const local = parseConfigText(fs.readFileSync(configPath, 'utf8'), { file: configPath });
+  console.log('Local SSO profiles:', Object.keys(extractSsoProfiles(local)));
+  for (const error of local.errors) {
+    console.log(`ℹ️ ${configPath}:${error.line}:${error.column}: ${error.message}`);
   }
-  
-  console.log("Test completed");
-});
+}
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
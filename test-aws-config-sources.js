@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  expandHome,
+  getDefaultConfigSource,
+  resolveConfigSources,
+  readConfigSources,
+  mergeSsoProfiles,
+} = require('./aws-config-sources');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+function ssoProfile(name, accountId) {
+  return [
+    `[profile ${name}]`,
+    'sso_start_url = https://example.awsapps.com/start',
+    'sso_region = us-east-1',
+    `sso_account_id = ${accountId}`,
+    'sso_role_name = Developer',
+    '',
+  ].join('\n');
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-config-sources-'));
+
+try {
+  const workspace = path.join(tempDir, 'workspace');
+  fs.mkdirSync(path.join(workspace, '.aws'), { recursive: true });
+
+  const primary = path.join(tempDir, 'primary.config');
+  const client = path.join(tempDir, 'client.config');
+  const repo = path.join(workspace, '.aws', 'config');
+  fs.writeFileSync(primary, ssoProfile('shared', '111111111111') + ssoProfile('primary-only', '222222222222'));
+  fs.writeFileSync(client, ssoProfile('shared', '333333333333') + ssoProfile('client-only', '444444444444'));
+  fs.writeFileSync(repo, ssoProfile('client-only', '555555555555') + ssoProfile('repo-only', '666666666666'));
+
+  // Default source
+  check('expands ~', expandHome('~/x') === path.join(os.homedir(), 'x'));
+  check('defaults to ~/.aws/config', getDefaultConfigSource({}).file === path.join(os.homedir(), '.aws', 'config'));
+  const fromEnv = getDefaultConfigSource({ AWS_CONFIG_FILE: primary });
+  check('honors AWS_CONFIG_FILE', fromEnv.file === primary && fromEnv.origin === 'AWS_CONFIG_FILE');
+
+  // Source resolution
+  const sources = resolveConfigSources({
+    env: { AWS_CONFIG_FILE: primary },
+    extraFiles: [client, '.aws/config', '${workspaceFolder}/.aws/config', 'missing.config', ''],
+    workspaceFolders: [workspace],
+  });
+  check('resolves sources in precedence order', sources.map(s => s.file).join('|') === [primary, client, repo, path.join(workspace, 'missing.config')].join('|'));
+  check('removes duplicate files', sources.filter(s => s.file === repo).length === 1);
+  check('ignores relative paths without a workspace', resolveConfigSources({ env: {}, extraFiles: ['.aws/config'] }).length === 1);
+
+  // Reading and merging
+  const configs = readConfigSources(sources);
+  check('skips missing files', configs.length === 3);
+
+  const directory = path.join(tempDir, 'config.d');
+  fs.mkdirSync(directory);
+  const readErrors = [];
+  const withDirectory = readConfigSources([{ file: directory, origin: 'setting' }, { file: primary, origin: 'AWS_CONFIG_FILE' }], readErrors);
+  check('skips files that cannot be read', withDirectory.length === 1 && withDirectory[0].file === primary);
+  check('reports files that cannot be read', readErrors.length === 1 && readErrors[0].file === directory && readErrors[0].line === 1 && readErrors[0].column === 1 && /EISDIR/.test(readErrors[0].message));
+
+  const profiles = mergeSsoProfiles(configs);
+  check('first source wins for duplicate profiles', profiles.shared.accountId === '111111111111' && profiles.shared.source.file === primary);
+  check('settings files override later settings files', profiles['client-only'].accountId === '444444444444');
+  check('includes profiles from every source', Boolean(profiles['primary-only'] && profiles['repo-only']));
+  check('records the source file of each profile', profiles['repo-only'].source.file === repo && profiles['repo-only'].source.line === 6);
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
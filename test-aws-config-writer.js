@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  formatSectionHeader,
+  updateConfigSection,
+  removeConfigSection,
+  editConfigFile,
+} = require('./aws-config-writer');
+const { parseConfigText, getValue } = require('./aws-config-parser');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+const config = `# Shared settings
+[default]
+region = eu-west-1
+
+# Development account
+[profile dev]
+sso_start_url = https://example.awsapps.com/start
+sso_region = us-east-1 # the SSO region
+sso_account_id = 111111111111
+sso_role_name = ReadOnly
+region = eu-west-1
+s3 =
+  max_concurrent_requests = 20
+
+[profile prod]
+sso_session = corp
+sso_account_id = 222222222222
+sso_role_name = Admin
+`;
+
+check('formats the default profile header', formatSectionHeader('profile', 'default') === '[default]');
+check('formats named section headers', formatSectionHeader('sso-session', 'corp') === '[sso-session corp]');
+
+// Updating keys in place
+const updated = updateConfigSection(config, {
+  kind: 'profile',
+  name: 'dev',
+  properties: { sso_role_name: 'Admin', sso_account_id: '333333333333' },
+});
+check('changes values on their own line', updated.includes('sso_account_id = 333333333333\nsso_role_name = Admin\nregion = eu-west-1'));
+check('keeps comments and other sections', updated.startsWith('# Shared settings\n[default]') && updated.includes('# Development account\n[profile dev]') && updated.includes('[profile prod]\nsso_session = corp'));
+check('keeps untouched keys with their comments', updated.includes('sso_region = us-east-1 # the SSO region') && updated.includes('s3 =\n  max_concurrent_requests = 20'));
+check('changes only the edited lines', updated.split('\n').length === config.split('\n').length);
+
+// Switching a profile to an sso-session
+const switched = updateConfigSection(config, {
+  kind: 'profile',
+  name: 'dev',
+  properties: { sso_session: 'corp', sso_start_url: null, sso_region: null },
+});
+const dev = parseConfigText(switched).profiles.dev;
+check('removes keys set to an empty value', !getValue(dev, 'sso_start_url') && !getValue(dev, 'sso_region'));
+check('adds new keys after the last key of the section', switched.includes('  max_concurrent_requests = 20\nsso_session = corp\n\n[profile prod]'));
+
+// Removing a key with sub-properties
+const withoutS3 = updateConfigSection(config, { kind: 'profile', name: 'dev', properties: { s3: null } });
+check('removes the indented lines of a removed key', !withoutS3.includes('max_concurrent_requests'));
+
+// Renaming
+const renamed = updateConfigSection(config, { kind: 'profile', name: 'dev', newName: 'development', properties: {} });
+check('renames a section in place', renamed.includes('# Development account\n[profile development]') && !renamed.includes('[profile dev]'));
+check('renames to the default profile header', updateConfigSection(config, { kind: 'profile', name: 'prod', newName: 'default', properties: {} }).includes('[default]\nsso_session = corp'));
+
+// Duplicate sections
+const duplicated = `${config}
+[profile dev]
+sso_role_name = Duplicate
+`;
+const deduplicated = updateConfigSection(duplicated, { kind: 'profile', name: 'dev', properties: { sso_role_name: 'Admin' } });
+check('drops later duplicates of an updated key', !deduplicated.includes('Duplicate') && getValue(parseConfigText(deduplicated).profiles.dev, 'sso_role_name') === 'Admin');
+
+// Creating sections
+const created = updateConfigSection(config, {
+  kind: 'sso-session',
+  name: 'corp',
+  properties: { sso_start_url: 'https://corp.awsapps.com/start', sso_region: 'us-east-1', sso_registration_scopes: null },
+});
+check('appends a missing section', created.startsWith(config) && created.endsWith('\n[sso-session corp]\nsso_start_url = https://corp.awsapps.com/start\nsso_region = us-east-1\n'));
+check('creates content for an empty file', updateConfigSection('', { kind: 'profile', name: 'dev', properties: { region: 'us-east-1' } }) === '[profile dev]\nregion = us-east-1\n');
+
+// Removing sections
+const removed = removeConfigSection(config, 'profile', 'dev');
+check('removes a section', !removed.includes('[profile dev]') && !removed.includes('sso_account_id = 111111111111') && !removed.includes('max_concurrent_requests'));
+check('removes the comment directly above the section', !removed.includes('# Development account'));
+check('keeps the comments of other sections', removed.startsWith('# Shared settings\n[default]\nregion = eu-west-1\n\n[profile prod]'));
+check('removes every occurrence of a duplicated section', !removeConfigSection(duplicated, 'profile', 'dev').includes('Duplicate'));
+check('ignores sections that do not exist', removeConfigSection(config, 'profile', 'missing') === config);
+check('removes the last section', removeConfigSection(config, 'profile', 'prod').endsWith('  max_concurrent_requests = 20\n'));
+
+// Line endings
+const crlf = updateConfigSection(config.replace(/\n/g, '\r\n'), { kind: 'profile', name: 'dev', properties: { sso_role_name: 'Admin', sso_session: 'corp' } });
+check('keeps Windows line endings', crlf.includes('sso_role_name = Admin\r\n') && !/[^\r]\n/.test(crlf));
+
+// Writing files
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-config-writer-'));
+try {
+  const filePath = path.join(dir, 'config');
+  fs.writeFileSync(filePath, config, { mode: 0o644 });
+  check('reports an edit that changes the file', editConfigFile(filePath, text => removeConfigSection(text, 'profile', 'prod')) === true);
+  check('writes the edited content', !fs.readFileSync(filePath, 'utf8').includes('[profile prod]'));
+  check('reports an edit that changes nothing', editConfigFile(filePath, text => text) === false);
+  check('leaves no temporary files behind', fs.readdirSync(dir).length === 1);
+  if (process.platform !== 'win32') {
+    check('keeps the file permissions', (fs.statSync(filePath).mode & 0o777) === 0o644);
+  }
+
+  const newPath = path.join(dir, 'nested', 'config');
+  editConfigFile(newPath, text => updateConfigSection(text, { kind: 'profile', name: 'dev', properties: { region: 'us-east-1' } }));
+  check('creates a missing file', fs.readFileSync(newPath, 'utf8') === '[profile dev]\nregion = us-east-1\n');
+
+  // Dotfile setups link ~/.aws/config to a file in a repository
+  if (process.platform !== 'win32') {
+    const dotfiles = path.join(dir, 'dotfiles');
+    fs.mkdirSync(dotfiles);
+    const realPath = path.join(dotfiles, 'aws-config');
+    const linkPath = path.join(dir, 'linked-config');
+    fs.writeFileSync(realPath, config);
+    fs.symlinkSync(realPath, linkPath);
+    editConfigFile(linkPath, text => removeConfigSection(text, 'profile', 'prod'));
+    check('keeps a symlinked config file a symlink', fs.lstatSync(linkPath).isSymbolicLink() && fs.readlinkSync(linkPath) === realPath);
+    check('edits the file the symlink points to', !fs.readFileSync(realPath, 'utf8').includes('[profile prod]'));
+    check('leaves no temporary files next to the target', fs.readdirSync(dotfiles).join(',') === 'aws-config');
+  }
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
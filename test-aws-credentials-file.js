@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  getCredentialsFilePath,
+  upsertCredentialsSection,
+  removeCredentialsSection,
+  writeCredentialsSection,
+  deleteCredentialsSection,
+} = require('./aws-credentials-file');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+const credentials = {
+  accessKeyId: 'ASIANEW',
+  secretAccessKey: 'new-secret',
+  sessionToken: 'new-token',
+  expiration: new Date('2030-01-01T08:00:00Z'),
+};
+
+const existing = `# Static keys, do not touch
+[default]
+aws_access_key_id = AKIADEFAULT
+aws_secret_access_key = default-secret
+
+[dev]
+aws_access_key_id = ASIAOLD
+aws_secret_access_key = old-secret
+aws_session_token = old-token
+
+# Production keys below
+[prod]
+aws_access_key_id = AKIAPROD
+aws_secret_access_key = prod-secret
+`;
+
+// Replacing an existing section
+const replaced = upsertCredentialsSection(existing, 'dev', credentials);
+check('replaces the keys of the existing section', replaced.includes('aws_access_key_id = ASIANEW') && !replaced.includes('ASIAOLD'));
+check('records when the credentials expire', replaced.includes('# Written by AWS SSO Login, expires 2030-01-01T08:00:00.000Z'));
+const withoutExpiration = upsertCredentialsSection('', 'dev', { ...credentials, expiration: null });
+check('marks sections without an expiration too', withoutExpiration.split('\n')[1] === '# Written by AWS SSO Login');
+check('removes sections written without an expiration', !removeCredentialsSection(withoutExpiration, 'dev').includes('[dev]'));
+check('keeps other sections', replaced.includes('AKIADEFAULT') && replaced.includes('AKIAPROD'));
+check('keeps comments of neighbouring sections', replaced.includes('# Static keys, do not touch') && replaced.includes('# Production keys below\n[prod]'));
+check('keeps the section in place', replaced.indexOf('[default]') < replaced.indexOf('[dev]') && replaced.indexOf('[dev]') < replaced.indexOf('[prod]'));
+
+// Appending a new section
+const appended = upsertCredentialsSection(existing, 'staging', credentials);
+check('appends a missing section at the end', appended.trimEnd().endsWith('aws_session_token = new-token') && appended.indexOf('[staging]') > appended.indexOf('[prod]'));
+check('separates an appended section with a blank line', appended.includes('prod-secret\n\n[staging]'));
+check('creates content for an empty file', upsertCredentialsSection('', 'dev', credentials).startsWith('[dev]\n'));
+
+// Duplicate sections are collapsed
+const duplicated = `${existing}
+[dev]
+aws_access_key_id = ASIADUPLICATE
+aws_secret_access_key = duplicate-secret
+`;
+const deduplicated = upsertCredentialsSection(duplicated, 'dev', credentials);
+check('removes duplicate occurrences of the section', deduplicated.split('[dev]').length === 2 && !deduplicated.includes('ASIADUPLICATE'));
+
+// Line endings
+const crlf = upsertCredentialsSection(existing.replace(/\n/g, '\r\n'), 'dev', credentials);
+check('keeps Windows line endings', crlf.includes('[dev]\r\n') && !/[^\r]\n/.test(crlf));
+
+// Removing sections
+const removed = removeCredentialsSection(replaced, 'dev');
+check('removes a section it wrote', !removed.includes('[dev]') && !removed.includes('ASIANEW'));
+check('keeps the sections around a removed one', removed.includes('AKIADEFAULT') && removed.includes('# Production keys below\n[prod]'));
+check('leaves one blank line between the remaining sections', removed.includes('default-secret\n\n# Production keys below'));
+check('keeps sections added by hand', removeCredentialsSection(existing, 'dev') === existing);
+
+// Credentials file location
+check('honors AWS_SHARED_CREDENTIALS_FILE', getCredentialsFilePath({ AWS_SHARED_CREDENTIALS_FILE: '/tmp/creds' }) === path.resolve('/tmp/creds'));
+check('defaults to ~/.aws/credentials', getCredentialsFilePath({}) === path.join(os.homedir(), '.aws', 'credentials'));
+
+// Writing the file
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-credentials-'));
+try {
+  const filePath = path.join(dir, 'nested', 'credentials');
+  writeCredentialsSection('dev', credentials, filePath);
+  writeCredentialsSection('prod', { ...credentials, accessKeyId: 'ASIAPROD' }, filePath);
+  const written = fs.readFileSync(filePath, 'utf8');
+  check('writes sections to a new file', written.includes('[dev]') && written.includes('ASIAPROD'));
+  check('leaves no temporary files behind', fs.readdirSync(path.dirname(filePath)).length === 1);
+  check('deletes a written section from the file', deleteCredentialsSection('dev', filePath) && !fs.readFileSync(filePath, 'utf8').includes('[dev]'));
+  check('reports when there was nothing to delete', !deleteCredentialsSection('dev', filePath) && !deleteCredentialsSection('dev', path.join(dir, 'missing')));
+  if (process.platform !== 'win32') {
+    check('writes the file for the current user only', (fs.statSync(filePath).mode & 0o777) === 0o600);
+
+    const realPath = path.join(dir, 'dotfiles-credentials');
+    const linkPath = path.join(dir, 'linked-credentials');
+    fs.writeFileSync(realPath, '');
+    fs.symlinkSync(realPath, linkPath);
+    writeCredentialsSection('dev', credentials, linkPath);
+    check('keeps a symlinked credentials file a symlink', fs.lstatSync(linkPath).isSymbolicLink() && fs.readFileSync(realPath, 'utf8').includes('[dev]'));
+    deleteCredentialsSection('dev', linkPath);
+    check('deletes sections through the symlink', fs.lstatSync(linkPath).isSymbolicLink() && !fs.readFileSync(realPath, 'utf8').includes('[dev]'));
+  }
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,73 @@
+const { groupProfilesByIdentity, runBatchLogin, summarizeBatchResults } = require('./batch-login');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+const corpUrl = 'https://corp.awsapps.com/start';
+const profiles = [
+  { name: 'dev', startUrl: corpUrl, ssoSession: 'corp', accountId: '111111111111', roleName: 'Admin' },
+  { name: 'legacy', startUrl: 'https://legacy.awsapps.com/start', accountId: '222222222222', roleName: 'Admin' },
+  { name: 'deploy', startUrl: corpUrl, ssoSession: 'corp', chain: ['deploy', 'prod'], roleArn: 'arn:aws:iam::333333333333:role/Deploy' },
+  { name: 'prod', startUrl: corpUrl, ssoSession: 'corp', accountId: '333333333333', roleName: 'ReadOnly' },
+  { name: 'old-corp', startUrl: corpUrl, accountId: '444444444444', roleName: 'Admin' },
+];
+const byName = name => profiles.find(p => p.name === name);
+
+async function run() {
+  const groups = groupProfilesByIdentity([...profiles, byName('dev')]);
+  check('groups profiles by sso-session or start URL', groups.map(g => g.profiles.map(p => p.name).join('+')).join(',') === 'dev+deploy+prod,legacy,old-corp');
+
+  // One login per identity
+  const logins = [];
+  const progress = [];
+  const results = await runBatchLogin(profiles, {
+    login: async profile => {
+      logins.push(profile.name);
+      return profile.name !== 'legacy';
+    },
+    onResult: (groupResults, index, total) => progress.push(`${index + 1}/${total}:${groupResults.length}`),
+  });
+  check('logs in once per identity', logins.join(',') === 'dev,legacy,old-corp');
+  check('reports a result for every profile', results.map(r => `${r.profile.name}=${r.status}`).join(',') === 'dev=success,deploy=success,prod=success,legacy=failed,old-corp=success');
+  check('records the profile that was logged in with', results.find(r => r.profile.name === 'prod').loginProfile.name === 'dev');
+  check('reports progress per identity', progress.join(',') === '1/3:3,2/3:1,3/3:1');
+
+  // Chained profiles log in through a direct SSO profile of the same identity
+  const chained = [];
+  await runBatchLogin([byName('deploy'), byName('prod')], { login: async profile => chained.push(profile.name) });
+  check('prefers profiles without a role chain', chained.join(',') === 'prod');
+
+  // Errors and cancellation
+  let cancelled = false;
+  const stopped = await runBatchLogin(profiles, {
+    login: async profile => {
+      if (profile.name === 'dev') {
+        throw new Error('boom');
+      }
+      cancelled = true;
+      return false;
+    },
+    isCancelled: () => cancelled,
+  });
+  check('turns login errors into failures', stopped[0].status === 'failed' && stopped[0].error.message === 'boom');
+  check('reports the login cancelled from the notification as cancelled', stopped.find(r => r.profile.name === 'legacy').status === 'cancelled');
+  check('skips the remaining logins after cancellation', stopped.find(r => r.profile.name === 'old-corp').status === 'cancelled');
+
+  check('summarizes the results', summarizeBatchResults(results) === 'Logged in: dev, deploy, prod, old-corp. Failed: legacy.');
+  check('summarizes cancelled logins', summarizeBatchResults(stopped) === 'Failed: dev, deploy, prod. Cancelled: legacy, old-corp.');
+}
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { classifyCliError, isTransientError } = require('./cli-errors');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+// Every sample in fixtures/cli-errors/<kind>/ must be classified as <kind>
+const fixturesDir = path.join(__dirname, 'fixtures', 'cli-errors');
+for (const kind of fs.readdirSync(fixturesDir).sort()) {
+  for (const file of fs.readdirSync(path.join(fixturesDir, kind)).sort()) {
+    const stderr = fs.readFileSync(path.join(fixturesDir, kind, file), 'utf8');
+    const error = classifyCliError(stderr, 255);
+    check(`classifies ${kind}/${file}`, error.kind === kind && error.message.length > 0);
+  }
+}
+
+const read = (kind, file) => fs.readFileSync(path.join(fixturesDir, kind, file), 'utf8');
+
+// Messages and remediations
+const missingProfile = classifyCliError(read('missing-profile', 'config-profile.txt'));
+check('names the missing profile', /"dev"/.test(missingProfile.message) && missingProfile.remediation === 'openConfig');
+const wrongRegion = classifyCliError(read('wrong-region', 'unknown-region-endpoint.txt'));
+check('names the wrong region and opens sso_region', /"us-east-7"/.test(wrongRegion.message) && wrongRegion.key === 'sso_region');
+check('opens sso_start_url for rejected start URLs', classifyCliError(read('invalid-start-url', 'start-device-authorization.txt')).key === 'sso_start_url');
+check('names the missing sso-session', /"corp"/.test(classifyCliError(read('missing-sso-session', 'sso-session.txt')).message));
+check('lists the missing settings', /sso_start_url, sso_region/.test(classifyCliError(read('incomplete-profile', 'missing-values.txt')).message));
+check('offers to clear an expired registration', classifyCliError(read('expired-registration', 'create-token.txt')).remediation === 'clearCache');
+check('offers to install CLI version 2', classifyCliError(read('cli-v1', 'invalid-choice.txt')).remediation === 'installCli');
+check('explains proxy errors', /HTTPS_PROXY/.test(classifyCliError(read('proxy-tls', 'proxy-connection.txt')).message));
+check('explains TLS inspection', /AWS_CA_BUNDLE/.test(classifyCliError(read('proxy-tls', 'certificate-verify-failed.txt')).message));
+check('offers to log in again for expired sessions', classifyCliError(read('session-expired', 'export-credentials.txt')).remediation === 'login');
+
+// Retry
+check('retries network errors', classifyCliError(read('network', 'endpoint.txt')).retryable);
+check('does not retry clock skew', classifyCliError(read('clock-skew', 'signature-expired.txt')).retryable === false);
+check('does not retry configuration errors', !classifyCliError(read('wrong-region', 'invalid-format.txt')).retryable);
+
+// Unknown errors
+const unknown = classifyCliError(read('unknown', 'forbidden.txt'));
+check('shows the last line of unknown errors', unknown.message === 'An error occurred (ForbiddenException) when calling the GetRoleCredentials operation: No access');
+check('keeps the CLI message as detail', classifyCliError(read('network', 'endpoint.txt')).detail.startsWith('Could not connect'));
+check('falls back to the exit code without output', classifyCliError('', 2).message === 'AWS CLI exited with code 2');
+
+check('classifies throttling as transient', isTransientError('An error occurred (TooManyRequestsException)'));
+check('classifies access errors as permanent', !isTransientError('An error occurred (UnauthorizedException): Session token not found or invalid'));
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,123 @@
+const http = require('http');
+const {
+  getPartitionEndpoints,
+  getConsoleDestination,
+  buildLoginUrl,
+  createConsoleLoginUrl,
+} = require('./console-federation');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+const credentials = {
+  accessKeyId: 'ASIAEXAMPLE',
+  secretAccessKey: 'secret+key/with=chars',
+  sessionToken: 'session-token',
+};
+
+/**
+ * Local stand-in for the federation endpoint. Only the session of the
+ * credentials above gets a sign-in token.
+ */
+function startMockFederationServer() {
+  const state = { requests: [] };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    state.requests.push(url);
+
+    let session;
+    try {
+      session = JSON.parse(url.searchParams.get('Session'));
+    } catch (error) {
+      session = null;
+    }
+
+    if (url.pathname !== '/federation' || url.searchParams.get('Action') !== 'getSigninToken') {
+      res.writeHead(404);
+      res.end();
+    } else if (!session || session.sessionId !== credentials.accessKeyId || session.sessionKey !== credentials.secretAccessKey || session.sessionToken !== credentials.sessionToken) {
+      res.writeHead(400, { 'Content-Type': 'text/html' });
+      res.end('<html><body>Bad Request</body></html>');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ SigninToken: 'token+with/special=chars' }));
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      state.endpoint = `http://127.0.0.1:${server.address().port}/federation`;
+      state.close = () => new Promise(done => server.close(done));
+      resolve(state);
+    });
+  });
+}
+
+async function run() {
+  // Partitions and destinations
+  check('uses the standard partition by default', getPartitionEndpoints('eu-west-1').federationEndpoint === 'https://signin.aws.amazon.com/federation');
+  check('uses the GovCloud partition', getPartitionEndpoints('us-gov-west-1').consoleUrl === 'https://console.amazonaws-us-gov.com');
+  check('uses the China partition', getPartitionEndpoints('cn-north-1').federationEndpoint === 'https://signin.amazonaws.cn/federation');
+  check('opens the console home without a service', getConsoleDestination('https://console.aws.amazon.com') === 'https://console.aws.amazon.com/console/home');
+  check('opens a service in a region', getConsoleDestination('https://console.aws.amazon.com', { service: 's3', region: 'eu-west-1' }) === 'https://console.aws.amazon.com/s3/home?region=eu-west-1');
+  check('keeps nested service paths', getConsoleDestination('https://console.aws.amazon.com/', { service: '/systems-manager/parameters/' }) === 'https://console.aws.amazon.com/systems-manager/parameters/home');
+
+  const loginUrl = new URL(buildLoginUrl('https://signin.aws.amazon.com/federation', 'a+b/c=', 'https://console.aws.amazon.com/s3/home?region=eu-west-1', 'https://corp.awsapps.com/start'));
+  check('builds the login action', loginUrl.searchParams.get('Action') === 'login');
+  check('encodes the sign-in token', loginUrl.searchParams.get('SigninToken') === 'a+b/c=');
+  check('encodes the destination', loginUrl.searchParams.get('Destination') === 'https://console.aws.amazon.com/s3/home?region=eu-west-1');
+  check('sets the issuer', loginUrl.searchParams.get('Issuer') === 'https://corp.awsapps.com/start');
+  check('leaves out a missing issuer', !buildLoginUrl('https://signin.aws.amazon.com/federation', 't', 'https://console.aws.amazon.com/console/home').includes('Issuer'));
+
+  // Sign-in against the local stand-in
+  const server = await startMockFederationServer();
+  try {
+    const url = new URL(await createConsoleLoginUrl(credentials, {
+      partitionRegion: 'us-east-1',
+      service: 'cloudwatch',
+      region: 'eu-central-1',
+      issuer: 'https://corp.awsapps.com/start',
+      federationEndpoint: `${server.endpoint}/`,
+    }));
+    const session = JSON.parse(server.requests[0].searchParams.get('Session'));
+    check('sends the credentials as the session', session.sessionId === 'ASIAEXAMPLE' && session.sessionKey === 'secret+key/with=chars' && session.sessionToken === 'session-token');
+    check('logs in through the configured endpoint', url.origin + url.pathname === server.endpoint);
+    check('logs in with the sign-in token', url.searchParams.get('SigninToken') === 'token+with/special=chars');
+    check('lands on the requested service', url.searchParams.get('Destination') === 'https://console.aws.amazon.com/cloudwatch/home?region=eu-central-1');
+
+    let rejected;
+    try {
+      await createConsoleLoginUrl({ ...credentials, sessionToken: 'expired' }, { federationEndpoint: server.endpoint });
+    } catch (error) {
+      rejected = error;
+    }
+    check('explains rejected credentials', rejected && rejected.message === 'The federation endpoint rejected the role credentials (HTTP 400)');
+
+    let longTerm;
+    server.requests.length = 0;
+    try {
+      await createConsoleLoginUrl({ accessKeyId: 'AKIAEXAMPLE', secretAccessKey: 'secret' }, { federationEndpoint: server.endpoint });
+    } catch (error) {
+      longTerm = error;
+    }
+    check('refuses credentials without a session token', longTerm && /session token/.test(longTerm.message) && server.requests.length === 0);
+  } finally {
+    await server.close();
+  }
+}
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,155 @@
+const { createExtensionApi } = require('./extension-api');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+const profiles = [
+  { name: 'dev', startUrl: 'https://corp.awsapps.com/start', region: 'us-east-1', ssoSession: 'corp', accountId: '111111111111', roleName: 'Admin', source: { file: '/home/me/.aws/config', line: 5 } },
+  { name: 'prod', startUrl: 'https://corp.awsapps.com/start', region: 'us-east-1', ssoSession: 'corp', accountId: '222222222222', roleName: 'Admin', source: { file: '/home/me/.aws/config', line: 10 } },
+  { name: 'other', startUrl: 'https://other.awsapps.com/start', region: 'eu-west-1', accountId: '333333333333', roleName: 'ReadOnly' },
+];
+
+const expiresAt = new Date('2030-01-01T00:00:00Z');
+const loggedIn = new Set(['https://other.awsapps.com/start']);
+const logins = [];
+let loginResult = true;
+
+const api = createExtensionApi({
+  getProfiles: async () => profiles,
+  getTokenStatus: profile => loggedIn.has(profile.startUrl)
+    ? { expired: false, expiresAt }
+    : { expired: true, expiresAt: null },
+  login: async profile => {
+    logins.push(profile.name);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    if (loginResult) {
+      loggedIn.add(profile.startUrl);
+    }
+    return loginResult;
+  },
+  authorizeCredentials: async () => true,
+  resolveCredentials: async profile => profile.name === 'prod'
+    ? null
+    : { accessKeyId: 'AKIA', secretAccessKey: 'secret', sessionToken: 'token', expiration: expiresAt, internal: true },
+  onDidChangeSession: () => ({ dispose() {} }),
+  onDidChangeLoginState: () => ({ dispose() {} }),
+});
+
+async function run() {
+  check('exposes the API version', api.apiVersion === 1);
+  check('cannot be modified by other extensions', Object.isFrozen(api));
+  check('exposes the events', typeof api.onDidChangeSession === 'function' && typeof api.onDidChangeLoginState === 'function');
+
+  const publicProfiles = await api.getProfiles();
+  check('lists the profiles', publicProfiles.map(p => p.name).join(',') === 'dev,prod,other');
+  check('includes the file a profile comes from', publicProfiles[0].file === '/home/me/.aws/config' && publicProfiles[2].file === undefined);
+  check('does not expose internal fields', publicProfiles[0].source === undefined);
+
+  const session = await api.getSession('other');
+  check('reports the session of a profile', session.loggedIn && session.expiresAt === expiresAt);
+  check('reports missing sessions', (await api.getSession('dev')).loggedIn === false);
+
+  try {
+    await api.ensureLoggedIn('missing');
+    check('rejects unknown profiles', false);
+  } catch (error) {
+    check('rejects unknown profiles', /not found: missing/.test(error.message));
+  }
+
+  // Login
+  check('does not log in with a valid token', (await api.ensureLoggedIn('other')) === true && logins.length === 0);
+  loginResult = false;
+  check('reports failed logins', (await api.ensureLoggedIn('dev')) === false);
+  try {
+    await api.getCredentials('dev');
+    check('rejects credentials without a session', false);
+  } catch (error) {
+    check('rejects credentials without a session', /Not logged in/.test(error.message));
+  }
+
+  loginResult = true;
+  logins.length = 0;
+  const results = await Promise.all([api.ensureLoggedIn('dev'), api.ensureLoggedIn('prod')]);
+  check('shares one login between profiles of the same identity', results.every(Boolean) && logins.join(',') === 'dev');
+
+  // Credentials
+  const credentials = await api.getCredentials('dev');
+  check('returns role credentials', credentials.accessKeyId === 'AKIA' && credentials.sessionToken === 'token' && credentials.expiration === expiresAt);
+  check('returns only the documented credential fields', credentials.internal === undefined);
+  try {
+    await api.getCredentials('prod');
+    check('rejects when credentials cannot be resolved', false);
+  } catch (error) {
+    check('rejects when credentials cannot be resolved', /Could not get credentials/.test(error.message));
+  }
+
+  // Protected profiles
+  {
+    const sessions = new Map([['https://corp.awsapps.com/start', expiresAt]]);
+    const prompts = [];
+    const loginOptions = [];
+    const resolved = [];
+    let answer = false;
+    const protectedApi = createExtensionApi({
+      getProfiles: async () => profiles,
+      getTokenStatus: profile => sessions.has(profile.startUrl)
+        ? { expired: false, expiresAt: sessions.get(profile.startUrl) }
+        : { expired: true, expiresAt: null },
+      login: async (profile, options) => {
+        loginOptions.push(options);
+        sessions.set(profile.startUrl, new Date('2030-01-02T00:00:00Z'));
+        return true;
+      },
+      // prod is protected: the user has to confirm each new session
+      authorizeCredentials: async (profile, allowed) => {
+        if (profile.name !== 'prod' || allowed) {
+          return true;
+        }
+        prompts.push(profile.name);
+        return answer;
+      },
+      resolveCredentials: async profile => {
+        resolved.push(profile.name);
+        return { accessKeyId: 'AKIA', secretAccessKey: 'secret', sessionToken: 'token', expiration: expiresAt };
+      },
+      onDidChangeSession: () => ({ dispose() {} }),
+      onDidChangeLoginState: () => ({ dispose() {} }),
+    });
+
+    try {
+      await protectedApi.getCredentials('prod');
+      check('refuses credentials the user did not allow', false);
+    } catch (error) {
+      check('refuses credentials the user did not allow', /not allowed/.test(error.message) && prompts.length === 1 && resolved.length === 0);
+    }
+
+    answer = true;
+    await protectedApi.getCredentials('prod');
+    await protectedApi.getCredentials('prod');
+    check('asks once per session for protected profiles', prompts.length === 2 && resolved.join(',') === 'prod,prod');
+    await protectedApi.getCredentials('dev');
+    check('does not ask for other profiles', prompts.length === 2);
+
+    sessions.delete('https://corp.awsapps.com/start');
+    await protectedApi.getCredentials('prod');
+    check('asks again for a new session', prompts.length === 3);
+    check('does not ask again while logging in', loginOptions.length === 1 && loginOptions[0].confirmed === true);
+    await protectedApi.getCredentials('prod');
+    check('remembers the session it logged in to', prompts.length === 3);
+  }
+}
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
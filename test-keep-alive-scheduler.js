@@ -0,0 +1,172 @@
+const { KeepAliveScheduler, STATE_KEY, RECHECK_INTERVAL_MS } = require('./keep-alive-scheduler');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * Manually advanced clock; timers only fire from advance()
+ */
+function createFakeClock(start) {
+  let current = start;
+  let nextId = 1;
+  const timers = new Map();
+  return {
+    now: () => current,
+    setTimeout: (callback, ms) => {
+      const id = nextId++;
+      timers.set(id, { callback, at: current + ms });
+      return id;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    pendingTimers: () => timers.size,
+    async advance(ms) {
+      const target = current + ms;
+      for (;;) {
+        const due = [...timers.entries()]
+          .filter(([, timer]) => timer.at <= target)
+          .sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) {
+          break;
+        }
+        timers.delete(due[0]);
+        current = due[1].at;
+        await due[1].callback();
+        // Let async schedule() calls settle
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      current = target;
+    },
+  };
+}
+
+function createMemento(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    get: (key) => data[key],
+    update: async (key, value) => {
+      data[key] = value;
+    },
+  };
+}
+
+const MINUTE = 60 * 1000;
+const start = Date.parse('2030-01-01T00:00:00Z');
+const profiles = [
+  { name: 'dev', startUrl: 'https://dev.awsapps.com/start' },
+  { name: 'prod', startUrl: 'https://prod.awsapps.com/start' },
+  { name: 'sandbox', startUrl: 'https://sandbox.awsapps.com/start' },
+];
+const expiries = {
+  dev: new Date(start + 60 * MINUTE),
+  prod: new Date(start + 8 * 60 * MINUTE),
+  sandbox: new Date(start + 30 * MINUTE),
+};
+
+function fakeTokenStatus(profile, { now }) {
+  const expiresAt = expiries[profile.name];
+  if (!expiresAt) {
+    return { token: null, expiresAt: null, remainingMs: 0, expired: true };
+  }
+  const remainingMs = expiresAt.getTime() - now;
+  return { token: {}, expiresAt, remainingMs: Math.max(remainingMs, 0), expired: remainingMs <= 0 };
+}
+
+function createScheduler(clock, state, warnings) {
+  return new KeepAliveScheduler({
+    getProfiles: async () => profiles,
+    getSettings: () => ({ profiles: ['dev', 'prod'], warningMinutes: 15 }),
+    state,
+    clock,
+    getTokenStatus: fakeTokenStatus,
+    onWarning: (profile, status) => warnings.push({ profile: profile.name, at: clock.now(), status }),
+  });
+}
+
+async function run() {
+  // Warns once, lead time before expiry, only for keep-alive profiles
+  {
+    const clock = createFakeClock(start);
+    const state = createMemento();
+    const warnings = [];
+    const scheduler = createScheduler(clock, state, warnings);
+
+    await scheduler.schedule();
+    check('no warning right away', warnings.length === 0);
+
+    await clock.advance(44 * MINUTE);
+    check('no warning before the lead time', warnings.length === 0);
+
+    await clock.advance(1 * MINUTE);
+    check('warns 15 minutes before expiry', warnings.length === 1 && warnings[0].profile === 'dev' && warnings[0].at === start + 45 * MINUTE);
+    check('ignores profiles not kept alive', !warnings.some(w => w.profile === 'sandbox'));
+
+    await clock.advance(2 * 60 * MINUTE);
+    check('does not repeat a warning for the same token', warnings.filter(w => w.profile === 'dev').length === 1);
+
+    await clock.advance(6 * 60 * MINUTE);
+    check('warns for the second profile', warnings.length === 2 && warnings[1].profile === 'prod' && warnings[1].at === start + (8 * 60 - 15) * MINUTE);
+
+    check('records warned expiry in state', state.data[STATE_KEY].dev.expiresAt === expiries.dev.toISOString());
+
+    // A new token (re-login) re-arms the warning
+    expiries.dev = new Date(clock.now() + 60 * MINUTE);
+    await scheduler.schedule();
+    await clock.advance(45 * MINUTE);
+    check('warns again after the token is renewed', warnings.filter(w => w.profile === 'dev').length === 2);
+
+    scheduler.dispose();
+    check('dispose clears pending timers', clock.pendingTimers() === 0);
+  }
+
+  // State survives a reload
+  {
+    expiries.dev = new Date(start + 60 * MINUTE);
+    const clock = createFakeClock(start + 50 * MINUTE);
+    const state = createMemento({
+      [STATE_KEY]: { dev: { expiresAt: expiries.dev.toISOString(), warnedAt: new Date(start + 45 * MINUTE).toISOString() } },
+    });
+    const warnings = [];
+    const scheduler = createScheduler(clock, state, warnings);
+
+    await scheduler.schedule();
+    check('does not repeat a warning shown before the reload', warnings.length === 0);
+    scheduler.dispose();
+
+    const freshClock = createFakeClock(start + 50 * MINUTE);
+    const freshWarnings = [];
+    const freshScheduler = createScheduler(freshClock, createMemento(), freshWarnings);
+    await freshScheduler.schedule();
+    check('warns immediately when starting inside the lead time', freshWarnings.length === 1 && freshWarnings[0].profile === 'dev');
+    freshScheduler.dispose();
+  }
+
+  // Periodic re-check picks up tokens that appear later
+  {
+    delete expiries.dev;
+    const clock = createFakeClock(start);
+    const warnings = [];
+    const scheduler = createScheduler(clock, createMemento(), warnings);
+    await scheduler.schedule();
+
+    expiries.dev = new Date(start + 10 * MINUTE);
+    await clock.advance(RECHECK_INTERVAL_MS);
+    check('re-check finds a token logged in outside VS Code', warnings.length === 1 && warnings[0].profile === 'dev');
+    scheduler.dispose();
+  }
+}
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  OUTCOMES,
+  createHistoryEntry,
+  parseHistory,
+  filterHistory,
+  toCsv,
+  LoginHistory,
+} = require('./login-history');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+const prod = { name: 'prod', startUrl: 'https://corp.awsapps.com/start', region: 'us-east-1', accountId: '222222222222', roleName: 'Admin' };
+const startedAt = new Date('2026-10-18T08:00:00Z');
+
+async function run() {
+  // Entries
+  const success = createHistoryEntry({ action: 'login', engine: 'cli', profile: prod, startedAt, endedAt: new Date('2026-10-18T08:00:12.5Z'), outcome: OUTCOMES.SUCCESS });
+  check('records the profile, account and role', success.profile === 'prod' && success.accountId === '222222222222' && success.roleName === 'Admin');
+  check('records the start time and duration', success.time === '2026-10-18T08:00:00.000Z' && success.durationMs === 12500);
+  check('records the outcome and engine', success.outcome === 'success' && success.engine === 'cli' && !('error' in success));
+
+  const failure = createHistoryEntry({
+    action: 'login',
+    profile: { ...prod, accessToken: 'secret-token' },
+    startedAt,
+    endedAt: startedAt,
+    outcome: OUTCOMES.FAILURE,
+    error: { kind: 'timeout', message: 'The login timed out', detail: 'stderr', accessToken: 'secret-token' },
+  });
+  check('records the classified error', failure.error.kind === 'timeout' && failure.error.message === 'The login timed out');
+  check('never records tokens', !JSON.stringify(failure).includes('secret-token') && !('detail' in failure.error));
+  check('names unclassified errors', createHistoryEntry({ action: 'logout', profile: prod, startedAt, endedAt: startedAt, outcome: OUTCOMES.FAILURE, error: new Error('EACCES') }).error.kind === 'error');
+  check('records the profile a batch login shared', createHistoryEntry({ action: 'login', via: 'dev', profile: prod, startedAt, endedAt: startedAt, outcome: OUTCOMES.SUCCESS }).via === 'dev');
+  check('records the logout scope', createHistoryEntry({ action: 'logout', scope: 'startUrl', profile: prod, startedAt, endedAt: startedAt, outcome: OUTCOMES.SUCCESS }).scope === 'startUrl');
+
+  // Parsing and filtering
+  const entries = parseHistory([
+    JSON.stringify(success),
+    '',
+    '{"time":"2026-10-18T09:00:00.000Z","action":"log',
+    'not json',
+    JSON.stringify({ ...success, time: '2026-10-19T07:30:00.000Z', profile: 'dev', accountId: '111111111111', roleName: 'ReadOnly' }),
+    JSON.stringify(failure),
+  ].join('\n'));
+  check('skips lines that are not entries', entries.length === 3);
+  check('finds by profile, account or error', filterHistory(entries, { text: 'PROD' }).length === 2 && filterHistory(entries, { text: '111111' }).length === 1 && filterHistory(entries, { text: 'timed out' }).length === 1);
+  check('filters by outcome', filterHistory(entries, { outcome: 'failure' }).length === 1);
+  check('filters by action', filterHistory(entries, { action: 'logout' }).length === 0);
+  check('filters by day', filterHistory(entries, { since: '2026-10-19' }).length === 1 && filterHistory(entries, { until: '2026-10-18' }).length === 2);
+  check('keeps all entries without a filter', filterHistory(entries).length === 3);
+
+  // CSV
+  const csv = toCsv([
+    success,
+    { ...failure, error: { kind: 'cli', message: 'Profile "prod", not found\nsee output' } },
+    { ...success, profile: '=HYPERLINK("x")' },
+  ]);
+  const lines = csv.split('\r\n');
+  check('starts with a header row', lines[0] === 'time,action,profile,accountId,roleName,startUrl,engine,via,durationMs,outcome,errorKind,errorMessage');
+  check('writes one row per entry', lines[1] === '2026-10-18T08:00:00.000Z,login,prod,222222222222,Admin,https://corp.awsapps.com/start,cli,,12500,success,,');
+  check('quotes commas, quotes and line breaks', csv.includes('"Profile ""prod"", not found\nsee output"'));
+  check('defuses spreadsheet formulas', csv.includes(`"'=HYPERLINK(""x"")"`));
+
+  // File
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-sso-history-'));
+  try {
+    const history = new LoginHistory(path.join(dir, 'storage'));
+    check('reads an empty history before the first entry', (await history.read()).length === 0);
+    await Promise.all([1, 2, 3, 4, 5].map(n => history.append({ ...success, durationMs: n })));
+    const read = await history.read();
+    check('appends entries in order', read.map(e => e.durationMs).join(',') === '1,2,3,4,5');
+    check('writes one line per entry', fs.readFileSync(history.file, 'utf8').trim().split('\n').length === 5);
+    check('keeps the file private', process.platform === 'win32' || (fs.statSync(history.file).mode & 0o077) === 0);
+
+    await new LoginHistory(path.join(dir, 'storage')).append(failure);
+    check('appends to an existing history', (await history.read()).length === 6);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,248 @@
+const { EventEmitter } = require('events');
+const { LoginSession, parseAuthorizationPrompt } = require('./login-session');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * Child process stand-in the tests drive by hand
+ */
+function createFakeChild() {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.exitCode = null;
+  child.killed = false;
+  child.kill = signal => {
+    child.killed = true;
+    child.signal = signal;
+    setImmediate(() => child.emit('close', null));
+  };
+  child.exit = code => {
+    child.exitCode = code;
+    child.emit('close', code);
+  };
+  return child;
+}
+
+/**
+ * Clock whose timers only fire when the test says so
+ */
+function createManualClock() {
+  const timers = [];
+  return {
+    timers,
+    setTimeout: (callback, ms) => {
+      const timer = { callback, ms, cleared: false };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout: timer => {
+      if (timer) {
+        timer.cleared = true;
+      }
+    },
+    fire: () => timers.filter(t => !t.cleared).forEach(t => t.callback()),
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Start a session with a fake CLI and record its events
+ */
+function startSession(options = {}) {
+  const child = createFakeChild();
+  const clock = createManualClock();
+  const states = [];
+  const prompts = [];
+  const spawned = [];
+  const session = new LoginSession({
+    findCli: options.findCli || (async () => '/usr/bin/aws'),
+    spawn: (cliPath, args) => {
+      spawned.push([cliPath, ...args].join(' '));
+      if (options.spawnError) {
+        throw options.spawnError;
+      }
+      return child;
+    },
+    args: ['sso', 'login', '--profile', 'dev'],
+    verify: options.verify,
+    timeoutMs: options.timeoutMs === undefined ? 60000 : options.timeoutMs,
+    clock,
+  });
+  session.on('stateChange', event => states.push(event.state));
+  session.on('authorization', event => prompts.push(event));
+  const result = session.start();
+  return { session, child, clock, states, prompts, spawned, result };
+}
+
+async function run() {
+  // Successful login
+  {
+    const { child, clock, states, prompts, spawned, result } = startSession({ verify: async () => true });
+    await tick();
+    check('spawns the CLI with the login arguments', spawned[0] === '/usr/bin/aws sso login --profile dev');
+    check('moves to spawning after locating the CLI', states.join(',') === 'locatingCli,spawning');
+    child.emit('spawn');
+    check('waits for the browser once the CLI runs', states[2] === 'awaitingBrowser');
+    check('starts the browser timeout', clock.timers.length === 1 && clock.timers[0].ms === 60000);
+    child.stderr.emit('data', Buffer.from('Attempting to open https://device.sso.us-east-1.amazonaws.com/\n'));
+    child.stderr.emit('data', Buffer.from('Then enter the code:\n\nABCD-EFGH\n'));
+    child.stderr.emit('data', Buffer.from('WXYZ-1234\n'));
+    check('reports the verification code once', prompts.length === 1 && prompts[0].code === 'ABCD-EFGH' && prompts[0].flow === 'device-code');
+    check('reports the verification URL', prompts[0].url === 'https://device.sso.us-east-1.amazonaws.com/');
+    child.exit(0);
+    const outcome = await result;
+    check('verifies the token before finishing', states.slice(3).join(',') === 'verifying,done');
+    check('resolves with the final state', outcome.state === 'done' && outcome.error === undefined);
+    check('clears the timeout when finished', clock.timers[0].cleared);
+  }
+
+  // Valid cached token: the CLI exits without asking for the browser
+  {
+    const { child, states, result } = startSession();
+    await tick();
+    child.exit(0);
+    check('finishes without the browser step', (await result).state === 'done' && states.join(',') === 'locatingCli,spawning,verifying,done');
+  }
+
+  // Authorization code (PKCE) flow
+  {
+    const { child, states, prompts, result } = startSession({ verify: async () => true });
+    await tick();
+    child.stdout.emit('data', Buffer.from('Attempting to open your default browser.\nIf the browser does not open, open the following URL:\n\nhttps://oidc.us-east-1.amazonaws.com/authorize?response_type=code&client_id=abc'));
+    check('waits for the whole authorization URL', prompts.length === 0);
+    child.stdout.emit('data', Buffer.from('&redirect_uri=http%3A%2F%2F127.0.0.1%3A54321%2Foauth%2Fcallback&state=AB12-CD34&code_challenge_method=S256&code_challenge=xyz\n'));
+    check('reports the authorization code flow', prompts.length === 1 && prompts[0].flow === 'authorization-code' && prompts[0].code === undefined);
+    check('reports the authorization URL', prompts[0].url.startsWith('https://oidc.us-east-1.amazonaws.com/authorize?') && prompts[0].url.endsWith('code_challenge=xyz'));
+    check('waits for the browser once the prompt is printed', states[2] === 'awaitingBrowser');
+    child.exit(0);
+    check('finishes the authorization code flow', (await result).state === 'done');
+  }
+
+  // Failures
+  {
+    const { states, result } = startSession({ findCli: async () => null });
+    const outcome = await result;
+    check('fails when the CLI is missing', outcome.state === 'failed' && outcome.error.kind === 'cli-not-found' && !outcome.error.retryable);
+    check('does not spawn without a CLI', states.join(',') === 'locatingCli,failed');
+  }
+  {
+    const tooOld = new Error('AWS CLI 1.29.0 can\'t log in to AWS SSO. Install AWS CLI version 2.');
+    tooOld.kind = 'cli-version';
+    const { states, result } = startSession({ findCli: async () => { throw tooOld; } });
+    const outcome = await result;
+    check('fails with the reason the CLI can\'t be used', outcome.error.kind === 'cli-version' && outcome.error.message === tooOld.message && outcome.error.remediation === 'installCli');
+    check('does not spawn an unsupported CLI', states.join(',') === 'locatingCli,failed');
+  }
+  {
+    const { child, result } = startSession();
+    await tick();
+    const error = new Error('spawn aws ENOENT');
+    error.code = 'ENOENT';
+    child.emit('error', error);
+    check('treats ENOENT as a missing CLI', (await result).error.kind === 'cli-not-found');
+  }
+  {
+    const { result } = startSession({ spawnError: new Error('EACCES') });
+    const outcome = await result;
+    check('fails when the CLI cannot be started', outcome.error.kind === 'spawn' && outcome.error.message === 'EACCES');
+  }
+  {
+    const { child, result } = startSession();
+    await tick();
+    child.emit('spawn');
+    child.stderr.emit('data', Buffer.from('Attempting to open your browser\n\nError when retrieving token from sso: Token has expired and refresh failed\n'));
+    child.exit(255);
+    const outcome = await result;
+    check('classifies the error of the CLI', outcome.error.kind === 'session-expired' && outcome.error.detail === 'Error when retrieving token from sso: Token has expired and refresh failed');
+    check('does not offer to retry permanent errors', outcome.error.retryable === false);
+  }
+  {
+    const { child, result } = startSession();
+    await tick();
+    child.emit('spawn');
+    child.stderr.emit('data', Buffer.from('Could not connect to the endpoint URL: "https://oidc.us-east-1.amazonaws.com/token"\n'));
+    child.exit(255);
+    check('offers to retry network errors', (await result).error.retryable === true);
+  }
+  {
+    const { child, states, result } = startSession({ verify: async () => false });
+    await tick();
+    child.emit('spawn');
+    child.exit(0);
+    const outcome = await result;
+    check('fails when no token was cached', outcome.error.kind === 'verification' && states.slice(-2).join(',') === 'verifying,failed');
+  }
+
+  // Timeout
+  {
+    const { child, clock, states, result } = startSession({ timeoutMs: 5000 });
+    await tick();
+    child.emit('spawn');
+    clock.fire();
+    const outcome = await result;
+    check('times out waiting for the browser', outcome.error.kind === 'timeout' && outcome.error.retryable && /5 seconds/.test(outcome.error.message));
+    check('stops the CLI on timeout', child.killed && child.signal === 'SIGTERM');
+    await tick();
+    check('ignores the exit of the stopped CLI', states.join(',') === 'locatingCli,spawning,awaitingBrowser,failed');
+  }
+  {
+    const { child, clock } = startSession({ timeoutMs: 0 });
+    await tick();
+    child.emit('spawn');
+    check('does not time out when disabled', clock.timers.length === 0);
+    child.exit(0);
+  }
+
+  // Cancellation
+  {
+    const { session, child, states, result } = startSession();
+    await tick();
+    child.emit('spawn');
+    session.cancel();
+    const outcome = await result;
+    check('cancels the login', outcome.state === 'cancelled' && child.killed);
+    session.cancel();
+    await tick();
+    check('ignores transitions after the end', states.join(',') === 'locatingCli,spawning,awaitingBrowser,cancelled' && session.isFinished());
+  }
+  {
+    let resolveCli;
+    const { session, spawned, states, result } = startSession({ findCli: () => new Promise(resolve => { resolveCli = resolve; }) });
+    session.cancel();
+    resolveCli('/usr/bin/aws');
+    await result;
+    check('does not spawn after cancelling while locating the CLI', spawned.length === 0 && states.join(',') === 'locatingCli,cancelled');
+  }
+  {
+    const { session, spawned, result } = startSession();
+    await tick();
+    session.cancel();
+    await result;
+    const again = await session.start();
+    check('runs only once', again.state === 'cancelled' && spawned.length === 1);
+  }
+}
+
+// Prompt parsing
+check('finds no prompt in other output', parseAuthorizationPrompt('Attempting to automatically open the SSO authorization page\n') === null);
+check('finds a device code without a URL', parseAuthorizationPrompt('Then enter the code:\nWDJB-MJHT\n').code === 'WDJB-MJHT');
+check('ignores code look-alikes in URLs', parseAuthorizationPrompt('https://example.com/?x=ABCD-EFGH\n') === null);
+check('prefers the authorization URL', parseAuthorizationPrompt('https://oidc.eu-west-1.amazonaws.com/authorize?code_challenge=ABCD-EFGH\n').flow === 'authorization-code');
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  formatProfileName,
+  planGeneratedProfiles,
+  addGeneratedProfiles,
+  writeGeneratedProfiles,
+} = require('./profile-generator');
+const { parseConfigText, extractSsoProfiles } = require('./aws-config-parser');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+const startUrl = 'https://example.awsapps.com/start';
+
+const assignments = [
+  { accountId: '111111111111', accountName: 'Development', roleName: 'AdministratorAccess' },
+  { accountId: '111111111111', accountName: 'Development', roleName: 'ReadOnlyAccess' },
+  { accountId: '222222222222', accountName: 'Shared Services', roleName: 'ReadOnlyAccess' },
+  { accountId: '333333333333', accountName: 'Production', roleName: 'ReadOnlyAccess' },
+];
+
+// Naming template
+check('fills in the template placeholders', formatProfileName('{session}.{accountId}.{roleName}', { session: 'corp', accountId: '1', roleName: 'Admin' }) === 'corp.1.Admin');
+check('replaces characters not allowed in profile names', formatProfileName('{accountName}-{roleName}', assignments[2]) === 'Shared-Services-ReadOnlyAccess');
+check('uses the default template', formatProfileName(undefined, assignments[0]) === 'Development-AdministratorAccess');
+
+// Planning
+const existingProfiles = [
+  { name: 'dev', startUrl, accountId: '111111111111', roleName: 'AdministratorAccess' },
+  { name: 'other-idp', startUrl: 'https://other.awsapps.com/start', accountId: '111111111111', roleName: 'ReadOnlyAccess' },
+];
+const planned = planGeneratedProfiles(assignments, {
+  sessionName: 'corp',
+  startUrl,
+  existingProfiles,
+  existingNames: ['Production-ReadOnlyAccess'],
+});
+const plannedNames = planned.map(p => p.name);
+check('skips account roles that already have a profile', !planned.some(p => p.roleName === 'AdministratorAccess'));
+check('ignores profiles of other start URLs', plannedNames.includes('Development-ReadOnlyAccess'));
+check('appends the account ID when a name is taken', plannedNames.includes('Production-ReadOnlyAccess-333333333333'));
+check('plans one profile per remaining account role', planned.length === 3);
+
+// Writing profiles
+const existing = `# My profiles
+[default]
+region = eu-west-1
+
+[profile dev]
+sso_start_url = ${startUrl}
+sso_region = us-east-1
+sso_account_id = 111111111111
+sso_role_name = AdministratorAccess
+`;
+const result = addGeneratedProfiles(existing, { sessionName: 'corp', startUrl, region: 'us-east-1', profiles: planned });
+check('keeps the existing content unchanged', result.text.startsWith(existing));
+check('adds a shared sso-session', result.text.includes(`[sso-session corp]\nsso_start_url = ${startUrl}\nsso_region = us-east-1\nsso_registration_scopes = sso:account:access`));
+check('reports the added profiles', result.added.join(',') === plannedNames.join(','));
+
+const generated = extractSsoProfiles(parseConfigText(result.text));
+const readOnly = generated['Development-ReadOnlyAccess'];
+check('generated profiles are valid SSO profiles', readOnly && readOnly.ssoSession === 'corp' && readOnly.accountId === '111111111111' && readOnly.roleName === 'ReadOnlyAccess' && readOnly.startUrl === startUrl);
+
+const again = addGeneratedProfiles(result.text, { sessionName: 'corp', startUrl, region: 'us-east-1', profiles: planned });
+check('does not add profiles or sessions twice', again.added.length === 0 && again.text === result.text);
+
+const reused = addGeneratedProfiles(result.text, { sessionName: 'corp', startUrl, region: 'us-east-1', profiles: [{ name: 'extra', accountId: '4', roleName: 'Admin' }] });
+check('reuses an existing sso-session', reused.text.split('[sso-session corp]').length === 2 && reused.added[0] === 'extra');
+
+let conflict;
+try {
+  addGeneratedProfiles(result.text, { sessionName: 'corp', startUrl: 'https://other.awsapps.com/start', region: 'us-east-1', profiles: planned });
+} catch (error) {
+  conflict = error;
+}
+check('refuses to reuse an sso-session of another start URL', conflict && /different start URL/.test(conflict.message));
+
+const crlf = addGeneratedProfiles(existing.replace(/\n/g, '\r\n'), { sessionName: 'corp', startUrl, region: 'us-east-1', profiles: planned });
+check('keeps Windows line endings', !/[^\r]\n/.test(crlf.text));
+
+// Writing the file
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-generated-profiles-'));
+try {
+  const filePath = path.join(dir, 'config');
+  fs.writeFileSync(filePath, existing, { mode: 0o644 });
+  const added = writeGeneratedProfiles(filePath, { sessionName: 'corp', startUrl, region: 'us-east-1', profiles: planned });
+  check('writes the profiles to the config file', added.length === 3 && fs.readFileSync(filePath, 'utf8').includes('[profile Development-ReadOnlyAccess]'));
+  check('leaves no temporary files behind', fs.readdirSync(dir).length === 1);
+  if (process.platform !== 'win32') {
+    check('keeps the config file permissions', (fs.statSync(filePath).mode & 0o777) === 0o644);
+  }
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,179 @@
+const { ProfileStore } = require('./profile-store');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * Clock whose timers only fire when the test says so
+ */
+function createManualClock() {
+  const timers = [];
+  return {
+    timers,
+    setTimeout: (callback, ms) => {
+      const timer = { callback, ms, cleared: false };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout: timer => {
+      if (timer) {
+        timer.cleared = true;
+      }
+    },
+    fire: () => timers.filter(t => !t.cleared && !t.fired).forEach(t => {
+      t.fired = true;
+      t.callback();
+    }),
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const dev = { name: 'dev', startUrl: 'https://corp.awsapps.com/start', region: 'us-east-1', accountId: '111111111111', roleName: 'Admin' };
+const prod = { ...dev, name: 'prod', accountId: '222222222222' };
+
+/**
+ * Create a store over a config the test changes by hand and record its events
+ */
+function createStore() {
+  const source = { profiles: [dev], errors: [], loads: 0, tokenReads: 0, tokens: [] };
+  const clock = createManualClock();
+  const events = [];
+  const store = new ProfileStore({
+    loadProfiles: async () => {
+      source.loads++;
+      if (source.failure) {
+        throw source.failure;
+      }
+      return { profiles: source.profiles, errors: source.errors };
+    },
+    readTokens: () => {
+      source.tokenReads++;
+      return source.tokens;
+    },
+    clock,
+  });
+  store.on('profiles', profiles => events.push(`profiles:${profiles.map(p => p.name).join(',')}`));
+  store.on('sessions', () => events.push('sessions'));
+  store.on('errors', errors => events.push(`errors:${errors.length}`));
+  return { store, source, clock, events };
+}
+
+async function run() {
+  // Reading once
+  {
+    const { store, source, events } = createStore();
+    const [first, second] = await Promise.all([store.getProfiles(), store.getProfiles()]);
+    await store.getProfiles();
+    check('reads the profiles once', source.loads === 1 && first === second && first[0].name === 'dev');
+    check('does not fire for the first read', events.length === 0);
+  }
+
+  // Config changes
+  {
+    const { store, source, clock, events } = createStore();
+    await store.getProfiles();
+    source.profiles = [dev, prod];
+    store.configChanged();
+    store.configChanged();
+    store.configChanged();
+    check('waits before reloading', source.loads === 1 && clock.timers.filter(t => !t.cleared).length === 1);
+    check('debounces with the default delay', clock.timers[0].ms === 300);
+    clock.fire();
+    await tick();
+    check('reloads once after a burst of changes', source.loads === 2);
+    check('fires with the changed profiles', events.join(';') === 'profiles:dev,prod');
+    check('returns the reloaded profiles', (await store.getProfiles()).length === 2);
+
+    store.configChanged();
+    clock.fire();
+    await tick();
+    check('does not fire when nothing changed', source.loads === 3 && events.length === 1);
+  }
+  {
+    const { store, source } = createStore();
+    await store.getProfiles();
+    source.profiles = [dev, prod];
+    const running = store.reloadProfiles();
+    const again = store.reloadProfiles();
+    check('shares a running reload', running === again);
+    await running;
+    check('reloads again when asked while reloading', source.loads === 3);
+    check('ends with the latest profiles', (await store.getProfiles()).length === 2);
+  }
+
+  // Parse errors
+  {
+    const { store, source, clock, events } = createStore();
+    source.errors = [{ file: '/home/me/.aws/config', line: 3, column: 1, message: 'Expected "key = value"' }];
+    await store.getProfiles();
+    check('reports parse errors of the first read', events.join(';') === 'errors:1');
+    store.configChanged();
+    clock.fire();
+    await tick();
+    check('does not repeat the same errors', events.length === 1);
+    source.errors = [];
+    store.configChanged();
+    clock.fire();
+    await tick();
+    check('reports fixed errors', events.join(';') === 'errors:1;errors:0');
+  }
+  {
+    const { store, source, clock, events } = createStore();
+    await store.getProfiles();
+    source.failure = new Error('EACCES: permission denied');
+    store.configChanged();
+    clock.fire();
+    await tick();
+    check('keeps the profiles when reading fails', (await store.getProfiles())[0].name === 'dev');
+    check('reports the read failure as an error', events.join(';') === 'errors:1');
+  }
+
+  // Sessions
+  {
+    const { store, source, clock, events } = createStore();
+    source.tokens = [{ file: 'x.json', startUrl: dev.startUrl, region: 'us-east-1', accessToken: 't', expiresAt: new Date(Date.now() + 3600 * 1000) }];
+    store.getTokenStatus(dev);
+    store.getTokenStatus(prod);
+    check('reads the token cache once', source.tokenReads === 1);
+    store.sessionsChanged();
+    store.getTokenStatus(dev);
+    check('reads the token cache again right after a change', source.tokenReads === 2);
+    store.sessionsChanged();
+    check('waits before firing session changes', events.length === 0);
+    clock.fire();
+    check('fires one session change', events.join(';') === 'sessions');
+  }
+  {
+    const { store, source } = createStore();
+    await store.getProfiles();
+    store.getTokens();
+    await store.refresh();
+    store.getTokens();
+    check('refresh reads profiles and tokens again', source.loads === 2 && source.tokenReads === 2);
+  }
+  {
+    const { store, clock, events } = createStore();
+    store.configChanged();
+    store.sessionsChanged();
+    store.dispose();
+    clock.fire();
+    await tick();
+    check('stops pending work when disposed', clock.timers.every(t => t.cleared) && events.length === 0);
+  }
+}
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,66 @@
+const {
+  isValidProfileName,
+  isKnownRegion,
+  isValidRegionName,
+  isValidStartUrl,
+  isValidAccountId,
+  validateProfile,
+  validateSsoSession,
+} = require('./profile-validation');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+// Field checks
+check('accepts profile names with letters, digits and -_.', isValidProfileName('dev_account-1.admin'));
+check('rejects profile names with spaces or shell characters', !isValidProfileName('dev account') && !isValidProfileName('dev;rm'));
+check('accepts known regions', isKnownRegion('eu-central-1') && isKnownRegion('us-gov-west-1'));
+check('rejects unknown regions', !isKnownRegion('eu-centrl-1') && !isKnownRegion(''));
+check('accepts region names not in the list', isValidRegionName('eu-central-1') && isValidRegionName('us-iso-east-1') && isValidRegionName('xx-future-9'));
+check('rejects region names that could change an endpoint host', !isValidRegionName('evil.example#') && !isValidRegionName('eu-west-1.evil') && !isValidRegionName('eu-west-1/') && !isValidRegionName(undefined));
+check('accepts https start URLs', isValidStartUrl('https://example.awsapps.com/start'));
+check('rejects start URLs that are not https', !isValidStartUrl('http://example.awsapps.com/start') && !isValidStartUrl('example.awsapps.com'));
+check('accepts 12 digit account IDs', isValidAccountId('123456789012'));
+check('rejects account IDs without 12 digits', !isValidAccountId('12345678901') && !isValidAccountId('1234567890123') && !isValidAccountId('12345678901a'));
+
+// Profiles
+const profile = {
+  storage: 'config',
+  name: 'dev',
+  ssoSession: '',
+  startUrl: 'https://example.awsapps.com/start',
+  region: 'us-east-1',
+  accountId: '123456789012',
+  roleName: 'AdministratorAccess',
+};
+check('accepts a valid profile', Object.keys(validateProfile(profile)).length === 0);
+
+const invalid = validateProfile({ ...profile, name: 'dev account', startUrl: 'example', region: 'us-east-9', accountId: '1234', roleName: 'Admin Access' });
+check('reports every invalid field', ['name', 'startUrl', 'region', 'accountId', 'roleName'].every(field => invalid[field]));
+check('reports missing fields', validateProfile({ storage: 'config' }).accountId === 'Account ID is required');
+check('rejects names of existing profiles', /already exists/.test(validateProfile(profile, { existingNames: ['dev'] }).name));
+
+const sessionProfile = { ...profile, ssoSession: 'corp', startUrl: '', region: '' };
+check('does not need a start URL with an sso-session', Object.keys(validateProfile(sessionProfile, { ssoSessions: ['corp'] })).length === 0);
+check('rejects an undefined sso-session', /not defined/.test(validateProfile(sessionProfile, { ssoSessions: [] }).ssoSession));
+check('rejects sso-sessions for profiles in settings', Boolean(validateProfile({ ...sessionProfile, storage: 'settings' }, { ssoSessions: ['corp'] }).ssoSession));
+
+// sso-sessions
+const session = { name: 'corp', startUrl: 'https://corp.awsapps.com/start', region: 'eu-west-1', scopes: 'sso:account:access' };
+check('accepts a valid sso-session', Object.keys(validateSsoSession(session)).length === 0);
+check('accepts an sso-session without scopes', Object.keys(validateSsoSession({ ...session, scopes: '' })).length === 0);
+check('rejects malformed scopes', Boolean(validateSsoSession({ ...session, scopes: 'sso:account:access,,bad scope' }).scopes));
+check('rejects names of existing sso-sessions', /already exists/.test(validateSsoSession(session, { existingNames: ['corp'] }).name));
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
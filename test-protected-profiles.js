@@ -0,0 +1,190 @@
+const {
+  STATE_KEY,
+  matchesPattern,
+  collectRules,
+  getProtection,
+  SessionAgeLimiter,
+} = require('./protected-profiles');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * Manually advanced clock; timers only fire from advance()
+ */
+function createFakeClock(start) {
+  let current = start;
+  let nextId = 1;
+  const timers = new Map();
+  return {
+    now: () => current,
+    setTimeout: (callback, ms) => {
+      const id = nextId++;
+      timers.set(id, { callback, at: current + ms });
+      return id;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    pendingTimers: () => timers.size,
+    async advance(ms) {
+      const target = current + ms;
+      for (;;) {
+        const due = [...timers.entries()]
+          .filter(([, timer]) => timer.at <= target)
+          .sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) {
+          break;
+        }
+        timers.delete(due[0]);
+        current = due[1].at;
+        await due[1].callback();
+        // Let async schedule() calls settle
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      current = target;
+    },
+  };
+}
+
+function createMemento(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    get: (key) => data[key],
+    update: async (key, value) => {
+      data[key] = value;
+    },
+  };
+}
+
+const MINUTE = 60 * 1000;
+const start = Date.parse('2030-01-01T00:00:00Z');
+const dev = { name: 'dev', startUrl: 'https://corp.awsapps.com/start', accountId: '111111111111', roleName: 'Developer' };
+const prod = { name: 'prod-admin', startUrl: 'https://corp.awsapps.com/start', accountId: '222222222222', roleName: 'AdministratorAccess' };
+const prodReadOnly = { ...prod, name: 'prod-readonly', roleName: 'ReadOnly' };
+
+async function run() {
+  // Patterns
+  check('matches wildcards', matchesPattern('prod-admin', 'prod-*') && matchesPattern('AdministratorAccess', '*admin*'));
+  check('matches single characters', matchesPattern('prod1', 'prod?') && !matchesPattern('prod12', 'prod?'));
+  check('matches the whole value', !matchesPattern('preprod-admin', 'prod-*'));
+  check('treats other characters literally', matchesPattern('a.b', 'a.b') && !matchesPattern('axb', 'a.b'));
+
+  // Rules
+  const rules = collectRules({
+    globalValue: [{ accountId: '222222222222', roleName: '*Admin*', maxSessionMinutes: 60 }],
+    workspaceValue: [{ profile: 'prod-*', maxSessionMinutes: 120 }, 'not a rule'],
+  });
+  check('adds up rules from user and workspace settings', rules.length === 2);
+  check('reads no rules without settings', collectRules(undefined).length === 0);
+
+  check('leaves other profiles unprotected', getProtection(dev, rules) === null);
+  const admin = getProtection(prod, rules);
+  check('protects profiles matching a rule', admin && admin.reasons.length === 2);
+  check('uses the shortest maximum session age', admin.maxSessionMinutes === 60);
+  const readOnly = getProtection(prodReadOnly, rules);
+  check('needs every field of a rule to match', readOnly && readOnly.reasons.length === 1 && readOnly.maxSessionMinutes === 120);
+  check('ignores rules without fields', getProtection(dev, [{ maxSessionMinutes: 5 }]) === null);
+  const tagged = getProtection({ ...dev, protected: true }, []);
+  check('protects tagged profiles without a session limit', tagged && tagged.reasons[0] === 'tagged as protected' && tagged.maxSessionMinutes === null);
+
+  // Session age
+  {
+    const clock = createFakeClock(start);
+    const state = createMemento();
+    const expired = [];
+    const tokens = { 'prod-admin': true, dev: true };
+    const limiter = new SessionAgeLimiter({
+      getProfiles: async () => [dev, prod],
+      getProtection: (profile) => getProtection(profile, rules),
+      state,
+      onExpired: (profile, loggedInAt) => expired.push({ name: profile.name, loggedInAt }),
+      clock,
+      getTokenStatus: (profile) => ({ expired: !tokens[profile.name] }),
+    });
+
+    await limiter.recordLogin(prod);
+    await limiter.recordLogin(dev);
+    check('records logins of limited profiles only', Object.keys(state.data[STATE_KEY]).join(',') === 'prod-admin');
+    check('tells when the session ends', limiter.getDeadline(prod).getTime() === start + 60 * MINUTE);
+    check('does not limit other profiles', limiter.getDeadline(dev) === null);
+
+    await clock.advance(59 * MINUTE);
+    check('keeps the session until its maximum age', expired.length === 0 && !limiter.isPastDeadline(prod));
+    await clock.advance(MINUTE);
+    check('ends the session at its maximum age', expired.length === 1 && expired[0].name === 'prod-admin' && expired[0].loggedInAt.getTime() === start);
+    check('forgets the ended session', Object.keys(state.data[STATE_KEY]).length === 0 && clock.pendingTimers() === 0);
+    await clock.advance(60 * MINUTE);
+    check('ends a session once', expired.length === 1);
+
+    await limiter.recordLogin(prod);
+    tokens['prod-admin'] = false;
+    await clock.advance(60 * MINUTE);
+    check('forgets sessions that were logged out', expired.length === 1 && Object.keys(state.data[STATE_KEY]).length === 0);
+    limiter.dispose();
+  }
+  {
+    // A window reload after the deadline passed
+    const clock = createFakeClock(start + 90 * MINUTE);
+    const expired = [];
+    const limiter = new SessionAgeLimiter({
+      getProfiles: async () => [prod],
+      getProtection: (profile) => getProtection(profile, rules),
+      state: createMemento({ [STATE_KEY]: { 'prod-admin': new Date(start).toISOString() } }),
+      onExpired: (profile) => expired.push(profile.name),
+      clock,
+      getTokenStatus: () => ({ expired: false }),
+    });
+    check('tells when a session is past its maximum age', limiter.isPastDeadline(prod));
+    check('does not limit profiles without a maximum age', !limiter.isPastDeadline(dev));
+    await limiter.schedule();
+    check('ends sessions that got too old while the window was closed', expired.join(',') === 'prod-admin');
+    limiter.dispose();
+  }
+  {
+    const clock = createFakeClock(start);
+    const expired = [];
+    const state = createMemento();
+    const limiter = new SessionAgeLimiter({
+      getProfiles: async () => [prod],
+      getProtection: () => null,
+      state,
+      onExpired: (profile) => expired.push(profile.name),
+      clock,
+      getTokenStatus: () => ({ expired: false }),
+    });
+    await state.update(STATE_KEY, { 'prod-admin': new Date(start).toISOString() });
+    await limiter.schedule();
+    await clock.advance(120 * MINUTE);
+    check('forgets sessions of profiles that are no longer limited', expired.length === 0 && Object.keys(state.data[STATE_KEY]).length === 0);
+    limiter.dispose();
+  }
+  {
+    // The token expired before the maximum age was checked
+    const clock = createFakeClock(start + 90 * MINUTE);
+    const limiter = new SessionAgeLimiter({
+      getProfiles: async () => [prod],
+      getProtection: (profile) => getProtection(profile, rules),
+      state: createMemento({ [STATE_KEY]: { 'prod-admin': new Date(start).toISOString() } }),
+      onExpired: () => {},
+      clock,
+      getTokenStatus: () => ({ expired: true }),
+    });
+    check('does not count sessions whose token expired as past their maximum age', !limiter.isPastDeadline(prod));
+    limiter.dispose();
+  }
+}
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { guessHomeFromFolders, RemoteSync } = require('./remote-sync');
+const { getCacheFileName } = require('./sso-token-cache');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * In-memory remote file system holding files and directories by path
+ */
+function createRemoteFileSystem(files = {}, directories = []) {
+  const dirs = new Set(directories);
+  const parentsOf = file => {
+    const parents = [];
+    for (let dir = path.posix.dirname(file); dir !== '/'; dir = path.posix.dirname(dir)) {
+      parents.push(dir);
+    }
+    return parents;
+  };
+  [...Object.keys(files), ...directories].forEach(file => parentsOf(file).forEach(dir => dirs.add(dir)));
+
+  return {
+    files,
+    dirs,
+    readFile: async file => {
+      if (!(file in files)) {
+        throw new Error(`ENOENT: ${file}`);
+      }
+      return files[file];
+    },
+    writeFile: async (file, text) => {
+      if (!dirs.has(path.posix.dirname(file))) {
+        throw new Error(`ENOENT: ${path.posix.dirname(file)}`);
+      }
+      files[file] = text;
+    },
+    createDirectory: async dir => {
+      dirs.add(dir);
+      parentsOf(dir).forEach(parent => dirs.add(parent));
+    },
+    listDirectories: async dir => {
+      if (!dirs.has(dir)) {
+        throw new Error(`ENOENT: ${dir}`);
+      }
+      return [...dirs].filter(d => path.posix.dirname(d) === dir).map(d => path.posix.basename(d));
+    },
+    exists: async file => file in files || dirs.has(file),
+  };
+}
+
+function createSync(fileSystem, options = {}) {
+  return new RemoteSync({
+    fileSystem,
+    getConfiguredDirectory: () => options.configured,
+    getFolderPaths: () => options.folders || [],
+    cacheDir: options.cacheDir,
+  });
+}
+
+const profile = { name: 'dev', startUrl: 'https://corp.awsapps.com/start', region: 'us-east-1', accountId: '111111111111', roleName: 'Admin' };
+
+async function run() {
+  // Home directory guesses
+  check('guesses a Linux home', guessHomeFromFolders(['/home/vscode/project']) === '/home/vscode');
+  check('guesses a macOS home', guessHomeFromFolders(['/Users/me']) === '/Users/me');
+  check('guesses the root home', guessHomeFromFolders(['/workspaces/app', '/root/app']) === '/root');
+  check('does not guess outside home directories', guessHomeFromFolders(['/workspaces/app']) === null);
+
+  // Remote AWS directory
+  check('uses the configured directory', await createSync(createRemoteFileSystem(), { configured: ' /data/aws/ ', folders: ['/home/me/app'] }).getAwsDirectory() === '/data/aws');
+  check('uses the home of a workspace folder', await createSync(createRemoteFileSystem(), { folders: ['/home/me/app'] }).getAwsDirectory() === '/home/me/.aws');
+  check('uses the only user in /home', await createSync(createRemoteFileSystem({}, ['/home/node', '/root']), { folders: ['/workspaces/app'] }).getAwsDirectory() === '/home/node/.aws');
+  check('falls back to root', await createSync(createRemoteFileSystem({}, ['/root']), { folders: ['/workspaces/app'] }).getAwsDirectory() === '/root/.aws');
+  check('does not pick one of several users', await createSync(createRemoteFileSystem({}, ['/home/a', '/home/b', '/root'])).getAwsDirectory() === null);
+
+  let unknown;
+  try {
+    await createSync(createRemoteFileSystem()).copyToken(profile);
+  } catch (error) {
+    unknown = error;
+  }
+  check('says how to set an unknown directory', unknown && unknown.message.includes('awsSsoLogin.remoteAwsDirectory'));
+
+  // Copying tokens and credentials
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-sso-remote-'));
+  try {
+    const token = JSON.stringify({ startUrl: profile.startUrl, region: 'us-east-1', accessToken: 'token', expiresAt: '2030-01-01T00:00:00Z' });
+    fs.writeFileSync(path.join(cacheDir, getCacheFileName(profile)), token);
+
+    const remote = createRemoteFileSystem({}, ['/home/me']);
+    const sync = createSync(remote, { folders: ['/home/me/app'], cacheDir });
+    const target = await sync.copyToken(profile);
+    check('copies the token into the remote cache', target === `/home/me/.aws/sso/cache/${getCacheFileName(profile)}`);
+    check('copies the token unchanged', remote.files[target] === token);
+
+    remote.files['/home/me/.aws/credentials'] = '[other]\naws_access_key_id = AKIAOTHER\naws_secret_access_key = other\n';
+    const credentialsFile = await sync.writeCredentials('dev', {
+      accessKeyId: 'ASIADEV',
+      secretAccessKey: 'secret',
+      sessionToken: 'session',
+      expiration: new Date('2030-01-01T00:00:00Z'),
+    });
+    const written = remote.files[credentialsFile];
+    check('writes the remote credentials file', credentialsFile === '/home/me/.aws/credentials' && written.includes('[dev]') && written.includes('ASIADEV'));
+    check('keeps other credentials sections', written.includes('[other]') && written.includes('AKIAOTHER'));
+
+    const fresh = createRemoteFileSystem({}, ['/root']);
+    await createSync(fresh, { cacheDir }).writeCredentials('dev', { accessKeyId: 'ASIADEV', secretAccessKey: 'secret', sessionToken: 'session', expiration: new Date('2030-01-01T00:00:00Z') });
+    check('creates a missing credentials file', fresh.files['/root/.aws/credentials'].includes('[dev]'));
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+}
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
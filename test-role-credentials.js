@@ -0,0 +1,47 @@
+const { parseExportedCredentials, toEnvironmentVariables } = require('./role-credentials');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+const output = JSON.stringify({
+  Version: 1,
+  AccessKeyId: 'ASIAEXAMPLE',
+  SecretAccessKey: 'secret',
+  SessionToken: 'session',
+  Expiration: '2030-01-01T10:00:00+00:00',
+});
+
+const credentials = parseExportedCredentials(output);
+check('parses exported credentials', credentials.accessKeyId === 'ASIAEXAMPLE' && credentials.secretAccessKey === 'secret' && credentials.sessionToken === 'session');
+check('parses the expiration', credentials.expiration.toISOString() === '2030-01-01T10:00:00.000Z');
+check('rejects invalid JSON', throws(() => parseExportedCredentials('not json')));
+check('rejects incomplete credentials', throws(() => parseExportedCredentials(JSON.stringify({ AccessKeyId: 'x' }))));
+
+const variables = toEnvironmentVariables(credentials);
+check('maps credentials to environment variables', variables.AWS_ACCESS_KEY_ID === 'ASIAEXAMPLE' && variables.AWS_SECRET_ACCESS_KEY === 'secret' && variables.AWS_SESSION_TOKEN === 'session');
+check('includes the expiration', variables.AWS_CREDENTIAL_EXPIRATION === '2030-01-01T10:00:00.000Z');
+
+const longTerm = toEnvironmentVariables(parseExportedCredentials(JSON.stringify({ AccessKeyId: 'AKIA', SecretAccessKey: 's' })));
+check('omits session token and expiration when absent', !('AWS_SESSION_TOKEN' in longTerm) && !('AWS_CREDENTIAL_EXPIRATION' in longTerm));
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const { getOidcEndpoint, loginWithDeviceAuthorization } = require('./sso-oidc-client');
+const { getCacheFileName, readCachedTokens } = require('./sso-token-cache');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * Local stand-in for the SSO OIDC service. Token responses are taken from
+ * the tokenResponses queue; the last entry repeats.
+ */
+function startMockOidcServer() {
+  const state = {
+    requests: [],
+    registrations: 0,
+    tokenResponses: [],
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const json = body ? JSON.parse(body) : {};
+      state.requests.push({ url: req.url, body: json });
+
+      const send = (status, payload, errorType) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (errorType) {
+          headers['x-amzn-ErrorType'] = `${errorType}:http://internal.amazon.com/coral/com.amazonaws.ssooidc/`;
+        }
+        res.writeHead(status, headers);
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.url === '/client/register') {
+        state.registrations++;
+        send(200, {
+          clientId: `client-${state.registrations}`,
+          clientSecret: 'client-secret',
+          clientIdIssuedAt: 1893456000,
+          clientSecretExpiresAt: 1901232000,
+        });
+      } else if (req.url === '/device_authorization') {
+        send(200, {
+          deviceCode: 'device-code',
+          userCode: 'ABCD-EFGH',
+          verificationUri: 'https://device.sso.us-east-1.amazonaws.com/',
+          verificationUriComplete: 'https://device.sso.us-east-1.amazonaws.com/?user_code=ABCD-EFGH',
+          expiresIn: 600,
+          interval: 1,
+        });
+      } else if (req.url === '/token') {
+        const next = state.tokenResponses.length > 1 ? state.tokenResponses.shift() : state.tokenResponses[0];
+        send(next.status, next.body, next.errorType);
+      } else {
+        send(404, { message: 'Not found' });
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      state.endpoint = `http://127.0.0.1:${server.address().port}`;
+      state.close = () => new Promise(done => server.close(done));
+      resolve(state);
+    });
+  });
+}
+
+const pending = { status: 400, body: { error: 'authorization_pending' }, errorType: 'AuthorizationPendingException' };
+const slowDown = { status: 400, body: { error: 'slow_down' }, errorType: 'SlowDownException' };
+const granted = { status: 200, body: { accessToken: 'access-token', expiresIn: 28800, refreshToken: 'refresh-token', tokenType: 'Bearer' } };
+
+function createFakeTime(start) {
+  const time = { now: start, sleeps: [] };
+  time.sleep = async ms => {
+    time.sleeps.push(ms);
+    time.now += ms;
+  };
+  return time;
+}
+
+async function run() {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-sso-oidc-'));
+  const server = await startMockOidcServer();
+  const profile = {
+    name: 'dev',
+    startUrl: 'https://example.awsapps.com/start',
+    region: 'us-east-1',
+    ssoSession: 'corp',
+    scopes: ['sso:account:access'],
+  };
+
+  try {
+    // Successful login after pending and slow_down responses
+    server.tokenResponses = [pending, slowDown, pending, granted];
+    const time = createFakeTime(Date.parse('2030-01-01T00:00:00Z'));
+    let authorization;
+    const entry = await loginWithDeviceAuthorization(profile, {
+      endpoint: server.endpoint,
+      cacheDir,
+      sleep: time.sleep,
+      now: () => time.now,
+      onAuthorization: auth => {
+        authorization = auth;
+      },
+    });
+
+    check('reports the user code and verification URL', authorization.userCode === 'ABCD-EFGH' && authorization.verificationUriComplete.includes('user_code'));
+    check('registers a client with the session scopes', server.requests[0].body.clientType === 'public' && server.requests[0].body.scopes[0] === 'sso:account:access');
+    check('starts the device authorization for the start URL', server.requests[1].body.startUrl === profile.startUrl);
+    check('polls with the device code grant', server.requests[2].body.grantType === 'urn:ietf:params:oauth:grant-type:device_code');
+    check('backs off after slow_down', time.sleeps.join(',') === '1000,1000,6000,6000');
+    check('returns the token', entry && entry.accessToken === 'access-token');
+
+    const cacheFile = path.join(cacheDir, getCacheFileName(profile));
+    const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    check('writes a CLI-compatible cache entry', cached.startUrl === profile.startUrl && cached.region === 'us-east-1' && cached.refreshToken === 'refresh-token' && cached.clientId === 'client-1');
+    check('writes timestamps in the CLI format', cached.expiresAt === '2030-01-01T08:00:14Z' && cached.registrationExpiresAt === '2030-04-01T00:00:00Z');
+    if (process.platform !== 'win32') {
+      check('writes the cache file for the current user only', (fs.statSync(cacheFile).mode & 0o777) === 0o600);
+    }
+    check('cached token is found by the token cache reader', readCachedTokens(cacheDir).some(t => t.accessToken === 'access-token'));
+
+    // Second login reuses the client registration
+    server.tokenResponses = [granted];
+    await loginWithDeviceAuthorization(profile, { endpoint: server.endpoint, cacheDir, sleep: time.sleep, now: () => time.now });
+    check('reuses a valid client registration', server.registrations === 1);
+
+    // Denied authorization
+    server.tokenResponses = [{ status: 400, body: { error: 'access_denied' }, errorType: 'AccessDeniedException' }];
+    let deniedError;
+    try {
+      await loginWithDeviceAuthorization(profile, { endpoint: server.endpoint, cacheDir, sleep: time.sleep, now: () => time.now });
+    } catch (error) {
+      deniedError = error;
+    }
+    check('fails when the authorization is denied', deniedError && deniedError.statusCode === 400 && deniedError.errorType === 'AccessDeniedException');
+
+    // Cancellation
+    server.tokenResponses = [pending];
+    let polls = 0;
+    const cancelled = await loginWithDeviceAuthorization(profile, {
+      endpoint: server.endpoint,
+      cacheDir,
+      sleep: time.sleep,
+      now: () => time.now,
+      isCancelled: () => ++polls > 2,
+    });
+    check('stops polling when cancelled', cancelled === null);
+
+    // Expiry of the device code
+    let expiredError;
+    try {
+      await loginWithDeviceAuthorization(profile, { endpoint: server.endpoint, cacheDir, sleep: time.sleep, now: () => time.now });
+    } catch (error) {
+      expiredError = error;
+    }
+    check('fails when the device code expires', expiredError && /expired/.test(expiredError.message));
+
+    // Regions that would send the registration and token to another host
+    check('builds the regional OIDC endpoint', getOidcEndpoint('eu-central-1') === 'https://oidc.eu-central-1.amazonaws.com');
+    const requestsBefore = server.requests.length;
+    let regionError;
+    try {
+      await loginWithDeviceAuthorization({ ...profile, region: 'evil.example#' }, { cacheDir, sleep: time.sleep, now: () => time.now });
+    } catch (error) {
+      regionError = error;
+    }
+    check('refuses a region that is not a region name', regionError && /Invalid AWS region/.test(regionError.message) && server.requests.length === requestsBefore);
+  } finally {
+    await server.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+}
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
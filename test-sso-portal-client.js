@@ -0,0 +1,144 @@
+const http = require('http');
+const { getPortalEndpoint, getRoleCredentials, listAccountAssignments } = require('./sso-portal-client');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+const accounts = [
+  { accountId: '111111111111', accountName: 'Development', emailAddress: 'dev@example.com' },
+  { accountId: '222222222222', accountName: 'Production', emailAddress: 'prod@example.com' },
+  { accountId: '333333333333', accountName: 'Sandbox', emailAddress: 'sandbox@example.com' },
+];
+
+const roles = {
+  '111111111111': ['AdministratorAccess', 'ReadOnlyAccess'],
+  '222222222222': ['ReadOnlyAccess'],
+  '333333333333': [],
+};
+
+/**
+ * Return one page of items, paging with a numeric next_token
+ */
+function page(items, url, pageSize) {
+  const start = Number(url.searchParams.get('next_token') || 0);
+  const end = start + pageSize;
+  return { items: items.slice(start, end), nextToken: end < items.length ? String(end) : undefined };
+}
+
+/**
+ * Local stand-in for the AWS SSO portal. Only the access token
+ * "valid-token" is accepted. Accounts are returned two per page.
+ */
+function startMockPortalServer() {
+  const state = { requests: [] };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    state.requests.push({ url, token: req.headers['x-amz-sso_bearer_token'] });
+
+    const send = (status, payload, errorType) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (errorType) {
+        headers['x-amzn-ErrorType'] = errorType;
+      }
+      res.writeHead(status, headers);
+      res.end(JSON.stringify(payload));
+    };
+
+    if (req.headers['x-amz-sso_bearer_token'] !== 'valid-token') {
+      send(401, { message: 'Session token not found or invalid' }, 'UnauthorizedException');
+    } else if (url.pathname === '/federation/credentials') {
+      send(200, {
+        roleCredentials: {
+          accessKeyId: 'ASIAEXAMPLE',
+          secretAccessKey: 'secret',
+          sessionToken: 'session-token',
+          expiration: 1893484800000,
+        },
+      });
+    } else if (url.pathname === '/assignment/accounts') {
+      const result = page(accounts, url, 2);
+      send(200, { accountList: result.items, nextToken: result.nextToken });
+    } else if (url.pathname === '/assignment/roles') {
+      const accountId = url.searchParams.get('account_id');
+      const roleList = (roles[accountId] || []).map(roleName => ({ accountId, roleName }));
+      send(200, { roleList });
+    } else {
+      send(404, { message: 'Not found' });
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      state.endpoint = `http://127.0.0.1:${server.address().port}`;
+      state.close = () => new Promise(done => server.close(done));
+      resolve(state);
+    });
+  });
+}
+
+async function run() {
+  check('builds the regional portal endpoint', getPortalEndpoint('eu-west-1') === 'https://portal.sso.eu-west-1.amazonaws.com');
+  check('builds GovCloud portal endpoints', getPortalEndpoint('us-gov-west-1') === 'https://portal.sso.us-gov-west-1.amazonaws.com');
+  for (const region of ['evil.example#', 'eu-west-1.evil.example/', 'EU-WEST-1', '', undefined]) {
+    let error;
+    try {
+      getPortalEndpoint(region);
+    } catch (e) {
+      error = e;
+    }
+    check(`refuses the region ${JSON.stringify(region)}`, error && /Invalid AWS region/.test(error.message));
+  }
+
+  const server = await startMockPortalServer();
+  try {
+    const credentials = await getRoleCredentials({
+      accessToken: 'valid-token',
+      region: 'us-east-1',
+      accountId: '123456789012',
+      roleName: 'Admin Access',
+      endpoint: `${server.endpoint}/`,
+    });
+    const request = server.requests[0];
+    check('sends the access token in the bearer header', request.token === 'valid-token');
+    check('sends the account and role', request.url.searchParams.get('account_id') === '123456789012' && request.url.searchParams.get('role_name') === 'Admin Access');
+    check('returns the role credentials', credentials.accessKeyId === 'ASIAEXAMPLE' && credentials.sessionToken === 'session-token');
+    check('converts the expiration to a date', credentials.expiration.toISOString() === '2030-01-01T08:00:00.000Z');
+
+    server.requests.length = 0;
+    const progress = [];
+    const assignments = await listAccountAssignments(
+      { accessToken: 'valid-token', region: 'us-east-1', endpoint: server.endpoint },
+      account => progress.push(account.accountId)
+    );
+    check('follows the account list pagination', server.requests.filter(r => r.url.pathname === '/assignment/accounts').length === 2);
+    check('requests the maximum page size', server.requests[0].url.searchParams.get('max_result') === '100');
+    check('lists the roles of every account', assignments.map(a => `${a.accountName}/${a.roleName}`).join(',') === 'Development/AdministratorAccess,Development/ReadOnlyAccess,Production/ReadOnlyAccess');
+    check('reports progress for every account', progress.length === 3);
+
+    let unauthorized;
+    try {
+      await getRoleCredentials({ accessToken: 'expired-token', accountId: '123456789012', roleName: 'Admin', endpoint: server.endpoint });
+    } catch (error) {
+      unauthorized = error;
+    }
+    check('fails for an invalid token', unauthorized && unauthorized.statusCode === 401 && unauthorized.errorType === 'UnauthorizedException');
+  } finally {
+    await server.close();
+  }
+}
+
+run().then(() => {
+  console.log('Test completed');
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  getCacheFileName,
+  parseExpiresAt,
+  readCachedTokens,
+  findTokenForProfile,
+  getTokenStatus,
+  removeCachedTokens,
+  removeClientRegistrations,
+  formatRemaining,
+} = require('./sso-token-cache');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+function writeCacheFile(dir, name, content) {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(content));
+}
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-sso-cache-'));
+
+try {
+  const sessionProfile = {
+    name: 'dev',
+    startUrl: 'https://example.awsapps.com/start',
+    region: 'us-east-1',
+    accountId: '123456789012',
+    roleName: 'Developer',
+    ssoSession: 'corp',
+  };
+  const legacyProfile = {
+    name: 'legacy',
+    startUrl: 'https://legacy.awsapps.com/start/',
+    region: 'us-west-2',
+    accountId: '210987654321',
+    roleName: 'ReadOnly',
+  };
+
+  // Token written for the sso-session
+  writeCacheFile(cacheDir, getCacheFileName(sessionProfile), {
+    startUrl: 'https://example.awsapps.com/start',
+    region: 'us-east-1',
+    accessToken: 'session-token',
+    expiresAt: '2030-01-01T10:00:00Z',
+  });
+  // Legacy token written by an old CLI version, keyed by a different start URL form
+  writeCacheFile(cacheDir, 'legacy-token.json', {
+    startUrl: 'https://legacy.awsapps.com/start',
+    region: 'us-west-2',
+    accessToken: 'legacy-token',
+    expiresAt: '2030-01-01T08:00:00UTC',
+  });
+  // Client registration files are not tokens
+  writeCacheFile(cacheDir, 'botocore-client-id-us-east-1.json', {
+    clientId: 'abc',
+    clientSecret: 'def',
+    expiresAt: '2030-01-01T10:00:00Z',
+  });
+  fs.writeFileSync(path.join(cacheDir, 'broken.json'), '{not json');
+
+  const tokens = readCachedTokens(cacheDir);
+  check('reads only valid access tokens', tokens.length === 2);
+  check('parses legacy UTC timestamps', parseExpiresAt('2030-01-01T08:00:00UTC').toISOString() === '2030-01-01T08:00:00.000Z');
+  check('returns empty list for a missing cache dir', readCachedTokens(path.join(cacheDir, 'missing')).length === 0);
+
+  const sessionToken = findTokenForProfile(sessionProfile, tokens);
+  check('matches sso-session profile by cache file name', sessionToken && sessionToken.accessToken === 'session-token');
+
+  const legacyToken = findTokenForProfile(legacyProfile, tokens);
+  check('matches legacy profile by start URL', legacyToken && legacyToken.accessToken === 'legacy-token');
+
+  const now = Date.parse('2030-01-01T07:00:00Z');
+  const status = getTokenStatus(legacyProfile, { cacheDir, now });
+  check('computes remaining time', status.remainingMs === 60 * 60 * 1000 && !status.expired);
+
+  const expired = getTokenStatus(legacyProfile, { cacheDir, now: Date.parse('2030-01-02T00:00:00Z') });
+  check('reports expired tokens', expired.expired && expired.remainingMs === 0);
+
+  const missing = getTokenStatus({ name: 'other', startUrl: 'https://other.awsapps.com/start' }, { tokens, now });
+  check('reports missing tokens as expired', missing.expired && missing.token === null);
+
+  check('formats hours and minutes', formatRemaining((3 * 60 + 12) * 60 * 1000) === '3h 12m');
+  check('formats minutes only', formatRemaining(45 * 60 * 1000) === '45m');
+
+  // Cache cleanup for one start URL
+  writeCacheFile(cacheDir, 'legacy-second.json', {
+    startUrl: 'https://LEGACY.awsapps.com/start/',
+    region: 'us-west-2',
+    accessToken: 'legacy-token-2',
+    expiresAt: '2030-01-01T09:00:00Z',
+  });
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-sso-outside-'));
+  const outsideFile = path.join(outside, 'target.json');
+  writeCacheFile(outside, 'target.json', {
+    startUrl: 'https://legacy.awsapps.com/start',
+    accessToken: 'outside-token',
+    expiresAt: '2030-01-01T09:00:00Z',
+  });
+  let symlinked = false;
+  try {
+    fs.symlinkSync(outsideFile, path.join(cacheDir, 'linked.json'));
+    symlinked = true;
+  } catch (error) {
+    // Symlinks may not be permitted (e.g. on Windows)
+  }
+
+  const removed = removeCachedTokens(legacyProfile, cacheDir);
+  const remaining = fs.readdirSync(cacheDir);
+  check('removes every token for the start URL', removed.includes('legacy-token.json') && removed.includes('legacy-second.json'));
+  check('keeps tokens for other start URLs', remaining.includes(getCacheFileName(sessionProfile)));
+  check('keeps client registrations and malformed files', remaining.includes('botocore-client-id-us-east-1.json') && remaining.includes('broken.json'));
+  if (symlinked) {
+    check('does not remove symlinks or their targets', remaining.includes('linked.json') && fs.existsSync(outsideFile));
+  }
+  fs.rmSync(outside, { recursive: true, force: true });
+
+  check('removes tokens of sso-session profiles by session', removeCachedTokens(sessionProfile, cacheDir).length === 1);
+  check('returns nothing for a missing cache dir', removeCachedTokens(legacyProfile, path.join(cacheDir, 'missing')).length === 0);
+} finally {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+}
+
+// Client registrations the CLI keeps reusing after an InvalidClientException
+const registrationDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-sso-registrations-'));
+try {
+  const sessionProfile = { name: 'dev', startUrl: 'https://example.awsapps.com/start', region: 'us-east-1', ssoSession: 'corp' };
+  const legacyProfile = { name: 'legacy', startUrl: 'https://legacy.awsapps.com/start', region: 'us-west-2' };
+  writeCacheFile(registrationDir, getCacheFileName(sessionProfile), {
+    startUrl: 'https://example.awsapps.com/start',
+    region: 'us-east-1',
+    accessToken: 'session-token',
+    expiresAt: '2020-01-01T10:00:00Z',
+    clientId: 'session-client',
+    clientSecret: 'secret',
+  });
+  writeCacheFile(registrationDir, 'session-registration.json', { clientId: 'session-client', clientSecret: 'secret', expiresAt: '2030-01-01T10:00:00Z' });
+  writeCacheFile(registrationDir, 'other-registration.json', { clientId: 'other-client', clientSecret: 'secret', expiresAt: '2030-01-01T10:00:00Z' });
+  writeCacheFile(registrationDir, 'botocore-client-id-us-west-2.json', { clientId: 'legacy-client', clientSecret: 'secret', expiresAt: '2030-01-01T10:00:00Z' });
+
+  check('removes the registration a cached token refers to', removeClientRegistrations(sessionProfile, registrationDir).join(',') === 'session-registration.json');
+  check('keeps the token itself', fs.existsSync(path.join(registrationDir, getCacheFileName(sessionProfile))));
+  check('removes the per-region registration of legacy profiles', removeClientRegistrations(legacyProfile, registrationDir).join(',') === 'botocore-client-id-us-west-2.json');
+  check('keeps other registrations', fs.readdirSync(registrationDir).includes('other-registration.json'));
+  check('removes nothing for a missing cache dir', removeClientRegistrations(legacyProfile, path.join(registrationDir, 'missing')).length === 0);
+} finally {
+  fs.rmSync(registrationDir, { recursive: true, force: true });
+}
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseAwsProfile, findWorkspaceProfile } = require('./workspace-profile');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+// Parsing
+check('reads KEY=value lines', parseAwsProfile('REGION=eu-west-1\nAWS_PROFILE=dev\n') === 'dev');
+check('reads export lines', parseAwsProfile('export AWS_PROFILE=prod') === 'prod');
+check('strips quotes', parseAwsProfile('AWS_PROFILE="team dev"') === 'team dev' && parseAwsProfile("AWS_PROFILE='dev' # comment") === 'dev');
+check('strips trailing comments', parseAwsProfile('AWS_PROFILE=dev   # the dev account') === 'dev');
+check('uses the last assignment', parseAwsProfile('AWS_PROFILE=dev\nAWS_PROFILE=prod\n') === 'prod');
+check('ignores commented out lines', parseAwsProfile('# AWS_PROFILE=dev\n') === undefined);
+check('ignores shell expansion', parseAwsProfile('export AWS_PROFILE=${AWS_PROFILE:-dev}') === undefined);
+check('ignores empty values', parseAwsProfile('AWS_PROFILE=\n') === undefined);
+check('ignores similar names', parseAwsProfile('MY_AWS_PROFILE=dev\nAWS_PROFILE_NAME=prod') === undefined);
+
+// Workspace folders
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-profile-test-'));
+const app = path.join(dir, 'app');
+const infra = path.join(dir, 'infra');
+fs.mkdirSync(app);
+fs.mkdirSync(infra);
+fs.writeFileSync(path.join(app, '.env'), 'PORT=3000\n');
+fs.writeFileSync(path.join(app, '.envrc'), 'export AWS_PROFILE=app-dev\n');
+fs.writeFileSync(path.join(infra, '.env'), 'AWS_PROFILE=infra\n');
+
+try {
+  const found = findWorkspaceProfile([app, infra]);
+  check('falls back to .envrc when .env has no AWS_PROFILE', found && found.name === 'app-dev' && found.file === path.join(app, '.envrc'));
+  check('prefers .env over .envrc', findWorkspaceProfile([infra]).name === 'infra');
+  check('returns undefined without env files', findWorkspaceProfile([path.join(dir, 'missing')]) === undefined);
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('Test completed');
+if (failures > 0) {
+  process.exitCode = 1;
+}
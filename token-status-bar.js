@@ -0,0 +1,103 @@
+const vscode = require("vscode");
+const { getTokenStatus, formatRemaining } = require("./sso-token-cache");
+
+const ACTIVE_PROFILE_KEY = "awsSsoLogin.activeProfile";
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const WARNING_THRESHOLD_MS = 15 * 60 * 1000;
+
+/**
+ * Status bar item showing the active profile and how long its SSO token has left
+ */
+class TokenStatusBar {
+  /**
+   * @param {vscode.ExtensionContext} context
+   * @param {Function} getProfiles Async function returning the available SSO profiles
+   * @param {Function} [getStatus] Function returning the token status of a profile
+   */
+  constructor(context, getProfiles, getStatus = getTokenStatus) {
+    this.context = context;
+    this.getProfiles = getProfiles;
+    this.getStatus = getStatus;
+    this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+    this.timer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * Get the name of the profile shown in the status bar
+   * @returns {string|undefined} The active profile name
+   */
+  getActiveProfile() {
+    return this.context.globalState.get(ACTIVE_PROFILE_KEY);
+  }
+
+  /**
+   * Set the profile shown in the status bar and refresh it
+   * @param {string} profileName The profile name
+   */
+  async setActiveProfile(profileName) {
+    await this.context.globalState.update(ACTIVE_PROFILE_KEY, profileName);
+    await this.refresh();
+  }
+
+  /**
+   * Update the status bar item from the profiles and token status
+   */
+  async refresh() {
+    const profileName = this.getActiveProfile();
+    if (!profileName) {
+      this.item.text = "$(key) AWS SSO";
+      this.item.tooltip = "No AWS SSO profile selected. Click to log in.";
+      this.item.backgroundColor = undefined;
+      this.item.command = "awsSsoLogin.login";
+      this.item.show();
+      return;
+    }
+
+    let profile;
+    try {
+      const profiles = await this.getProfiles();
+      profile = profiles.find(p => p.name === profileName);
+    } catch (error) {
+      profile = undefined;
+    }
+
+    this.item.command = {
+      title: "AWS SSO: Login with Profile",
+      command: "awsSsoLogin.login",
+      arguments: [profileName],
+    };
+
+    if (!profile) {
+      this.item.text = `$(warning) ${profileName}: unknown profile`;
+      this.item.tooltip = `Profile "${profileName}" is no longer configured`;
+      this.item.backgroundColor = new vscode.ThemeColor("statusBarItem.warningBackground");
+      this.item.show();
+      return;
+    }
+
+    const status = this.getStatus(profile);
+    if (status.expired) {
+      this.item.text = `$(warning) ${profile.name}: expired`;
+      this.item.tooltip = status.token
+        ? `SSO token for ${profile.name} expired at ${status.expiresAt.toLocaleString()}. Click to log in again.`
+        : `No cached SSO token for ${profile.name}. Click to log in.`;
+      this.item.backgroundColor = new vscode.ThemeColor("statusBarItem.errorBackground");
+    } else {
+      this.item.text = `$(key) ${profile.name}: ${formatRemaining(status.remainingMs)}`;
+      this.item.tooltip = `SSO token for ${profile.name} expires at ${status.expiresAt.toLocaleString()}`;
+      this.item.backgroundColor = status.remainingMs < WARNING_THRESHOLD_MS
+        ? new vscode.ThemeColor("statusBarItem.warningBackground")
+        : undefined;
+    }
+    this.item.show();
+  }
+
+  dispose() {
+    clearInterval(this.timer);
+    this.item.dispose();
+  }
+}
+
+module.exports = {
+  TokenStatusBar,
+};
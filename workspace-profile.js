@@ -0,0 +1,62 @@
+/**
+ * Finds the AWS profile a workspace is meant to use from AWS_PROFILE in a
+ * .env or .envrc file at the root of a workspace folder.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Files checked in each workspace folder, in order
+const ENV_FILES = [".env", ".envrc"];
+
+/**
+ * Read AWS_PROFILE from .env or .envrc content. Lines may start with
+ * "export", values may be quoted and followed by a comment. Values that use
+ * shell expansion can't be resolved and are ignored.
+ * @param {string} text File content
+ * @returns {string|undefined} The profile name, the last assignment wins
+ */
+function parseAwsProfile(text) {
+  let profileName;
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?AWS_PROFILE\s*=\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+    const quoted = match[1].match(/^(["'])(.*?)\1/);
+    const value = quoted ? quoted[2] : match[1].replace(/\s+#.*$/, "").trim();
+    if (!value.includes("$") && !value.includes("`")) {
+      profileName = value || undefined;
+    }
+  }
+  return profileName;
+}
+
+/**
+ * Find AWS_PROFILE in the .env or .envrc files of workspace folders
+ * @param {string[]} folders Absolute paths of the workspace folders
+ * @returns {Object|undefined} Profile name and the file it was found in
+ */
+function findWorkspaceProfile(folders) {
+  for (const folder of folders) {
+    for (const fileName of ENV_FILES) {
+      const file = path.join(folder, fileName);
+      let text;
+      try {
+        text = fs.readFileSync(file, "utf8");
+      } catch (error) {
+        continue;
+      }
+      const name = parseAwsProfile(text);
+      if (name) {
+        return { name, file };
+      }
+    }
+  }
+  return undefined;
+}
+
+module.exports = {
+  parseAwsProfile,
+  findWorkspaceProfile,
+};